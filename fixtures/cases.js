@@ -0,0 +1,393 @@
+// DealUpdates - Behaviour cases for the test harness
+// Checks that a golden snapshot of one upload can't pin down: the import
+// worker's message path, upload history across several uploads, scoring
+// settings and score explanations. Each case throws on the first mismatch.
+// Run by fixtures/run-cases.js (Node.js) and test-harness.html via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Dependencies ====================
+    const DealDomain = typeof require !== 'undefined'
+        ? require('../js/domain.js')
+        : self.DealDomain;
+    const DealHistory = typeof require !== 'undefined'
+        ? require('../js/history.js')
+        : self.DealHistory;
+    const DealIngest = typeof require !== 'undefined'
+        ? require('../js/ingest.js')
+        : self.DealIngest;
+    const DealHealthScore = typeof require !== 'undefined'
+        ? require('../js/dealHealthScore.js')
+        : self.DealHealthScore;
+
+    // Same fixed reference as the golden files
+    const FIXED_NOW = new Date('2026-02-19T00:00:00.000Z').getTime();
+    const FIXED_REF_DATE = new Date('2026-02-19T00:00:00.000Z');
+    const FIXED_TIME_ZONE = 'America/Toronto';
+
+    // ==================== Assertions ====================
+    function assertEqual(actual, expected, message) {
+        const a = JSON.stringify(actual);
+        const e = JSON.stringify(expected);
+        if (a !== e) throw new Error(`${message}: expected ${e}, got ${a}`);
+    }
+
+    // ==================== Fixture Deals ====================
+    // A fixture CSV through the golden files' pipeline (parse, process,
+    // validate, dedup), unscored
+    async function fixtureDeals(env, name) {
+        const text = DealIngest.decodeBytes(await env.readFixture(`${name}.csv`)).text;
+        const { rows, dateFormats } = DealIngest.parseCSV(text);
+        const processed = rows
+            .map(r => DealIngest.processRow(r, { referenceDate: FIXED_REF_DATE, dateFormats, timeZone: FIXED_TIME_ZONE }))
+            .filter(d => d !== null)
+            .filter(DealIngest.validateRow);
+        return DealIngest.deduplicateDeals(processed, [], async () => null);
+    }
+
+    // ==================== Uploads ====================
+    const CSV_HEADER = 'Deal Owner,Deal Name,Stage,Annual Contract Value,Closing Date,Modified Time (Notes),Note Content,Description';
+
+    // One upload as stored: rows [owner, name, stage, acv, closingDate,
+    // modified, note (optional)] through the CSV pipeline, with day counts as
+    // of the upload's generated date
+    async function uploadSnapshot(uploadId, generatedDate, rows) {
+        const text = [`Generated by CRM Export on ${generatedDate}`, CSV_HEADER]
+            .concat(rows.map(r => r.slice(0, 6).concat([r[6] || 'Weekly update', '']).join(',')))
+            .join('\n');
+        const parsed = DealIngest.parseCSV(text);
+        const referenceDate = DealDomain.parseTimestamp(generatedDate, 'iso', FIXED_TIME_ZONE);
+        const deals = parsed.rows
+            .map(r => DealIngest.processRow(r, { referenceDate, dateFormats: parsed.dateFormats, timeZone: FIXED_TIME_ZONE }))
+            .filter(DealIngest.validateRow);
+        return {
+            uploadId,
+            generatedDate,
+            uploadedAt: `${generatedDate}T12:00:00.000Z`,
+            deals: await DealIngest.deduplicateDeals(deals, [], async () => null)
+        };
+    }
+
+    // ==================== Cases ====================
+    // env: { readFixture(path) -> Uint8Array (relative to fixtures/),
+    //        runWorker(message) -> the worker's final message (progress
+    //        messages are skipped), File }
+    const CASES = [];
+
+    function addCase(name, run) {
+        CASES.push({ name, run });
+    }
+
+    // ---------- Import worker ----------
+
+    addCase('xlsx import through the worker asks for a sheet, then imports it', async function(env) {
+        const bytes = await env.readFixture('10_workbook_sheets.xlsx');
+        const golden = JSON.parse(new TextDecoder().decode(await env.readFixture('expected/10_workbook_sheets.json')));
+        const message = {
+            file: new env.File([bytes], '10_workbook_sheets.xlsx'),
+            existingDeals: [],
+            fxRates: DealDomain.DEFAULT_FX_RATES,
+            timeZone: FIXED_TIME_ZONE
+        };
+
+        const ask = await env.runWorker(message);
+        assertEqual(ask, { type: 'sheetRequired', sheets: ['Summary', 'Deals'] }, 'workbook with two visible sheets');
+
+        const done = await env.runWorker({ ...message, sheet: 'Deals' });
+        assertEqual(done.type, 'complete', `import finished (${done.message || ''})`);
+        assertEqual(done.format, { type: 'xlsx', sheet: 'Deals' }, 'format');
+        assertEqual(done.generatedDate, '2026-02-10', 'generated date');
+        const imported = done.deals
+            .map(d => [d.dealKey, d.acv, d.currency, DealHistory.toDateKey(d.closingDate), d.notesHash])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        assertEqual(imported, golden.map(d => [d.deal_key, d.acv, d.currency, d.closing_date, d.notes_hash]),
+            'deals match the golden file');
+    });
+
+    addCase('rows in a currency missing from the rate table are rejected', async function(env) {
+        const bytes = await env.readFixture('10_workbook_sheets.xlsx');
+        // USD removed in Import Settings
+        const done = await env.runWorker({
+            file: new env.File([bytes], '10_workbook_sheets.xlsx'),
+            sheet: 'Deals',
+            existingDeals: [],
+            fxRates: { CAD: 1, EUR: 1.47 },
+            timeZone: FIXED_TIME_ZONE
+        });
+        assertEqual(done.type, 'complete', `import finished (${done.message || ''})`);
+        assertEqual(done.deals.map(d => d.dealKey).sort(),
+            ['acme corp renewal||alice smith', 'beta industries||bob jones'], 'deals kept');
+        assertEqual(done.report.issueCounts['no-fx-rate'], 1, 'rows rejected for a missing rate');
+    });
+
+    // ---------- Upload history ----------
+
+    addCase('stage history and close date slippage across three uploads', async function() {
+        const uploads = [
+            await uploadSnapshot(1, '2026-01-05', [
+                ['Dana Lee', 'Orbit Renewal', 'Proposal', '$50000 CAD', '2026-03-01', '2026-01-02'],
+                ['Sam Park', 'Pinecrest Expansion', 'Discovery', '$20000 CAD', '2026-04-15', '2026-01-03']
+            ]),
+            await uploadSnapshot(2, '2026-01-20', [
+                // Orbit slips 30 days; Pinecrest advances and pulls its date in
+                ['Dana Lee', 'Orbit Renewal', 'Proposal', '$50000 CAD', '2026-03-31', '2026-01-18'],
+                ['Sam Park', 'Pinecrest Expansion', 'Qualification', '$20000 CAD', '2026-04-01', '2026-01-19'],
+                ['Sam Park', 'Quarry Pilot', 'Discovery', '$8000 CAD', '2026-02-28', '2026-01-15']
+            ]),
+            await uploadSnapshot(3, '2026-02-10', [
+                // Orbit advances and slips 45 more days; Quarry slips 15
+                ['Dana Lee', 'Orbit Renewal', 'Negotiation', '$50000 CAD', '2026-05-15', '2026-02-09'],
+                ['Sam Park', 'Pinecrest Expansion', 'Qualification', '$20000 CAD', '2026-04-01', '2026-02-08'],
+                ['Sam Park', 'Quarry Pilot', 'Discovery', '$8000 CAD', '2026-03-15', '2026-02-01'],
+                ['Dana Lee', 'Ridge Onboarding', 'Discovery', '$5000 CAD', '2026-06-30', '2026-02-09']
+            ])
+        ];
+        const history = deal => ({
+            slips: deal.closeDateSlipCount,
+            slipDays: deal.closeDateSlipDays,
+            entered: deal.stageEnteredDate,
+            daysInStage: deal.daysInStage,
+            source: deal.daysInStageSource
+        });
+        const byName = deals => Object.fromEntries(deals.map(d => [d.dealName, history(d)]));
+
+        const latest = uploads[2];
+        DealHistory.attachUploadHistory(latest.deals, latest, uploads);
+        assertEqual(byName(latest.deals), {
+            'Orbit Renewal': { slips: 2, slipDays: 75, entered: '2026-02-10', daysInStage: 0, source: 'history' },
+            'Pinecrest Expansion': { slips: 0, slipDays: 0, entered: '2026-01-20', daysInStage: 21, source: 'history' },
+            'Quarry Pilot': { slips: 1, slipDays: 15, entered: '2026-01-20', daysInStage: 21, source: 'history-lower-bound' },
+            'Ridge Onboarding': {}
+        }, 'as of the third upload');
+        const orbit = latest.deals.find(d => d.dealName === 'Orbit Renewal');
+        assertEqual(orbit.closeDateHistory.map(c => c.closingDate), ['2026-03-01', '2026-03-31', '2026-05-15'], 'Orbit close dates');
+        // 94 days out (100), minus 2 slips x 20 and 75 slip days / 30 x 5
+        assertEqual(DealHealthScore.scoreCloseDateIntegrity(orbit), 50, 'Orbit close date integrity');
+
+        // A past upload only sees the uploads before it
+        const middle = uploads[1];
+        DealHistory.attachUploadHistory(middle.deals, middle, uploads);
+        assertEqual(byName(middle.deals), {
+            'Orbit Renewal': { slips: 1, slipDays: 30, entered: '2026-01-05', daysInStage: 15, source: 'history-lower-bound' },
+            'Pinecrest Expansion': { slips: 0, slipDays: 0, entered: '2026-01-20', daysInStage: 0, source: 'history' },
+            'Quarry Pilot': {}
+        }, 'as of the second upload');
+    });
+
+    // ---------- Re-scoring a past upload ----------
+
+    addCase('re-scoring a past upload counts days from its generated date', async function() {
+        const upload = await uploadSnapshot(1, '2026-01-05', [
+            ['Dana Lee', 'Orbit Renewal', 'Proposal', '$50000 CAD', '2026-03-01', '2026-01-02', 'Budget confirmed'],
+            ['Sam Park', 'Pinecrest Expansion', 'Discovery', '$20000 CAD', '2026-01-20', '2025-12-15']
+        ]);
+        const deals = upload.deals;
+        // Loaded weeks later: day counts as of today, as the app first sets them
+        DealHealthScore.setDayCountsAsOf(deals, new Date(FIXED_NOW), FIXED_TIME_ZONE);
+        const stale = DealHealthScore.rescoreDeals(deals, new Date(FIXED_NOW), undefined, FIXED_TIME_ZONE);
+
+        const asOf = DealDomain.parseTimestamp(upload.generatedDate, 'iso', FIXED_TIME_ZONE);
+        const rows = DealHealthScore.rescoreDeals(deals, asOf, undefined, FIXED_TIME_ZONE);
+        assertEqual(deals.map(d => [d.daysSince, d.daysUntilClosing]), [[3, 55], [21, 15]], 'day counts as of 2026-01-05');
+        assertEqual(rows.map(r => r.hs_activity_recency), [100, 40], 'activity recency as of the upload');
+        assertEqual(stale.map(r => r.hs_activity_recency), [10, 10], 'activity recency as of today');
+        // Orbit's "budget confirmed" note is 3 days old then, 48 days old today
+        if (!(rows[0].hs_notes_signal > stale[0].hs_notes_signal)) {
+            throw new Error(`notes signal ${rows[0].hs_notes_signal} as of the upload, ${stale[0].hs_notes_signal} today`);
+        }
+
+        // Every built-in component is written to its hs_* column too
+        for (const row of rows) {
+            assertEqual(typeof row.health_score, 'number', 'health_score');
+            for (const component of DealHealthScore.getComponents()) {
+                if (component.column) {
+                    assertEqual(row[component.column], row.health_components[component.id], component.column);
+                }
+            }
+        }
+
+        // A config's curves apply to the re-score
+        const flat = { curves: { activityRecency: { mode: 'stepped', points: [{ at: 0, score: 55 }] } } };
+        assertEqual(DealHealthScore.rescoreDeals(deals, asOf, flat, FIXED_TIME_ZONE).map(r => r.hs_activity_recency),
+            [55, 55], 'activity recency under a flat curve');
+
+        // Retry after a partial write: stored scores don't feed back in
+        deals[0].healthScore = rows[0].health_score;
+        deals[0].healthComponents = rows[0].health_components;
+        deals[0].healthDebug = rows[0].health_debug;
+        assertEqual(DealHealthScore.rescoreDeals(deals, asOf, undefined, FIXED_TIME_ZONE), rows, 're-run after a partial write');
+    });
+
+    // ---------- Scoring curves and health levels ----------
+
+    addCase('stepped curves: exactly on a point takes the better neighbour', function() {
+        const rising = { mode: 'stepped', points: [{ at: 40, score: 40 }, { at: 80, score: 70 }, { at: 100, score: 100 }] };
+        const falling = { mode: 'stepped', points: [{ at: 7, score: 100 }, { at: 14, score: 70 }, { at: 30, score: 40 }] };
+        const evaluate = (curve, values) => values.map(v => DealHealthScore.evaluateCurve(curve, v));
+        assertEqual(evaluate(rising, [10, 40, 60, 80, 90, 100, 150]), [40, 70, 70, 100, 100, 100, 100], 'rising curve');
+        assertEqual(evaluate(falling, [0, 7, 10, 14, 20, 30, 90]), [100, 100, 70, 70, 40, 40, 40], 'falling curve');
+    });
+
+    addCase('linear curves interpolate and stay flat outside the points', function() {
+        const rising = { mode: 'linear', points: [{ at: 0, score: 0 }, { at: 10, score: 100 }] };
+        const falling = { mode: 'linear', points: [{ at: 7, score: 100 }, { at: 30, score: 40 }, { at: 60, score: 10 }] };
+        const evaluate = (curve, values) => values.map(v => DealHealthScore.evaluateCurve(curve, v));
+        assertEqual(evaluate(rising, [-5, 0, 2.5, 10, 20]), [0, 0, 25, 100, 100], 'rising curve');
+        assertEqual(evaluate(falling, [0, 18.5, 30, 45, 90]), [100, 70, 40, 25, 10], 'falling curve');
+    });
+
+    addCase('a single-point curve scores every value the same', function() {
+        for (const mode of DealHealthScore.CURVE_MODES) {
+            const curve = { mode, points: [{ at: 5, score: 60 }] };
+            assertEqual([0, 5, 9].map(v => DealHealthScore.evaluateCurve(curve, v)), [60, 60, 60], `${mode} curve`);
+        }
+    });
+
+    addCase('invalid curves are reported and fall back to the default', function() {
+        const point = (at, score) => ({ at, score });
+        const problems = [
+            { mode: 'cubic', points: [point(1, 50)] },
+            { mode: 'linear', points: [] },
+            { mode: 'stepped', points: [point(10, 50), point(5, 20)] },
+            { mode: 'stepped', points: [point(5, 50), point(5, 20)] },
+            { mode: 'linear', points: [point(1, 101)] },
+            { mode: 'linear', points: [point(1, -1)] },
+            { mode: 'linear', points: [point('7', 50)] }
+        ].map(DealHealthScore.validateCurve);
+        assertEqual(problems, [
+            'Unknown curve mode.',
+            'A curve needs at least one point.',
+            'Thresholds must increase from left to right.',
+            'Thresholds must increase from left to right.',
+            'Scores must be between 0 and 100.',
+            'Scores must be between 0 and 100.',
+            'Every threshold needs a number.'
+        ], 'problems');
+        assertEqual(DealHealthScore.validateCurve({ mode: 'linear', points: [point(0, 0), point(10, 100)] }), null, 'valid curve');
+
+        const outOfOrder = { mode: 'stepped', points: [point(30, 40), point(7, 100)] };
+        assertEqual(DealHealthScore.resolveCurve({ curves: { activityRecency: outOfOrder } }, 'activityRecency'),
+            DealHealthScore.defaultCurves().activityRecency, 'invalid configured curve');
+    });
+
+    addCase('configured curves change component scores', async function(env) {
+        const deals = await fixtureDeals(env, '07_health_scoring');
+        const flat = { mode: 'stepped', points: [{ at: 0, score: 55 }] };
+        const config = { curves: { activityRecency: flat } };
+        const context = DealHealthScore.buildContext(deals, { now: FIXED_NOW, timeZone: FIXED_TIME_ZONE, config });
+        for (const deal of deals) {
+            const result = DealHealthScore.computeDealHealthScore(deal, context, config);
+            assertEqual(result.components.activityRecency, 55, `${deal.dealName} activity recency`);
+        }
+    });
+
+    addCase('health level cutoffs are configurable and validated', async function(env) {
+        const levels = { good: 90, watch: 75, risk: 50 };
+        assertEqual([95, 90, 89, 75, 74, 50, 49].map(score => DealDomain.getHealthLevel(score, levels)),
+            ['good', 'good', 'watch', 'watch', 'risk', 'risk', 'dead'], 'custom cutoffs');
+        assertEqual([80, 79, 60, 40, 39].map(score => DealDomain.getHealthLevel(score)),
+            ['good', 'watch', 'watch', 'risk', 'dead'], 'default cutoffs');
+
+        assertEqual(DealDomain.validateHealthLevels(levels), null, 'valid cutoffs');
+        for (const bad of [{ good: 101, watch: 60, risk: 40 }, { good: 80, watch: 80, risk: 40 },
+            { good: 80, watch: 30, risk: 40 }, { good: 80, watch: 60, risk: -1 }, { good: 80, watch: NaN, risk: 40 }]) {
+            assertEqual(DealDomain.validateHealthLevels(bad),
+                'Health levels must go down from Good to Risk, between 0 and 100.', `cutoffs ${JSON.stringify(bad)}`);
+        }
+
+        // Moving only the cutoffs changes levels, not scores
+        const deals = await fixtureDeals(env, '05_large_mixed');
+        const result = DealHealthScore.simulateScoring(deals, {}, { healthLevels: levels },
+            { now: FIXED_NOW, timeZone: FIXED_TIME_ZONE });
+        assertEqual(result.changed, 0, 'scores changed');
+        const context = DealHealthScore.buildContext(deals, { now: FIXED_NOW, timeZone: FIXED_TIME_ZONE });
+        const expected = { good: 0, watch: 0, risk: 0, dead: 0 };
+        for (const deal of deals) {
+            expected[DealDomain.getHealthLevel(DealHealthScore.computeDealHealthScore(deal, context).score, levels)]++;
+        }
+        assertEqual(result.draft.levels, expected, 'draft levels');
+        if (JSON.stringify(result.draft.levels) === JSON.stringify(result.current.levels)) {
+            throw new Error('stricter cutoffs moved no deal to another level');
+        }
+    });
+
+    // ---------- Explaining a score ----------
+
+    // A stored deal as the explain panel gets it: scores and debug only
+    function storedDeal(stage, components, debug) {
+        return { dealName: 'Explained Deal', stage, healthScore: 0, healthComponents: components, healthDebug: debug };
+    }
+
+    addCase('explained contributions add up to the score', async function(env) {
+        const deals = await fixtureDeals(env, '07_health_scoring');
+        const weighted = { weights: { stageProbability: 10, velocity: 10, activityRecency: 10, closeDateIntegrity: 10,
+            acv: 10, notesSignal: 10, nextSteps: 10 } };
+        for (const config of [undefined, weighted]) {
+            const context = DealHealthScore.buildContext(deals, { now: FIXED_NOW, timeZone: FIXED_TIME_ZONE, config });
+            for (const deal of deals) {
+                const result = DealHealthScore.computeDealHealthScore(deal, context, config);
+                Object.assign(deal, { healthScore: result.score, healthComponents: result.components, healthDebug: result.debug });
+                const explained = DealHealthScore.explainHealthScore(deal, config);
+                const total = explained.components.reduce((sum, c) => sum + c.contribution, 0);
+                const weights = explained.components.reduce((sum, c) => sum + c.weight, 0);
+                // Each contribution and weight is rounded to 0.1, the score to a whole number
+                if (Math.abs(total - result.score) > 0.5 + 0.05 * explained.components.length) {
+                    throw new Error(`${deal.dealName}: contributions add up to ${total}, score ${result.score}`);
+                }
+                if (Math.abs(weights - 100) > 0.05 * explained.components.length) {
+                    throw new Error(`${deal.dealName}: weights add up to ${weights}`);
+                }
+                assertEqual(explained.components.map(c => c.id), DealHealthScore.getComponents().map(c => c.id), 'components');
+            }
+        }
+    });
+
+    addCase('explained actions merge by key, rank by gain and drop gains under 0.5', function() {
+        const debug = { daysInStage: 30, daysInStageSource: 'history', stageBenchmark: 21, velocityRatio: 30 / 21,
+            lastActivityDaysSince: 10, notesSignals: [] };
+        const components = { stageProbability: 55, velocity: 40, activityRecency: 70, closeDateIntegrity: 100,
+            acv: 100, notesSignal: 50, nextSteps: 50 };
+        // Stage (75 - 55) x 25% and velocity (100 - 40) x 20% are both "advance"
+        const explained = DealHealthScore.explainHealthScore(storedDeal('Proposal', components, debug));
+        assertEqual(explained.actions, [
+            { key: 'advance', text: 'Advance to Negotiation', gain: 17 },
+            { key: 'activity', text: 'Log a fresh update on the deal', gain: 4.5 }
+        ], 'actions');
+        assertEqual(DealHealthScore.explainHealthScore(storedDeal('Proposal', components, debug), undefined, { maxActions: 1 })
+            .actions.map(a => a.key), ['advance'], 'maxActions');
+
+        // Verbal commit has no open stage after it; velocity and recency are
+        // 2 points off their best at 25% (0.5 kept) and 10% (0.2 dropped)
+        const config = { weights: { stageProbability: 25, velocity: 10, activityRecency: 25, closeDateIntegrity: 15,
+            acv: 15, notesSignal: 10, nextSteps: 0 } };
+        const nearBest = Object.assign({}, components, { stageProbability: 90, velocity: 98, activityRecency: 98 });
+        assertEqual(DealHealthScore.explainHealthScore(storedDeal('Verbal Commit', nearBest, debug), config).actions,
+            [{ key: 'activity', text: 'Log a fresh update on the deal', gain: 0.5 }], 'small gains');
+        const atBest = Object.assign({}, nearBest, { velocity: 100, activityRecency: 99 });
+        assertEqual(DealHealthScore.explainHealthScore(storedDeal('Verbal Commit', atBest, debug), config).actions,
+            [], 'gain of 0.25');
+    });
+
+    addCase('notes explanations read debug stored before notes rules', function() {
+        const components = { notesSignal: 50 };
+        const notesText = debug => DealHealthScore.explainHealthScore(storedDeal('Proposal', components, debug))
+            .components.find(c => c.id === 'notesSignal').text;
+        const matched = { positive: ['budget confirmed'], negative: ['stalled'], negated: ['pushed'] };
+
+        // No notesSignals: the matched keywords at the default weight
+        assertEqual(notesText({ notesKeywordsMatched: matched }),
+            'Notes matched "budget confirmed" +10, "stalled" \u221210; negated: "pushed"', 'old debug');
+        assertEqual(notesText({}), 'No notes rules matched', 'no notes debug');
+        assertEqual(notesText({ notesKeywordsMatched: matched,
+            notesSignals: [{ pattern: 'legal engaged', contribution: 7.5 }] }),
+            'Notes matched "legal engaged" +7.5; negated: "pushed"', 'current debug');
+    });
+
+    // ==================== Exports ====================
+    exports.CASES = CASES;
+    exports.assertEqual = assertEqual;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealCases = {}));
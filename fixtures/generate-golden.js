@@ -23,11 +23,15 @@ if (typeof globalThis.crypto === 'undefined' || !globalThis.crypto.subtle) {
 // ==================== Fixed reference date for deterministic scoring ====================
 const FIXED_NOW = new Date('2026-02-19T00:00:00.000Z').getTime();
 const FIXED_REF_DATE = new Date('2026-02-19T00:00:00.000Z');
+// Reporting time zone, so output doesn't depend on the machine's TZ
+const FIXED_TIME_ZONE = 'America/Toronto';
 
 // ==================== Shared modules ====================
-const { parseCSV, processRow, validateRow,
-        deduplicateDeals } = require('../js/ingest.js');
+const { parseCSV, processRow, validateRow, deduplicateDeals, decodeBytes,
+        createCSVRowReader, resolveDateFormats } = require('../js/ingest.js');
+const { openWorkbook, defaultSheet, readSheetRows } = require('../js/xlsx.js');
 const { computeDealHealthScore, buildContext: buildHealthContext } = require('../js/dealHealthScore.js');
+const { toDateKey } = require('../js/history.js');
 
 // ==================== Snapshot building ====================
 
@@ -38,12 +42,19 @@ function buildSnapshot(deals) {
             deal_owner: d.dealOwner,
             stage: d.stage,
             acv: d.acv,
-            closing_date: d.closingDate ? d.closingDate.toISOString().slice(0, 10) : null,
-            modified_date: d.modifiedDate ? d.modifiedDate.toISOString().slice(0, 10) : null,
+            currency: d.currency,
+            acv_original: d.acvOriginal,
+            closing_date: toDateKey(d.closingDate),
+            modified_date: toDateKey(d.modifiedDate, FIXED_TIME_ZONE),
+            modified_at: d.modifiedDate ? d.modifiedDate.toISOString() : null,
             notes_count: d.notesCount,
             notes_hash: d.notesHash,
+            // Notes timeline as stored in deals.notes: each note's time and text hash
+            notes: d.notes ? d.notes.map(n => ({ at: n.at, hash: n.hash })) : null,
             notes_summary_length: (d.notesSummary || '').length,
-            health_score: d.healthScore != null ? d.healthScore : null
+            health_score: d.healthScore != null ? d.healthScore : null,
+            // One entry per registered component, as stored in deals.health_components
+            health_components: d.healthComponents || null
         }))
         .sort((a, b) => a.deal_key.localeCompare(b.deal_key));
 }
@@ -57,9 +68,39 @@ const FIXTURES = [
     '04_duplicate_deals',
     '05_large_mixed',
     '06_currency_edge_cases',
-    '07_health_scoring'
+    '07_health_scoring',
+    '08_semicolon_cp1252',
+    '09_day_first_dates',
+    '10_workbook_sheets'
 ];
 
+// .xlsx fixtures: the visible sheets expected (in order) and the one to read
+const WORKBOOK_FIXTURES = {
+    '10_workbook_sheets': { sheets: ['Summary', 'Deals'], sheet: 'Deals' }
+};
+
+// Rows of a workbook fixture, read the way the import worker does
+async function readWorkbookFixture(name, bytes) {
+    const spec = WORKBOOK_FIXTURES[name];
+    const workbook = await openWorkbook(new Uint8Array(bytes));
+    const sheets = workbook.sheets.map(s => s.name);
+    if (sheets.join('\n') !== spec.sheets.join('\n')) {
+        throw new Error(`${name}.xlsx: sheets ${JSON.stringify(sheets)}, expected ${JSON.stringify(spec.sheets)}`);
+    }
+    // With several sheets the worker posts sheetRequired rather than guessing
+    const expectedDefault = spec.sheets.length === 1 ? spec.sheets[0] : null;
+    if (defaultSheet(workbook) !== expectedDefault) {
+        throw new Error(`${name}.xlsx: default sheet ${defaultSheet(workbook)}, expected ${expectedDefault}`);
+    }
+    const reader = createCSVRowReader();
+    await readSheetRows(workbook, spec.sheet, reader.addRow);
+    const parsed = reader.finish();
+    return {
+        rows: parsed.rows,
+        dateFormats: resolveDateFormats(parsed.rows, parsed.columnMapping).formats
+    };
+}
+
 (async function main() {
     const fixturesDir = path.join(__dirname);
     const expectedDir = path.join(fixturesDir, 'expected');
@@ -73,31 +114,39 @@ const FIXTURES = [
 
     for (const name of FIXTURES) {
         total++;
-        const csvPath = path.join(fixturesDir, `${name}.csv`);
-        if (!fs.existsSync(csvPath)) {
-            console.error(`  SKIP  ${name}.csv (not found)`);
+        const file = `${name}.${WORKBOOK_FIXTURES[name] ? 'xlsx' : 'csv'}`;
+        const filePath = path.join(fixturesDir, file);
+        if (!fs.existsSync(filePath)) {
+            console.error(`  SKIP  ${file} (not found)`);
             continue;
         }
 
-        const csvText = fs.readFileSync(csvPath, 'utf-8');
-        const { rows: rawRows } = parseCSV(csvText);
+        let parsed;
+        if (WORKBOOK_FIXTURES[name]) {
+            parsed = await readWorkbookFixture(name, fs.readFileSync(filePath));
+        } else {
+            // Exports may be Windows-1252 rather than UTF-8
+            parsed = parseCSV(decodeBytes(fs.readFileSync(filePath)).text);
+        }
+        const { rows: rawRows, dateFormats } = parsed;
         const processed = rawRows
-            .map(r => processRow(r, { referenceDate: FIXED_REF_DATE }))
+            .map(r => processRow(r, { referenceDate: FIXED_REF_DATE, dateFormats, timeZone: FIXED_TIME_ZONE }))
             .filter(d => d !== null)
             .filter(validateRow);
         const deduped = await deduplicateDeals(processed, [], async () => null);
         // Attach health scores (fixed reference date for determinism)
-        const ctx = buildHealthContext(deduped, { now: FIXED_NOW });
+        const ctx = buildHealthContext(deduped, { now: FIXED_NOW, timeZone: FIXED_TIME_ZONE });
         for (const deal of deduped) {
             const result = computeDealHealthScore(deal, ctx);
             deal.healthScore = result.score;
+            deal.healthComponents = result.components;
         }
         const snapshot = buildSnapshot(deduped);
 
         const outPath = path.join(expectedDir, `${name}.json`);
         fs.writeFileSync(outPath, JSON.stringify(snapshot, null, 2) + '\n');
 
-        console.log(`  OK    ${name}.csv → ${snapshot.length} deals → expected/${name}.json`);
+        console.log(`  OK    ${file} → ${snapshot.length} deals → expected/${name}.json`);
         generated++;
     }
 
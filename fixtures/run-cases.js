@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Behaviour case runner for DealUpdates (see fixtures/cases.js).
+ * test-harness.html runs the same cases in the browser.
+ *
+ * Usage: node fixtures/run-cases.js
+ *
+ * Exits non-zero when a case fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { File } = require('buffer');
+
+// Ensure Web Crypto API is available for domain.js sha256Hex
+if (typeof globalThis.crypto === 'undefined' || !globalThis.crypto.subtle) {
+    const { webcrypto } = require('crypto');
+    if (!webcrypto || !webcrypto.subtle) {
+        throw new Error('Node.js 15+ required for WebCrypto support. Please upgrade Node.');
+    }
+    globalThis.crypto = webcrypto;
+}
+
+const { CASES } = require('./cases.js');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+const WORKER_DONE = ['complete', 'error', 'sheetRequired', 'mappingRequired'];
+
+// ==================== Worker ====================
+// Runs js/ingest-worker.js in a fresh context with the worker globals it uses
+// (importScripts, postMessage, self.onmessage) and resolves with its final
+// message, structured-cloned as the browser would hand it over. The
+// pipeline's debug logging is dropped.
+function runWorker(message) {
+    return new Promise((resolve, reject) => {
+        const scope = {
+            console: Object.assign(Object.create(console), { log() {} }),
+            TextDecoder, TextEncoder, DecompressionStream, Response, Blob, Intl, crypto: globalThis.crypto,
+            importScripts(...names) {
+                for (const name of names) {
+                    vm.runInContext(fs.readFileSync(path.join(JS_DIR, name), 'utf8'), context, { filename: name });
+                }
+            },
+            postMessage(data) {
+                if (WORKER_DONE.includes(data.type)) resolve(structuredClone(data));
+            }
+        };
+        scope.self = scope;
+        const context = vm.createContext(scope);
+        const file = 'ingest-worker.js';
+        vm.runInContext(fs.readFileSync(path.join(JS_DIR, file), 'utf8'), context, { filename: file });
+        Promise.resolve(scope.self.onmessage({ data: message })).catch(reject);
+    });
+}
+
+// ==================== Main ====================
+
+(async function main() {
+    const env = {
+        readFixture: async name => new Uint8Array(fs.readFileSync(path.join(__dirname, name))),
+        runWorker,
+        File
+    };
+
+    let failed = 0;
+    for (const testCase of CASES) {
+        try {
+            await testCase.run(env);
+            console.log(`  OK    ${testCase.name}`);
+        } catch (err) {
+            failed++;
+            console.error(`  FAIL  ${testCase.name}\n        ${err.message}`);
+        }
+    }
+
+    console.log(`\n${CASES.length - failed}/${CASES.length} cases passed`);
+    if (failed > 0) process.exitCode = 1;
+})();
@@ -5,20 +5,45 @@
     'use strict';
 
     // ==================== Domain imports ====================
-    const { URGENCY_THRESHOLDS, CLOSING_SOON_DAYS, normalizeString, makeDealKey,
-            sha256Hex, buildNotesCanonical, parseACV, parseDate,
+    const { URGENCY_THRESHOLDS, CLOSING_SOON_DAYS, normalizeString, makeDealKey, resolveDealKey,
+            sha256Hex, buildNotesCanonical, parseACV, parseDate, parseTimestamp,
             calculateDaysSince, getUrgencyLevel, calculateDaysUntilClosing,
-            getClosingStatus, getHealthLevel } = window.DealDomain;
+            getClosingStatus, getHealthLevel, validateHealthLevels, DEFAULT_HEALTH_LEVELS, REPORTING_CURRENCY,
+            DEFAULT_FX_RATES, DETECTED_CURRENCIES, DEFAULT_REPORTING_TIME_ZONE, normalizeExtraction, isNextStepOverdue,
+            AI_SIGNALS, matchesAISignal } = window.DealDomain;
 
     // ==================== Health Score imports ====================
     const { computeDealHealthScore, buildContext: buildHealthContext,
-            defaultWeights, DEFAULT_STAGE_SCORES,
-            POSITIVE_KEYWORDS, NEGATIVE_KEYWORDS } = window.DealHealthScore;
+            defaultWeights, getComponents: getHealthComponents, DEFAULT_STAGE_SCORES,
+            defaultNotesRules, resolveNotesRules, resolveNotesSignalOptions, validateNoteRule, findNoteSignals,
+            NOTE_RULE_MATCH_MODES, DEFAULT_NOTES_SIGNAL, defaultCurves, evaluateCurve, validateCurve,
+            resolveCurve, resolveCloseDatePenalties, DEFAULT_CLOSE_DATE_PENALTIES,
+            resolveStageOrder, stageRank: rankInStageOrder, stagePosition,
+            resolveBenchmarkMinSamples, DEFAULT_BENCHMARK_MIN_SAMPLES,
+            simulateScoring, explainHealthScore, HEALTH_LEVELS, DISTRIBUTION_BUCKET,
+            healthComponentsToRow, setDayCountsAsOf, rescoreDeals } = window.DealHealthScore;
+
+    // ==================== History imports ====================
+    const { buildDealTimelines, attachUploadHistory, buildScoreHistory, toDateKey } = window.DealHistory;
+
+    // ==================== Diff imports ====================
+    const { DIFF_CATEGORIES, diffDeals: computeDiff } = window.DealDiff;
+
+    // ==================== Identity imports ====================
+    const { suggestMatches, buildAliasIndex, expandDealKeys } = window.DealIdentity;
+
+    // ==================== Trends imports ====================
+    const { TREND_METRICS, summarizeSnapshot, buildTrendSeries } = window.DealTrends;
+
+    // ==================== Dates imports ====================
+    const { DATE_FORMATS, formatLabel: dateFormatLabel, isValidTimeZone, zonedDateKey,
+            dateKeyToCalendarDate } = window.DealDates;
 
     // ==================== Ingest imports ====================
     const { COLUMN_MAPPINGS, parseCSV, parseCSVText, processRow, validateRow,
-            deduplicateDeals, applyAISummaries, stripHTML, formatCurrency,
-            generateFallbackSummary } = window.DealIngest;
+            deduplicateDeals, applyAISummaries, applyAIExtractions, stripHTML, formatCurrency,
+            generateFallbackSummary, INTERNAL_FIELDS,
+            suggestColumnMapping, ROW_ISSUES, decodeBytes, DATE_FIELDS } = window.DealIngest;
 
     // ==================== Tailwind class maps ====================
     const URGENCY_CLASSES = {
@@ -39,18 +64,40 @@
     };
     // Common td classes applied to every table cell
     const TD = 'px-4 py-3.5 border-b border-slate-200 text-sm align-top';
+    // Trends breakdown lines (owner / stage); the last slot is used for "Other"
+    const TREND_COLORS = ['#2563eb', '#7c3aed', '#0891b2', '#16a34a', '#ca8a04', '#dc2626', '#db2777', '#94a3b8'];
+    // Health trend chart series: one per registered score component
+    const HEALTH_SERIES = getHealthComponents().map(c => ({ key: c.id, label: c.shortLabel, color: c.color }));
 
     // ==================== Configuration ====================
     const STORAGE_KEY = 'dealUpdates_data';
     const SCHEMA_VERSION_KEY = 'dealUpdates_schema_version';
     const SCORING_CONFIG_KEY = 'dealUpdates_scoringConfig';
-    const SCHEMA_VERSION = 1;
+    const FX_RATES_KEY = 'dealUpdates_fxRates';
+    const MAPPING_PROFILES_KEY = 'dealUpdates_mappingProfiles';
+    const TREND_SNAPSHOTS_KEY = 'dealUpdates_trendSnapshots';
+    const DEAL_LINKS_KEY = 'dealUpdates_dealLinks';
+    const INGEST_REPORT_KEY = 'dealUpdates_ingestReport';
+    const DATE_FORMATS_KEY = 'dealUpdates_dateFormats';
+    const REPORTING_TIME_ZONE_KEY = 'dealUpdates_reportingTimeZone';
+    const SCORING_VERSION_KEY = 'dealUpdates_scoringVersion';
+    const TEAM_SCORING_CONFIG_KEY = 'dealUpdates_teamScoringConfig';
+    const SCHEMA_VERSION = 2;          // 2: closing dates as UTC calendar dates
     const BATCH_SIZE = 500;
+    const HISTORY_KEY_BATCH = 100;   // deal_keys per history query (URL length)
+    const HISTORY_PAGE_SIZE = 1000;  // Supabase default max rows per request
+    const SCORE_UPDATE_CONCURRENCY = 20;  // deals rows updated in parallel when re-scoring
+    // Model for AI summaries and extraction ('haiku', 'sonnet' or 'mock'), from
+    // supabase-config.js; unset leaves it to the edge function's default
+    const SUMMARY_MODEL_NAME = typeof SUMMARY_MODEL !== 'undefined' ? SUMMARY_MODEL : undefined;
 
     // ==================== Supabase Client ====================
     let supabaseClient = null;
     let isOnline = false;
     let dateSelectionController = null;
+    let scoreHistoryController = null;
+    let uploadsCache = [];
+    let scoringVersions = [];
 
     function initSupabase() {
         try {
@@ -79,11 +126,25 @@
     }
 
     // ==================== Supabase CRUD ====================
+    async function fetchUploadReport(uploadId) {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('uploads')
+            .select('rejection_report')
+            .eq('id', uploadId)
+            .single();
+        if (error) {
+            console.error('Error fetching import report:', error);
+            return null;
+        }
+        return data ? data.rejection_report : null;
+    }
+
     async function fetchUploadDates() {
         if (!supabaseClient) return [];
         const { data, error } = await supabaseClient
             .from('uploads')
-            .select('id, generated_date, deal_count, uploaded_at, filename')
+            .select('id, generated_date, deal_count, uploaded_at, filename, scoring_config, scoring_config_version_id, rescored_at')
             .order('generated_date', { ascending: false })
             .order('uploaded_at', { ascending: false });
         if (error) {
@@ -109,6 +170,87 @@
         return data || [];
     }
 
+    // Component scores are stored in health_components (keyed by component
+    // id); built-in components also keep their legacy hs_* column
+    const HEALTH_COMPONENT_COLUMNS = ['health_components',
+        ...getHealthComponents().filter(c => c.column).map(c => c.column)];
+
+    // Rows written before health_components existed only have the hs_* columns
+    function rowToHealthComponents(row) {
+        const stored = row.health_components || {};
+        const components = {};
+        for (const c of getHealthComponents()) {
+            components[c.id] = stored[c.id] ?? (c.column ? row[c.column] : null) ?? null;
+        }
+        return components;
+    }
+
+    // Every stored row for the given deal_keys, across all uploads
+    async function fetchDealHistoryRows(dealKeys, signal) {
+        if (!supabaseClient || dealKeys.length === 0) return [];
+        const rows = [];
+        for (let i = 0; i < dealKeys.length; i += HISTORY_KEY_BATCH) {
+            const keys = dealKeys.slice(i, i + HISTORY_KEY_BATCH);
+            for (let from = 0; ; from += HISTORY_PAGE_SIZE) {
+                let query = supabaseClient
+                    .from('deals')
+                    .select('upload_id, deal_key, stage, closing_date')
+                    .in('deal_key', keys)
+                    .range(from, from + HISTORY_PAGE_SIZE - 1);
+                if (signal) query = query.abortSignal(signal);
+                const { data, error } = await query;
+                if (error) {
+                    if (error.name === 'AbortError' || signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                    console.error('Error fetching deal history:', error);
+                    return rows;
+                }
+                rows.push(...(data || []));
+                if (!data || data.length < HISTORY_PAGE_SIZE) break;
+            }
+        }
+        return rows;
+    }
+
+    // Only the columns the Trends view aggregates, for one upload
+    async function fetchTrendRows(uploadId, signal) {
+        if (!supabaseClient) return [];
+        const rows = [];
+        for (let from = 0; ; from += HISTORY_PAGE_SIZE) {
+            let query = supabaseClient
+                .from('deals')
+                .select('deal_owner, stage, acv, closing_date, modified_date, health_score')
+                .eq('upload_id', uploadId)
+                .range(from, from + HISTORY_PAGE_SIZE - 1);
+            if (signal) query = query.abortSignal(signal);
+            const { data, error } = await query;
+            if (error) {
+                if (error.name === 'AbortError' || signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+                console.error('Error fetching trend rows:', error);
+                return null;
+            }
+            rows.push(...(data || []));
+            if (!data || data.length < HISTORY_PAGE_SIZE) break;
+        }
+        return rows;
+    }
+
+    // Score history for one deal and its aliases (uses idx_deals_health_history)
+    async function fetchDealScoreHistory(dealKey, signal) {
+        if (!supabaseClient || !dealKey) return [];
+        let query = supabaseClient
+            .from('deals')
+            .select(['upload_id, deal_key, stage, acv, closing_date, health_score', ...HEALTH_COMPONENT_COLUMNS].join(', '))
+            .in('deal_key', expandDealKeys([dealKey], dealAliasIndex.aliases));
+        if (signal) query = query.abortSignal(signal);
+        const { data, error } = await query;
+        if (error) {
+            if (error.name === 'AbortError' || signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+            console.error('Error fetching deal score history:', error);
+            return [];
+        }
+        return data || [];
+    }
+
     async function deleteUpload(uploadId) {
         if (!supabaseClient) return false;
         // Delete deals first (foreign key dependency)
@@ -131,15 +273,18 @@
         return true;
     }
 
-    async function insertUpload(generatedDate, filename, dealCount, scoringConfig) {
+    async function insertUpload(generatedDate, filename, dealCount, scoringConfig, fxRates, rejectionReport, scoringVersionId) {
         if (!supabaseClient) return null;
         const payload = {
             generated_date: generatedDate,
             filename: filename,
             deal_count: dealCount,
-            scoring_config: scoringConfig || null
+            scoring_config: scoringConfig || null,
+            scoring_config_version_id: scoringVersionId ?? null,
+            fx_rates: fxRates || null,
+            rejection_report: rejectionReport || null
         };
-        console.log('insertUpload payload:', JSON.stringify(payload));
+        console.log('insertUpload payload:', JSON.stringify({ ...payload, rejection_report: rejectionReport ? '(report)' : null }));
         const { data, error } = await supabaseClient
             .from('uploads')
             .insert(payload)
@@ -160,8 +305,13 @@
             deal_name: deal.dealName,
             stage: deal.stage,
             acv: deal.acv || 0,
-            closing_date: deal.closingDate ? deal.closingDate.toISOString().slice(0, 10) : null,
-            modified_date: deal.modifiedDate ? deal.modifiedDate.toISOString().slice(0, 10) : null,
+            currency: deal.currency || REPORTING_CURRENCY,
+            acv_original: deal.acvOriginal ?? deal.acv ?? 0,
+            fx_rate: deal.fxRate ?? 1,
+            closing_date: toDateKey(deal.closingDate),
+            // The day in the reporting zone, plus the full timestamp
+            modified_date: toDateKey(deal.modifiedDate, reportingTimeZone),
+            modified_at: deal.modifiedDate ? deal.modifiedDate.toISOString() : null,
             note_content: deal.noteContent,
             description: deal.description,
             notes_summary: deal.notesSummary,
@@ -169,13 +319,11 @@
             notes_canonical: deal.notesCanonical || null,
             notes_hash: deal.notesHash || null,
             notes_count: deal.notesCount || 0,
+            notes: deal.notes || null,
+            ai_extraction: deal.aiExtraction || null,
+            extraction_hash: deal.extractionHash || null,
             health_score: deal.healthScore != null ? deal.healthScore : null,
-            hs_stage_probability: deal.healthComponents?.stageProbability ?? null,
-            hs_velocity: deal.healthComponents?.velocity ?? null,
-            hs_activity_recency: deal.healthComponents?.activityRecency ?? null,
-            hs_close_date: deal.healthComponents?.closeDateIntegrity ?? null,
-            hs_acv: deal.healthComponents?.acv ?? null,
-            hs_notes_signal: deal.healthComponents?.notesSignal ?? null,
+            ...healthComponentsToRow(deal.healthComponents),
             health_debug: deal.healthDebug || null
         }));
 
@@ -190,6 +338,205 @@
         return true;
     }
 
+    // ==================== FX Rates CRUD ====================
+    async function fetchFxRates() {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('fx_rates')
+            .select('currency, rate');
+        if (error) {
+            console.error('Error fetching FX rates:', error);
+            return null;
+        }
+        if (!data || data.length === 0) return null;
+        const rates = {};
+        for (const row of data) {
+            rates[row.currency] = parseFloat(row.rate);
+        }
+        return rates;
+    }
+
+    // Makes the team table exactly `rates`: upserts its rows, then deletes
+    // the currencies it no longer has
+    async function replaceFxRates(rates) {
+        if (!supabaseClient) return false;
+        const rows = Object.entries(rates).map(([currency, rate]) => ({
+            currency,
+            rate,
+            updated_at: new Date().toISOString()
+        }));
+        const { error } = await supabaseClient
+            .from('fx_rates')
+            .upsert(rows, { onConflict: 'currency' });
+        if (error) {
+            console.error('Error saving FX rates:', error);
+            return false;
+        }
+        const { error: deleteError } = await supabaseClient
+            .from('fx_rates')
+            .delete()
+            .not('currency', 'in', `(${Object.keys(rates).join(',')})`);
+        if (deleteError) {
+            console.error('Error removing FX rates:', deleteError);
+            return false;
+        }
+        return true;
+    }
+
+    // ==================== Team Settings CRUD ====================
+    async function fetchTeamSetting(key) {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('team_settings')
+            .select('value')
+            .eq('key', key)
+            .maybeSingle();
+        if (error) {
+            console.error(`Error fetching team setting ${key}:`, error);
+            return null;
+        }
+        return data ? data.value : null;
+    }
+
+    async function upsertTeamSetting(key, value) {
+        if (!supabaseClient) return false;
+        const { error } = await supabaseClient
+            .from('team_settings')
+            .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+        if (error) {
+            console.error(`Error saving team setting ${key}:`, error);
+            return false;
+        }
+        return true;
+    }
+
+    // ==================== Team Scoring Config CRUD ====================
+    // Each publish adds a row; the latest one is the team's config
+    async function fetchTeamScoringConfig() {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('team_scoring_config')
+            .select('id, config, scoring_config_version_id, published_at')
+            .order('published_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+        if (error) {
+            console.error('Error fetching team scoring config:', error);
+            return null;
+        }
+        return data;
+    }
+
+    async function insertTeamScoringConfig(config, scoringVersionId) {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('team_scoring_config')
+            .insert({ config, scoring_config_version_id: scoringVersionId ?? null })
+            .select()
+            .single();
+        if (error) {
+            console.error('Error publishing team scoring config:', error);
+            return null;
+        }
+        return data;
+    }
+
+    // ==================== Scoring Versions CRUD ====================
+    async function fetchScoringVersions() {
+        if (!supabaseClient) return [];
+        const { data, error } = await supabaseClient
+            .from('scoring_config_versions')
+            .select('id, name, config, created_at')
+            .order('created_at', { ascending: false });
+        if (error) {
+            console.error('Error fetching scoring versions:', error);
+            return [];
+        }
+        return data || [];
+    }
+
+    async function insertScoringVersion(name, config) {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('scoring_config_versions')
+            .insert({ name, config })
+            .select()
+            .single();
+        if (error) {
+            console.error('Error saving scoring version:', error);
+            return null;
+        }
+        return data;
+    }
+
+    // Records the config (and version, if any) an upload's stored scores came from
+    async function updateUploadScoring(uploadId, scoringConfig, scoringVersionId) {
+        if (!supabaseClient) return false;
+        const { error } = await supabaseClient
+            .from('uploads')
+            .update({
+                scoring_config: scoringConfig,
+                scoring_config_version_id: scoringVersionId ?? null,
+                rescored_at: new Date().toISOString()
+            })
+            .eq('id', uploadId);
+        if (error) {
+            console.error('Error updating upload scoring:', error);
+            return false;
+        }
+        return true;
+    }
+
+    // updates: [{ id, fields }] - one deals row each
+    async function updateDealScores(updates) {
+        if (!supabaseClient) return false;
+        for (let i = 0; i < updates.length; i += SCORE_UPDATE_CONCURRENCY) {
+            const results = await Promise.all(updates.slice(i, i + SCORE_UPDATE_CONCURRENCY).map(u =>
+                supabaseClient.from('deals').update(u.fields).eq('id', u.id)));
+            const failed = results.find(r => r.error);
+            if (failed) {
+                console.error('Error updating deal scores:', failed.error);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // ==================== Deal Aliases CRUD ====================
+    async function fetchDealLinks() {
+        if (!supabaseClient) return null;
+        const { data, error } = await supabaseClient
+            .from('deal_aliases')
+            .select('alias_key, canonical_key, status, match_score');
+        if (error) {
+            console.error('Error fetching deal aliases:', error);
+            return null;
+        }
+        return (data || []).map(row => ({
+            aliasKey: row.alias_key,
+            canonicalKey: row.canonical_key,
+            status: row.status,
+            score: row.match_score
+        }));
+    }
+
+    async function upsertDealLink(link) {
+        if (!supabaseClient) return false;
+        const { error } = await supabaseClient
+            .from('deal_aliases')
+            .upsert({
+                alias_key: link.aliasKey,
+                canonical_key: link.canonicalKey,
+                status: link.status,
+                match_score: link.score ?? null
+            }, { onConflict: 'alias_key,canonical_key' });
+        if (error) {
+            console.error('Error saving deal alias:', error);
+            return false;
+        }
+        return true;
+    }
+
     // ==================== Deal Owner Contacts CRUD ====================
     async function fetchAllOwnerContacts() {
         if (!supabaseClient) return [];
@@ -262,6 +609,7 @@
         filterUrgency: document.getElementById('filter-urgency'),
         filterChanges: document.getElementById('filter-changes'),
         filterHealth: document.getElementById('filter-health'),
+        filterAISignal: document.getElementById('filter-ai-signal'),
         filterChangesGroup: document.getElementById('filter-changes-group'),
         changesSummaryEl: document.getElementById('changes-summary'),
         resetFiltersBtn: document.getElementById('reset-filters-btn'),
@@ -280,7 +628,8 @@
         datePickerSection: document.getElementById('date-picker-section'),
         dateSelectPrimary: document.getElementById('date-select-primary'),
         dateSelectCompare: document.getElementById('date-select-compare'),
-        loadingOverlay: document.getElementById('loading-overlay')
+        loadingOverlay: document.getElementById('loading-overlay'),
+        loadingCancelBtn: document.getElementById('loading-cancel-btn')
     };
 
     // ==================== Loading State ====================
@@ -291,6 +640,7 @@
 
     function hideLoading() {
         elements.loadingOverlay.classList.add('hidden');
+        elements.loadingCancelBtn.classList.add('hidden');
     }
 
     async function generateAISummaries(deals, notesMap) {
@@ -303,6 +653,8 @@
                 deal_key: deal.dealKey,
                 notes_hash: deal.notesHash,
                 notes_canonical: deal.notesCanonical,
+                // Dated notes, oldest first, when the deal has a timeline
+                notes: deal.notes ? deal.notes.map(note => ({ at: note.at, author: note.author, text: note.text, hash: note.hash })) : undefined,
                 dealName: deal.dealName
             }));
 
@@ -311,7 +663,7 @@
         try {
             console.log(`Requesting AI summaries for ${payload.length} deals...`);
             const { data, error } = await supabaseClient.functions.invoke('summarize-notes', {
-                body: { deals: payload }
+                body: { deals: payload, model: SUMMARY_MODEL_NAME }
             });
 
             if (error) {
@@ -322,15 +674,20 @@
             console.log('AI summary response:', JSON.stringify(data));
             const summaries = data?.summaries;
 
-            // New format: array of { deal_key, notes_hash, summary, cached }
+            // New format: array of { deal_key, notes_hash, summary, cached, mode, failed };
+            // failed deals get the fallback summary
             if (Array.isArray(summaries)) {
                 const result = {};
                 let cachedCount = 0;
+                let incrementalCount = 0;
+                let failedCount = 0;
                 for (const s of summaries) {
                     if (s.summary) result[s.deal_key] = s.summary;
                     if (s.cached) cachedCount++;
+                    if (s.mode === 'incremental') incrementalCount++;
+                    if (s.failed) failedCount++;
                 }
-                console.log(`AI summaries: ${Object.keys(result).length} received, ${cachedCount} from server cache.`);
+                console.log(`AI summaries (${data.model || 'unknown model'}): ${Object.keys(result).length} received, ${cachedCount} from server cache, ${incrementalCount} updated from new notes only, ${failedCount} failed.`);
                 return result;
             }
 
@@ -348,69 +705,211 @@
         }
     }
 
+    // Structured fields (next step, blockers, ...) from the same function in
+    // extract mode; resolves to { dealKey: extraction } or null
+    async function generateAIExtractions(deals) {
+        if (!supabaseClient) return null;
+
+        const payload = deals.map(deal => ({
+            deal_key: deal.dealKey,
+            notes_hash: deal.notesHash,
+            notes_canonical: deal.notesCanonical,
+            notes: deal.notes ? deal.notes.map(note => ({ at: note.at, author: note.author, text: note.text, hash: note.hash })) : undefined,
+            dealName: deal.dealName
+        }));
+
+        try {
+            console.log(`Requesting AI extraction for ${payload.length} deals...`);
+            const { data, error } = await supabaseClient.functions.invoke('summarize-notes', {
+                body: { deals: payload, mode: 'extract', model: SUMMARY_MODEL_NAME }
+            });
+
+            if (error) {
+                console.warn('AI extraction failed:', error.message);
+                return null;
+            }
+
+            if (!Array.isArray(data?.extractions)) {
+                console.warn('AI extraction response missing extractions field:', data);
+                return null;
+            }
+
+            const result = {};
+            let cachedCount = 0;
+            let failedCount = 0;
+            for (const e of data.extractions) {
+                const extraction = normalizeExtraction(e.extraction);
+                if (extraction) result[e.deal_key] = extraction;
+                if (e.cached) cachedCount++;
+                if (e.failed) failedCount++;
+            }
+            console.log(`AI extractions (${data.model || 'unknown model'}): ${Object.keys(result).length} received, ${cachedCount} from server cache, ${failedCount} failed.`);
+            return result;
+        } catch (e) {
+            console.warn('AI extraction failed:', e);
+            return null;
+        }
+    }
+
     // ==================== Diff ====================
+    // Field-level diff (js/diff.js); newer deals are tagged in place and the
+    // returned summary lists removed deals as ghost rows. Also refreshes the
+    // identity match suggestions between the two lists.
     function diffDeals(oldDeals, newDeals) {
-        // Build lookup from old deals
-        const oldMap = new Map();
-        for (const deal of oldDeals) {
-            oldMap.set(deal.dealKey || makeDealKey(deal.dealName, deal.dealOwner), deal);
-        }
-
-        let newCount = 0;
-        let updatedCount = 0;
-        let unchangedCount = 0;
-
-        // Tag each new deal
-        const newKeys = new Set();
-        for (const deal of newDeals) {
-            const key = deal.dealKey || makeDealKey(deal.dealName, deal.dealOwner);
-            newKeys.add(key);
-            const old = oldMap.get(key);
-
-            if (!old) {
-                deal.changeType = 'new';
-                deal.changes = [];
-                newCount++;
-            } else {
-                const changes = [];
-                if (deal.stage !== old.stage) {
-                    changes.push(`Stage: ${old.stage || '-'} \u2192 ${deal.stage || '-'}`);
-                }
-                if (Math.round(deal.acv || 0) !== Math.round(old.acv || 0)) {
-                    changes.push(`ACV: ${formatCurrencyCompact(old.acv)} \u2192 ${formatCurrencyCompact(deal.acv)}`);
-                }
-                if ((deal.noteContent || '').trim() !== (old.noteContent || '').trim()) {
-                    changes.push('Note updated');
-                }
+        diffBaseline = oldDeals;
+        matchSuggestions = suggestMatches(oldDeals, newDeals, { rejected: dealAliasIndex.rejected });
+        return computeDiff(oldDeals, newDeals, { stageRank });
+    }
 
-                if (changes.length > 0) {
-                    deal.changeType = 'updated';
-                    deal.changes = changes;
-                    updatedCount++;
-                } else {
-                    deal.changeType = 'unchanged';
-                    deal.changes = [];
-                    unchangedCount++;
-                }
-            }
+    // Stage order for regression detection: the active scoring config's stage
+    // order, with won stages above and lost stages below every open stage
+    function stageRank(stage) {
+        return rankInStageOrder(stage, resolveStageOrder(buildScoringConfigArg()));
+    }
+
+    // Listed stages in stage order, then unlisted ones alphabetically
+    function compareStages(a, b, stageOrder) {
+        const posA = stagePosition(a, stageOrder);
+        const posB = stagePosition(b, stageOrder);
+        if (posA !== posB) return posA == null ? 1 : posB == null ? -1 : posA - posB;
+        const nameA = (a || '').toLowerCase();
+        const nameB = (b || '').toLowerCase();
+        return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+    }
+
+    // Display text for a change record (or a pre-record plain string)
+    function describeChange(change) {
+        if (typeof change === 'string') return change;
+        const from = formatChangeValue(change.field, change.oldValue);
+        const to = formatChangeValue(change.field, change.newValue);
+        switch (change.field) {
+            case 'noteContent': return 'Note updated';
+            case 'notesSummary': return 'Summary changed';
+            case 'notesCount': return `${change.newValue - change.oldValue > 0 ? '+' : ''}${change.newValue - change.oldValue} notes`;
+            case 'healthScore': return `Health: ${from} \u2192 ${to} (${change.newValue > change.oldValue ? '+' : ''}${change.newValue - change.oldValue})`;
+            default: return `${change.label}: ${from} \u2192 ${to}`;
+        }
+    }
+
+    function formatChangeValue(field, value) {
+        if (value == null || value === '') return '-';
+        if (field === 'acv') return formatCurrencyCompact(value);
+        if (field === 'closingDate') return formatDateKey(value);
+        return String(value);
+    }
+
+    // ==================== Deal Identity ====================
+    // Confirmed links map a deal's new key (after a rename or reassignment)
+    // to the key it was first seen under; rejected links stop a suggestion
+    // from coming back. Stored in localStorage and shared via deal_aliases.
+    let dealAliasIndex = buildAliasIndex(loadDealLinks());
+    let diffBaseline = null;
+    let matchSuggestions = [];
+
+    function loadDealLinks() {
+        try {
+            const data = localStorage.getItem(DEAL_LINKS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.error('Failed to load deal links:', e);
+            return [];
         }
+    }
 
-        // Count removed deals
-        let removedCount = 0;
-        for (const key of oldMap.keys()) {
-            if (!newKeys.has(key)) removedCount++;
+    function saveDealLinks(links) {
+        try {
+            localStorage.setItem(DEAL_LINKS_KEY, JSON.stringify(links));
+        } catch (e) {
+            console.error('Failed to save deal links:', e);
         }
+        dealAliasIndex = buildAliasIndex(links);
+    }
 
-        return {
-            newCount,
-            updatedCount,
-            removedCount,
-            unchangedCount
-        };
+    // Team links (Supabase) win over local ones for the same pair
+    function mergeDealLinks(links) {
+        const byPair = new Map(loadDealLinks().map(l => [`${l.aliasKey}=>${l.canonicalKey}`, l]));
+        for (const link of links) byPair.set(`${link.aliasKey}=>${link.canonicalKey}`, link);
+        saveDealLinks([...byPair.values()]);
+    }
+
+    async function recordDealLink(link) {
+        mergeDealLinks([link]);
+        if (isOnline) await upsertDealLink(link);
+    }
+
+    function openMatchModal() {
+        renderMatchSuggestions();
+        document.getElementById('match-modal').classList.remove('hidden');
+    }
+
+    function closeMatchModal() {
+        document.getElementById('match-modal').classList.add('hidden');
+    }
+
+    function renderMatchSuggestions() {
+        const list = document.getElementById('match-suggestions');
+        if (matchSuggestions.length === 0) {
+            list.innerHTML = '<p class="text-sm text-slate-400 italic">No possible matches left to review.</p>';
+            return;
+        }
+        const side = (title, deal) => `
+            <div class="flex-1 min-w-0">
+                <div class="text-[0.6875rem] font-semibold text-slate-500 uppercase tracking-widest mb-1">${title}</div>
+                <div class="font-medium text-slate-800 truncate">${escapeHTML(deal.dealName)}</div>
+                <div class="text-xs text-slate-500">${escapeHTML(deal.dealOwner || '-')} &middot; ${escapeHTML(deal.stage || '-')} &middot; ${formatCurrencyCompact(deal.acv || 0)} &middot; ${formatDate(deal.closingDate ? new Date(deal.closingDate) : null)}</div>
+            </div>`;
+        list.innerHTML = matchSuggestions.map((m, i) => `
+            <div class="border border-slate-200 rounded-lg p-3 mb-3">
+                <div class="flex gap-4 items-start">
+                    ${side('Previously', m.oldDeal)}
+                    <span class="text-slate-400 pt-5">&rarr;</span>
+                    ${side('Now', m.newDeal)}
+                </div>
+                <div class="flex items-center gap-2 mt-2">
+                    <span class="text-xs font-semibold text-slate-700">${Math.round(m.score * 100)}% match</span>
+                    <span class="text-xs text-slate-500 flex-1">${escapeHTML(m.reasons.join(' \u00b7 '))}</span>
+                    <button class="text-xs px-3 py-1 rounded-lg border border-slate-200 bg-white text-slate-600 hover:bg-slate-100" data-match-reject="${i}">Not the same deal</button>
+                    <button class="text-xs px-3 py-1 rounded-lg bg-blue-600 text-white hover:bg-blue-700" data-match-confirm="${i}">Same deal</button>
+                </div>
+            </div>`).join('');
+        list.querySelectorAll('[data-match-confirm]').forEach(btn => {
+            btn.addEventListener('click', () => resolveMatchSuggestion(parseInt(btn.dataset.matchConfirm, 10), true));
+        });
+        list.querySelectorAll('[data-match-reject]').forEach(btn => {
+            btn.addEventListener('click', () => resolveMatchSuggestion(parseInt(btn.dataset.matchReject, 10), false));
+        });
+    }
+
+    // Confirm: the new key becomes an alias of the old deal's canonical key,
+    // and the current comparison is re-run so the pair shows as one deal
+    async function resolveMatchSuggestion(index, confirmed) {
+        const match = matchSuggestions[index];
+        if (!match) return;
+        await recordDealLink({
+            aliasKey: match.aliasKey,
+            canonicalKey: resolveDealKey(match.canonicalKey, dealAliasIndex.aliases),
+            status: confirmed ? 'confirmed' : 'rejected',
+            score: match.score
+        });
+        matchSuggestions.splice(index, 1);
+
+        if (confirmed && diffBaseline) {
+            for (const deal of [...diffBaseline, ...allDeals]) {
+                deal.dealKey = resolveDealKey(deal.dealKey, dealAliasIndex.aliases);
+            }
+            changesSummary = diffDeals(diffBaseline, allDeals);
+            saveToStorage(allDeals);
+            applyFilters();
+        }
+        renderChangesSummary();
+        renderMatchSuggestions();
     }
 
     // ==================== Health Score ====================
-    function loadScoringConfig() {
+    // Scores come from this browser's saved settings (a personal override)
+    // when there are any, else from the team config published to Supabase
+    // (cached locally for offline use), else from the defaults.
+    function loadPersonalScoringConfig() {
         try {
             const raw = localStorage.getItem(SCORING_CONFIG_KEY);
             if (raw) return JSON.parse(raw);
@@ -418,12 +917,76 @@
         return null;
     }
 
+    // { config, versionId, publishedAt } or null
+    function loadTeamScoringConfig() {
+        try {
+            const raw = localStorage.getItem(TEAM_SCORING_CONFIG_KEY);
+            if (raw) return JSON.parse(raw);
+        } catch (e) { /* ignore */ }
+        return null;
+    }
+
+    function saveTeamScoringConfig(team) {
+        try {
+            localStorage.setItem(TEAM_SCORING_CONFIG_KEY, JSON.stringify(team));
+        } catch (e) {
+            console.error('Failed to save team scoring config:', e);
+        }
+    }
+
+    function loadScoringConfig() {
+        const team = loadTeamScoringConfig();
+        return loadPersonalScoringConfig() || (team ? team.config : null);
+    }
+
+    // Settings identical to the team's are not kept as an override, so later
+    // team publishes still apply
     function saveScoringConfig(config) {
+        const team = loadTeamScoringConfig();
         try {
-            localStorage.setItem(SCORING_CONFIG_KEY, JSON.stringify(config));
+            if (team && JSON.stringify(team.config) === JSON.stringify(config)) {
+                localStorage.removeItem(SCORING_CONFIG_KEY);
+            } else {
+                localStorage.setItem(SCORING_CONFIG_KEY, JSON.stringify(config));
+            }
         } catch (e) {
             console.error('Failed to save scoring config:', e);
         }
+        renderScoringSource();
+    }
+
+    function hasPersonalScoringOverride() {
+        return loadPersonalScoringConfig() !== null;
+    }
+
+    // Header badge and scoring modal note saying where the scores come from
+    function renderScoringSource() {
+        const team = loadTeamScoringConfig();
+        const personal = hasPersonalScoringOverride();
+        document.getElementById('scoring-override-badge').classList.toggle('hidden', !personal);
+
+        const note = document.getElementById('scoring-source');
+        const published = team ? `published ${escapeHTML(formatDateTime(new Date(team.publishedAt)))}` : '';
+        if (personal) {
+            note.className = 'mx-6 mb-3 px-3 py-2 rounded-lg text-xs border border-amber-200 bg-amber-50 text-amber-800';
+            note.innerHTML = '<span class="font-semibold uppercase tracking-wide">Personal override</span> &middot; ' +
+                (team ? `Scores in this browser differ from the team settings (${published}).`
+                      : 'Scores in this browser differ from the defaults the team sees.');
+        } else {
+            note.className = 'mx-6 mb-3 px-3 py-2 rounded-lg text-xs border border-slate-200 bg-slate-50 text-slate-600';
+            note.innerHTML = team ? `Using the team settings, ${published}.` : 'Using the default settings; no team settings have been published.';
+        }
+        document.getElementById('scoring-reset-btn').textContent = team ? 'Use Team Settings' : 'Reset to Defaults';
+        document.getElementById('scoring-publish-btn').classList.toggle('hidden', !isOnline);
+    }
+
+    async function loadTeamScoring() {
+        const row = await fetchTeamScoringConfig();
+        if (row) {
+            saveTeamScoringConfig({ config: row.config, versionId: row.scoring_config_version_id ?? null, publishedAt: row.published_at });
+        }
+        renderScoringSource();
+        renderHealthFilterOptions();
     }
 
     function buildScoringConfigArg() {
@@ -434,38 +997,186 @@
         if (saved.stageScoreMap) config.stageScoreMap = saved.stageScoreMap;
         if (saved.positiveKeywords) config.positiveKeywords = saved.positiveKeywords;
         if (saved.negativeKeywords) config.negativeKeywords = saved.negativeKeywords;
+        if (saved.notesRules) config.notesRules = saved.notesRules;
+        if (saved.notesSignal) config.notesSignal = saved.notesSignal;
+        if (saved.curves) config.curves = saved.curves;
+        if (saved.closeDatePenalties) config.closeDatePenalties = saved.closeDatePenalties;
+        if (saved.healthLevels) config.healthLevels = saved.healthLevels;
+        if (saved.stageOrder) config.stageOrder = saved.stageOrder;
+        if (saved.pinnedBenchmarks) config.pinnedBenchmarks = saved.pinnedBenchmarks;
+        if (saved.benchmarkMinSamples) config.benchmarkMinSamples = saved.benchmarkMinSamples;
         return config;
     }
 
-    function attachHealthScores(deals) {
-        const context = buildHealthContext(deals);
-        const config = buildScoringConfigArg();
-        for (const deal of deals) {
-            const result = computeDealHealthScore(deal, context, config);
-            deal.healthScore = result.score;
-            deal.healthComponents = result.components;
-            deal.healthDebug = result.debug;
-        }
+    // Every setting at its default, for the upload's scoring config snapshot
+    function defaultScoringConfig() {
+        return {
+            weights: defaultWeights(),
+            stageScoreMap: { ...DEFAULT_STAGE_SCORES },
+            notesRules: defaultNotesRules(),
+            notesSignal: { ...DEFAULT_NOTES_SIGNAL, negationCues: [...DEFAULT_NOTES_SIGNAL.negationCues] },
+            curves: defaultCurves(),
+            closeDatePenalties: { ...DEFAULT_CLOSE_DATE_PENALTIES },
+            healthLevels: { ...DEFAULT_HEALTH_LEVELS },
+            pinnedBenchmarks: {},
+            benchmarkMinSamples: DEFAULT_BENCHMARK_MIN_SAMPLES
+        };
     }
 
-    function attachHealthScoresIfMissing(deals) {
-        const needsScoring = deals.filter(d => d.healthScore == null);
-        if (needsScoring.length === 0) return;
-        if (needsScoring.length === deals.length) {
-            attachHealthScores(deals);
-            return;
-        }
-        // Partial: recompute only missing, using full dataset for context
-        const context = buildHealthContext(deals);
-        const config = buildScoringConfigArg();
-        for (const deal of needsScoring) {
-            const result = computeDealHealthScore(deal, context, config);
+    // Complete config as recorded on an upload (uploads.scoring_config)
+    function snapshotScoringConfig(config) {
+        return { ...defaultScoringConfig(), ...config, stageOrder: resolveStageOrder(config) };
+    }
+
+    // The scoring version the active settings were taken from, while they
+    // still match it: { id, name, config } or null
+    function activeScoringVersion() {
+        try {
+            const version = JSON.parse(localStorage.getItem(SCORING_VERSION_KEY));
+            if (version && JSON.stringify(version.config) === JSON.stringify(loadScoringConfig())) return version;
+        } catch (e) { /* ignore */ }
+        return null;
+    }
+
+    function setActiveScoringVersion(version) {
+        try {
+            localStorage.setItem(SCORING_VERSION_KEY, JSON.stringify({ id: version.id, name: version.name, config: version.config }));
+        } catch (e) {
+            console.error('Failed to save scoring version:', e);
+        }
+    }
+
+    function currentHealthLevels() {
+        return (buildScoringConfigArg() || {}).healthLevels || DEFAULT_HEALTH_LEVELS;
+    }
+
+    // Config the loaded deals' scores came from, for explaining them
+    let displayedScoringConfig;
+
+    function attachHealthScores(deals, config = buildScoringConfigArg()) {
+        displayedScoringConfig = config;
+        const context = buildHealthContext(deals, { timeZone: reportingTimeZone, config });
+        for (const deal of deals) {
+            const result = computeDealHealthScore(deal, context, config);
+            deal.healthScore = result.score;
+            deal.healthComponents = result.components;
+            deal.healthDebug = result.debug;
+        }
+    }
+
+    // config: the scoring config the stored scores came from (a past upload's
+    // snapshot), so the missing ones are scored the same way
+    function attachHealthScoresIfMissing(deals, config = buildScoringConfigArg()) {
+        displayedScoringConfig = config;
+        const needsScoring = deals.filter(d => d.healthScore == null);
+        if (needsScoring.length === 0) return;
+        if (needsScoring.length === deals.length) {
+            attachHealthScores(deals, config);
+            return;
+        }
+        // Partial: recompute only missing, using full dataset for context
+        const context = buildHealthContext(deals, { timeZone: reportingTimeZone, config });
+        for (const deal of needsScoring) {
+            const result = computeDealHealthScore(deal, context, config);
             deal.healthScore = result.score;
             deal.healthComponents = result.components;
             deal.healthDebug = result.debug;
         }
     }
 
+    // ==================== FX Rates ====================
+    // The saved table as entered (a removed currency stays removed); the
+    // defaults only until a table is saved
+    function loadFxRates() {
+        try {
+            const raw = localStorage.getItem(FX_RATES_KEY);
+            if (raw) return JSON.parse(raw);
+        } catch (e) { /* ignore */ }
+        return { ...DEFAULT_FX_RATES };
+    }
+
+    function saveFxRates(rates) {
+        try {
+            localStorage.setItem(FX_RATES_KEY, JSON.stringify(rates));
+        } catch (e) {
+            console.error('Failed to save FX rates:', e);
+        }
+    }
+
+    // ==================== Reporting Time Zone ====================
+    // IANA zone the team counts days in (days since update, days until
+    // closing, stored modified_date keys). Cached locally, shared through the
+    // Supabase team_settings table.
+    function loadReportingTimeZone() {
+        const stored = localStorage.getItem(REPORTING_TIME_ZONE_KEY);
+        return isValidTimeZone(stored) ? stored : DEFAULT_REPORTING_TIME_ZONE;
+    }
+
+    function saveReportingTimeZone(timeZone) {
+        reportingTimeZone = timeZone;
+        try {
+            localStorage.setItem(REPORTING_TIME_ZONE_KEY, timeZone);
+        } catch (e) {
+            console.error('Failed to save reporting time zone:', e);
+        }
+    }
+
+    let reportingTimeZone = loadReportingTimeZone();
+
+    // Day counts depend on the zone; recompute them for deals already loaded
+    function refreshDayCounts(deals) {
+        for (const deal of deals) {
+            deal.daysSince = calculateDaysSince(deal.modifiedDate, undefined, reportingTimeZone);
+            deal.urgency = getUrgencyLevel(deal.daysSince);
+            deal.daysUntilClosing = calculateDaysUntilClosing(deal.closingDate, undefined, reportingTimeZone);
+            deal.closingStatus = getClosingStatus(deal.daysUntilClosing);
+        }
+    }
+
+    // ==================== Date Formats ====================
+    // { closingDate, modifiedDate }: a DATE_FORMATS id, 'auto' = detect per file
+    function loadDateFormats() {
+        const formats = {};
+        for (const field of DATE_FIELDS) formats[field.id] = 'auto';
+        try {
+            const raw = localStorage.getItem(DATE_FORMATS_KEY);
+            if (raw) return { ...formats, ...JSON.parse(raw) };
+        } catch (e) { /* ignore */ }
+        return formats;
+    }
+
+    function saveDateFormats(formats) {
+        try {
+            localStorage.setItem(DATE_FORMATS_KEY, JSON.stringify(formats));
+        } catch (e) {
+            console.error('Failed to save date formats:', e);
+        }
+    }
+
+    // ==================== Column Mapping Profiles ====================
+    function loadMappingProfiles() {
+        try {
+            const raw = localStorage.getItem(MAPPING_PROFILES_KEY);
+            if (raw) return JSON.parse(raw);
+        } catch (e) { /* ignore */ }
+        return [];
+    }
+
+    function saveMappingProfiles(profiles) {
+        try {
+            localStorage.setItem(MAPPING_PROFILES_KEY, JSON.stringify(profiles));
+        } catch (e) {
+            console.error('Failed to save mapping profiles:', e);
+        }
+    }
+
+    function saveMappingProfile(name, signature, mapping) {
+        // One profile per header signature; saving again replaces it
+        const profiles = loadMappingProfiles().filter(p => p.signature !== signature && p.name !== name);
+        profiles.push({ name, signature, mapping, updatedAt: new Date().toISOString() });
+        saveMappingProfiles(profiles);
+    }
+
     // ==================== Storage (offline fallback) ====================
     function saveToStorage(deals) {
         try {
@@ -484,8 +1195,8 @@
                 return deals.map(deal => {
                     const closingDate = deal.closingDate ? new Date(deal.closingDate) : null;
                     const modifiedDate = deal.modifiedDate ? new Date(deal.modifiedDate) : null;
-                    const daysSince = calculateDaysSince(modifiedDate);
-                    const daysUntilClosing = calculateDaysUntilClosing(closingDate);
+                    const daysSince = calculateDaysSince(modifiedDate, undefined, reportingTimeZone);
+                    const daysUntilClosing = calculateDaysUntilClosing(closingDate, undefined, reportingTimeZone);
                     return {
                         ...deal,
                         closingDate,
@@ -526,6 +1237,8 @@
     function clearLocalData() {
         if (!confirm('Clear all locally stored deal data? This cannot be undone.')) return;
         localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(TREND_SNAPSHOTS_KEY);
+        localStorage.removeItem(INGEST_REPORT_KEY);
         localStorage.setItem(SCHEMA_VERSION_KEY, String(SCHEMA_VERSION));
         location.reload();
     }
@@ -546,13 +1259,16 @@
         primarySelect.disabled = false;
         compareSelect.disabled = false;
 
-        const uploads = await fetchUploadDates();
+        const [uploads, versions] = await Promise.all([fetchUploadDates(), fetchScoringVersions()]);
+        uploadsCache = uploads;
+        scoringVersions = versions;
 
         primarySelect.innerHTML = '<option value="">Select a date...</option>';
         compareSelect.innerHTML = '<option value="">None (no comparison)</option>';
 
         for (const upload of uploads) {
-            const label = formatUploadLabel(upload);
+            const versionName = scoringVersionName(upload.scoring_config_version_id);
+            const label = formatUploadLabel(upload) + (versionName ? ` - scored with ${versionName}` : '');
 
             const opt1 = document.createElement('option');
             opt1.value = upload.id;
@@ -568,31 +1284,33 @@
     }
 
     function formatUploadLabel(upload) {
-        const date = new Date(upload.generated_date + 'T00:00:00');
-        const formatted = date.toLocaleDateString('en-CA', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+        const formatted = formatDateKey(upload.generated_date);
         const uploadTime = new Date(upload.uploaded_at).toLocaleTimeString('en-CA', {
             hour: 'numeric',
-            minute: '2-digit'
+            minute: '2-digit',
+            timeZone: reportingTimeZone
         });
         return `${formatted} (${upload.deal_count} deals) - uploaded ${uploadTime}`;
     }
 
     function supabaseRowToInternal(row) {
-        const closingDate = row.closing_date ? new Date(row.closing_date + 'T00:00:00') : null;
-        const modifiedDate = row.modified_date ? new Date(row.modified_date + 'T00:00:00') : null;
-        const daysSince = calculateDaysSince(modifiedDate);
-        const daysUntilClosing = calculateDaysUntilClosing(closingDate);
+        const closingDate = dateKeyToCalendarDate(row.closing_date);
+        // Rows stored before modified_at only have the day: its start in the reporting zone
+        const modifiedDate = row.modified_at ? new Date(row.modified_at)
+            : row.modified_date ? parseTimestamp(row.modified_date, 'iso', reportingTimeZone) : null;
+        const daysSince = calculateDaysSince(modifiedDate, undefined, reportingTimeZone);
+        const daysUntilClosing = calculateDaysUntilClosing(closingDate, undefined, reportingTimeZone);
+        const acv = parseFloat(row.acv) || 0;
         const deal = {
             dealOwner: row.deal_owner,
             dealName: row.deal_name,
-            dealKey: row.deal_key || null,
+            dealKey: resolveDealKey(row.deal_key || null, dealAliasIndex.aliases),
             stage: row.stage,
-            acv: parseFloat(row.acv) || 0,
-            acvFormatted: formatCurrency(parseFloat(row.acv) || 0),
+            acv,
+            acvFormatted: formatCurrency(acv),
+            currency: row.currency || REPORTING_CURRENCY,
+            acvOriginal: row.acv_original != null ? parseFloat(row.acv_original) : acv,
+            fxRate: row.fx_rate != null ? parseFloat(row.fx_rate) : 1,
             closingDate,
             modifiedDate,
             daysSince,
@@ -603,27 +1321,93 @@
             notesCanonical: row.notes_canonical || '',
             notesHash: row.notes_hash || '',
             notesCount: row.notes_count || 0,
+            notes: Array.isArray(row.notes) ? row.notes : null,
             description: row.description || '',
-            notesSummary: row.notes_summary || ''
+            notesSummary: row.notes_summary || '',
+            aiExtraction: normalizeExtraction(row.ai_extraction),
+            extractionHash: row.extraction_hash || null
         };
 
         // Restore stored health score if available
         if (row.health_score != null) {
             deal.healthScore = row.health_score;
-            deal.healthComponents = {
-                stageProbability: row.hs_stage_probability,
-                velocity: row.hs_velocity,
-                activityRecency: row.hs_activity_recency,
-                closeDateIntegrity: row.hs_close_date,
-                acv: row.hs_acv,
-                notesSignal: row.hs_notes_signal
-            };
+            deal.healthComponents = rowToHealthComponents(row);
             deal.healthDebug = row.health_debug || null;
         }
 
         return deal;
     }
 
+    // ==================== Deal History ====================
+    // Maps whichever columns were selected; score columns are optional
+    function historyRowToDeal(row) {
+        const deal = {
+            dealKey: resolveDealKey(row.deal_key, dealAliasIndex.aliases),
+            stage: row.stage,
+            closingDate: row.closing_date
+        };
+        if (row.acv !== undefined) deal.acv = parseFloat(row.acv) || 0;
+        if (row.health_score !== undefined) {
+            deal.healthScore = row.health_score;
+            deal.healthComponents = row.health_score != null ? rowToHealthComponents(row) : null;
+        }
+        return deal;
+    }
+
+    // Upload snapshots from Supabase containing any of the given deals
+    async function loadHistorySnapshots(dealKeys, signal) {
+        const rows = await fetchDealHistoryRows(expandDealKeys(dealKeys, dealAliasIndex.aliases), signal);
+        return rowsToSnapshots(rows);
+    }
+
+    // Groups deal rows by upload, ordered by the uploads they belong to
+    async function rowsToSnapshots(rows) {
+        if (rows.length === 0) return [];
+        // Refresh the upload list if rows reference an upload we haven't seen
+        const known = new Set(uploadsCache.map(u => String(u.id)));
+        if (rows.some(row => !known.has(String(row.upload_id)))) uploadsCache = await fetchUploadDates();
+
+        const byUpload = new Map();
+        for (const row of rows) {
+            if (!byUpload.has(row.upload_id)) byUpload.set(row.upload_id, []);
+            byUpload.get(row.upload_id).push(historyRowToDeal(row));
+        }
+        const snapshots = [];
+        for (const upload of uploadsCache) {
+            if (!byUpload.has(upload.id)) continue;
+            snapshots.push({
+                uploadId: upload.id,
+                generatedDate: upload.generated_date,
+                uploadedAt: upload.uploaded_at,
+                deals: byUpload.get(upload.id)
+            });
+        }
+        return snapshots;
+    }
+
+    // Rebuild each deal's stage and close date history from earlier uploads:
+    // real days-in-stage for the Velocity component and close date slippage
+    // for the Close Date Integrity component. `asOf` identifies the
+    // upload the deals belong to: { uploadId, generatedDate, uploadedAt }.
+    async function attachDealHistory(deals, asOf, signal) {
+        if (!isOnline || deals.length === 0) return;
+        const dealKeys = [...new Set(deals.map(d => d.dealKey).filter(Boolean))];
+        const stored = await loadHistorySnapshots(dealKeys, signal);
+        attachUploadHistory(deals, asOf, stored);
+    }
+
+    // Health score per upload for one deal, for the modal trend chart
+    async function loadScoreHistory(dealKey, signal) {
+        const rows = await fetchDealScoreHistory(dealKey, signal);
+        const snapshots = await rowsToSnapshots(rows);
+        const timelines = buildDealTimelines(snapshots);
+        return buildScoreHistory(timelines.get(dealKey) || []);
+    }
+
+    function findCachedUpload(uploadId) {
+        return uploadsCache.find(u => String(u.id) === String(uploadId)) || null;
+    }
+
     async function loadUploadById(uploadId, signal) {
         const rawDeals = await fetchDealsByUploadId(uploadId, signal);
         return rawDeals.map(supabaseRowToInternal);
@@ -643,7 +1427,15 @@
         showLoading();
         try {
             const primaryDeals = await loadUploadById(primaryId, signal);
-            attachHealthScoresIfMissing(primaryDeals);
+            const primaryUpload = findCachedUpload(primaryId);
+            if (primaryUpload) {
+                await attachDealHistory(primaryDeals, {
+                    uploadId: primaryUpload.id,
+                    generatedDate: primaryUpload.generated_date,
+                    uploadedAt: primaryUpload.uploaded_at
+                }, signal);
+            }
+            attachHealthScoresIfMissing(primaryDeals, primaryUpload?.scoring_config || undefined);
 
             if (compareId) {
                 const compareDeals = await loadUploadById(compareId, signal);
@@ -651,9 +1443,11 @@
                 changesSummary = diffDeals(compareDeals, primaryDeals);
             } else {
                 changesSummary = null;
+                matchSuggestions = [];
                 for (const deal of primaryDeals) {
                     deal.changeType = null;
                     deal.changes = [];
+                    deal.changeCategories = [];
                 }
             }
 
@@ -678,12 +1472,28 @@
     }
 
     // ==================== UI Rendering ====================
-    function formatDate(date) {
+    // Calendar dates (closing date) are shown as written; pass the reporting
+    // zone for timestamps (modified time) to show their day there
+    function formatDate(date, timeZone) {
         if (!date) return '-';
         return date.toLocaleDateString('en-CA', {
             year: 'numeric',
             month: 'short',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: timeZone || 'UTC'
+        });
+    }
+
+    function formatDateTime(date) {
+        if (!date) return '-';
+        return date.toLocaleString('en-CA', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: reportingTimeZone,
+            timeZoneName: 'short'
         });
     }
 
@@ -792,6 +1602,12 @@
         });
     }
 
+    // Original-currency amount for deals converted into the reporting currency
+    function formatOriginalAcv(deal) {
+        if (!deal.currency || deal.currency === REPORTING_CURRENCY) return '';
+        return `${formatCurrency(deal.acvOriginal || 0, deal.currency)} @ ${deal.fxRate}`;
+    }
+
     function formatCurrencyCompact(value) {
         if (value >= 1000000) {
             return '$' + (value / 1000000).toFixed(1) + 'M';
@@ -810,28 +1626,33 @@
         }
         elements.noResults.classList.add('hidden');
 
+        const healthLevels = currentHealthLevels();
         for (const deal of deals) {
             const row = document.createElement('tr');
             row.style.cursor = 'pointer';
-            if (deal.changeType === 'new' || deal.changeType === 'updated') {
+            if (deal.changeType === 'new' || deal.changeType === 'updated' || deal.changeType === 'removed') {
                 row.classList.add(`change--${deal.changeType}`);
             }
             const changeDetail = deal.changeType === 'updated' && deal.changes && deal.changes.length > 0
-                ? `<div class="text-[0.6875rem] text-blue-600 mt-1">${deal.changes.map(c => escapeHTML(c)).join(' &middot; ')}</div>`
+                ? `<div class="text-[0.6875rem] text-blue-600 mt-1">${deal.changes.map(c => escapeHTML(describeChange(c))).join(' &middot; ')}</div>`
                 : deal.changeType === 'new'
                 ? '<div class="text-[0.6875rem] text-blue-600 mt-1">New deal</div>'
+                : deal.changeType === 'removed'
+                ? '<div class="text-[0.6875rem] text-red-600 mt-1">Removed since the compared upload</div>'
                 : '';
             const closingBadge = deal.closingStatus && CLOSING_CLASSES[deal.closingStatus]
                 ? ` <span class="${CLOSING_CLASSES[deal.closingStatus]}">${deal.closingStatus === 'overdue' ? 'Overdue' : 'Closing Soon'}</span>`
                 : '';
-            const healthLevel = getHealthLevel(deal.healthScore || 0);
+            const healthLevel = getHealthLevel(deal.healthScore || 0, healthLevels);
             row.innerHTML = `
                 <td class="${TD}">${escapeHTML(deal.dealOwner)}</td>
                 <td class="${TD}">${escapeHTML(deal.dealName)}${changeDetail}</td>
                 <td class="${TD}">${escapeHTML(deal.stage)}</td>
-                <td class="${TD} tabular-nums text-right">${deal.acvFormatted}</td>
+                <td class="${TD} tabular-nums text-right">${deal.acvFormatted}${formatOriginalAcv(deal)
+                    ? `<div class="text-[0.6875rem] text-slate-500">${escapeHTML(formatOriginalAcv(deal))}</div>` : ''}</td>
                 <td class="${TD} tabular-nums">${formatDate(deal.closingDate)}${closingBadge}</td>
-                <td class="${TD} tabular-nums">${formatDate(deal.modifiedDate)}</td>
+                <td class="${TD} tabular-nums">${formatCloseDateSlips(deal)}</td>
+                <td class="${TD} tabular-nums">${formatDate(deal.modifiedDate, reportingTimeZone)}</td>
                 <td class="${TD}">
                     <span class="${URGENCY_CLASSES[deal.urgency] || URGENCY_CLASSES.fresh}">
                         ${deal.daysSince} days
@@ -842,12 +1663,7 @@
                         ${deal.healthScore != null ? deal.healthScore : '-'}
                     </span>
                     ${deal.healthComponents ? `<div class="health-popover">
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">Stage</span><span class="font-medium">${deal.healthComponents.stageProbability}</span></div>
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">Velocity</span><span class="font-medium">${deal.healthComponents.velocity}</span></div>
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">Recency</span><span class="font-medium">${deal.healthComponents.activityRecency}</span></div>
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">Close Date</span><span class="font-medium">${deal.healthComponents.closeDateIntegrity}</span></div>
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">ACV</span><span class="font-medium">${deal.healthComponents.acv}</span></div>
-                        <div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">Notes</span><span class="font-medium">${deal.healthComponents.notesSignal}</span></div>
+                        ${getHealthComponents().map(c => `<div class="flex justify-between gap-3 text-xs"><span class="text-slate-500">${c.shortLabel}</span><span class="font-medium">${deal.healthComponents[c.id] ?? '-'}</span></div>`).join('')}
                     </div>` : ''}
                 </td>
             `;
@@ -856,6 +1672,92 @@
         }
     }
 
+    // ==================== Charts ====================
+    // Inline SVG line charts (no chart library). One x step per label; null
+    // values break the line rather than dropping to zero.
+    //   series:  [{ label, color, values, width?, dots? }]
+    //   options: { yMax?, minYMax?, formatY?, markers?: [{ index, text, title }],
+    //              highlightIndex?, ariaLabel? }
+    function renderLineChart(labels, series, options = {}) {
+        const W = 820, H = 200;
+        const PAD = { left: 44, right: 16, top: 14, bottom: 26 };
+        const plotW = W - PAD.left - PAD.right;
+        const plotH = H - PAD.top - PAD.bottom;
+        const formatY = options.formatY || (v => String(v));
+        const dataMax = Math.max(0, ...series.flatMap(s => s.values.filter(v => v != null)));
+        const yMax = options.yMax || niceCeil(Math.max(dataMax, options.minYMax || 0));
+        const n = labels.length;
+        const x = i => PAD.left + (n === 1 ? plotW / 2 : (i * plotW) / (n - 1));
+        const y = v => PAD.top + plotH - (Math.max(0, Math.min(yMax, v)) / yMax) * plotH;
+
+        const linePath = values => {
+            let d = '';
+            let pen = false;
+            values.forEach((v, i) => {
+                if (v == null) { pen = false; return; }
+                d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+                pen = true;
+            });
+            return d;
+        };
+
+        const parts = [];
+        for (let t = 0; t <= 4; t++) {
+            const tick = (yMax * t) / 4;
+            parts.push(`<line x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="#e2e8f0" />`);
+            parts.push(`<text x="${PAD.left - 6}" y="${y(tick) + 3}" text-anchor="end" font-size="10" fill="#94a3b8">${escapeHTML(formatY(tick))}</text>`);
+        }
+
+        if (options.highlightIndex != null && options.highlightIndex >= 0) {
+            parts.push(`<rect x="${x(options.highlightIndex) - 6}" y="${PAD.top}" width="12" height="${plotH}" fill="#dbeafe" />`);
+        }
+        const labelStep = Math.max(1, Math.ceil(n / 8));
+        labels.forEach((label, i) => {
+            if (i % labelStep === 0 || i === n - 1) {
+                parts.push(`<text x="${x(i)}" y="${H - 8}" text-anchor="middle" font-size="10" fill="#64748b">${escapeHTML(label)}</text>`);
+            }
+        });
+        for (const m of options.markers || []) {
+            parts.push(`<g><title>${escapeHTML(m.title)}</title>` +
+                `<line x1="${x(m.index)}" x2="${x(m.index)}" y1="${PAD.top}" y2="${PAD.top + plotH}" stroke="#94a3b8" stroke-dasharray="3 3" />` +
+                `<rect x="${x(m.index) - 4 - m.text.length * 3}" y="${PAD.top - 12}" width="${8 + m.text.length * 6}" height="12" rx="3" fill="#f1f5f9" stroke="#94a3b8" />` +
+                `<text x="${x(m.index)}" y="${PAD.top - 3}" text-anchor="middle" font-size="9" font-weight="600" fill="#334155">${escapeHTML(m.text)}</text></g>`);
+        }
+
+        for (const s of series) {
+            const width = s.width || 1.5;
+            parts.push(`<path d="${linePath(s.values)}" fill="none" stroke="${s.color}" stroke-width="${width}"` +
+                `${width < 2 ? ' stroke-opacity="0.6"' : ''}><title>${escapeHTML(s.label)}</title></path>`);
+            // Isolated points (no neighbours) would otherwise be invisible
+            s.values.forEach((v, i) => {
+                if (v == null) return;
+                const isolated = s.values[i - 1] == null && s.values[i + 1] == null;
+                if (!s.dots && !isolated) return;
+                parts.push(`<circle cx="${x(i)}" cy="${y(v)}" r="${s.dots ? 3.5 : 2.5}" fill="${s.color}">` +
+                    `<title>${escapeHTML(`${s.label} \u00b7 ${labels[i]}: ${formatY(v)}`)}</title></circle>`);
+            });
+        }
+
+        return `<svg viewBox="0 0 ${W} ${H}" class="w-full h-auto" role="img" aria-label="${escapeHTML(options.ariaLabel || 'Chart')}">${parts.join('')}</svg>`;
+    }
+
+    // Rounds a chart maximum up to 1, 2, 2.5 or 5 times a power of ten
+    function niceCeil(value) {
+        if (!(value > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        for (const step of [1, 2, 2.5, 5, 10]) {
+            if (value <= step * magnitude) return step * magnitude;
+        }
+        return 10 * magnitude;
+    }
+
+    function renderChartLegend(series, note) {
+        return '<div class="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-slate-600">' +
+            series.map(s => `<span class="inline-flex items-center gap-1"><span class="inline-block w-4 ${(s.width || 1.5) >= 2 ? 'h-[3px]' : 'h-0.5 opacity-60'}" style="background:${s.color}"></span>${escapeHTML(s.label)}</span>`).join('') +
+            (note ? `<span class="text-slate-400">${escapeHTML(note)}</span>` : '') +
+            '</div>';
+    }
+
     // ==================== Deal Detail Modal ====================
     let currentModalDeal = null;
 
@@ -863,39 +1765,324 @@
         currentModalDeal = deal;
         document.getElementById('modal-deal-name').textContent = deal.dealName || '-';
         document.getElementById('modal-deal-owner').textContent = deal.dealOwner || '-';
-        document.getElementById('modal-stage').textContent = deal.stage || '-';
-        document.getElementById('modal-acv').textContent = deal.acvFormatted || '-';
+        document.getElementById('modal-stage').textContent = (deal.stage || '-') +
+            (deal.daysInStageSource ? ` \u00b7 ${deal.stageEntryExact ? '' : '\u2265 '}${deal.daysInStage} days` : '');
+        renderStageTimeline(deal);
+        renderHealthHistory(deal);
+        const originalAcv = formatOriginalAcv(deal);
+        document.getElementById('modal-acv').textContent = (deal.acvFormatted || '-') + (originalAcv ? ` (${originalAcv})` : '');
         const modalClosingBadge = deal.closingStatus && CLOSING_CLASSES[deal.closingStatus]
             ? ` <span class="${CLOSING_CLASSES[deal.closingStatus]}">${deal.closingStatus === 'overdue' ? 'Overdue' : 'Closing Soon'}</span>`
             : '';
         document.getElementById('modal-closing-date').innerHTML = formatDate(deal.closingDate) + modalClosingBadge;
-        document.getElementById('modal-modified-date').textContent = formatDate(deal.modifiedDate) || '-';
+        document.getElementById('modal-close-slips').innerHTML = formatCloseDateSlipsDetail(deal);
+        document.getElementById('modal-modified-date').textContent = formatDateTime(deal.modifiedDate);
         document.getElementById('modal-days-since').innerHTML =
             `<span class="${URGENCY_CLASSES[deal.urgency] || URGENCY_CLASSES.fresh}">${deal.daysSince} days</span>`;
         const healthEl = document.getElementById('modal-health-score');
         if (deal.healthScore != null) {
-            const level = getHealthLevel(deal.healthScore);
+            const level = getHealthLevel(deal.healthScore, currentHealthLevels());
             const comp = deal.healthComponents || {};
             healthEl.innerHTML =
                 `<span class="${HEALTH_BADGE_CLASSES[level] || HEALTH_BADGE_CLASSES.good}">${deal.healthScore}</span>` +
                 `<div class="flex flex-wrap gap-1.5 mt-1.5">` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">Stage ${comp.stageProbability || 0}</span>` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">Velocity ${comp.velocity || 0}</span>` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">Recency ${comp.activityRecency || 0}</span>` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">Close ${comp.closeDateIntegrity || 0}</span>` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">ACV ${comp.acv || 0}</span>` +
-                `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">Notes ${comp.notesSignal || 0}</span>` +
-                `</div>`;
+                getHealthComponents().map(c =>
+                    `<span class="text-xs bg-slate-100 px-2 py-0.5 rounded">${c.shortLabel} ${comp[c.id] || 0}</span>`).join('') +
+                `</div>` +
+                `<button id="modal-explain-btn" class="mt-1.5 bg-transparent border-0 p-0 text-xs text-blue-600 cursor-pointer hover:underline" aria-expanded="false" aria-controls="modal-health-explain-section">Explain score</button>`;
+            document.getElementById('modal-explain-btn').addEventListener('click', () => toggleHealthExplanation(deal));
         } else {
             healthEl.textContent = '-';
         }
+        document.getElementById('modal-health-explain-section').classList.add('hidden');
         document.getElementById('modal-description').textContent = deal.description || 'No description available.';
-        document.getElementById('modal-notes').textContent = deal.noteContent || 'No notes available.';
+        renderModalNotes(deal);
         document.getElementById('modal-notes-summary').textContent = deal.notesSummary || 'No summary available.';
+        renderModalExtraction(deal);
         document.getElementById('deal-modal').classList.remove('hidden');
     }
 
+    // Next step, blockers and the rest of the AI extraction, one row each
+    function renderModalExtraction(deal) {
+        const el = document.getElementById('modal-extraction');
+        const extraction = deal.aiExtraction;
+        if (!extraction) {
+            el.innerHTML = '<span class="text-slate-400 italic">No AI extraction for this deal. It is made when notes are summarized at upload.</span>';
+            return;
+        }
+        const none = '<span class="text-slate-400">None</span>';
+        const list = items => items.length ? items.map(escapeHTML).join(', ') : none;
+        const todayKey = zonedDateKey(new Date(), reportingTimeZone);
+        let nextStep = none;
+        if (extraction.next_step) {
+            nextStep = escapeHTML(extraction.next_step);
+            if (extraction.next_step_date) {
+                nextStep += ` <span class="text-slate-500">by ${formatDateKey(extraction.next_step_date)}</span>`;
+                if (isNextStepOverdue(extraction, todayKey)) nextStep += ` <span class="${CLOSING_CLASSES.overdue}">Overdue</span>`;
+            }
+        }
+        const change = extraction.close_date_change;
+        const closeDate = change
+            ? (change.proposed_date ? `Move to ${formatDateKey(change.proposed_date)} (now ${formatDate(deal.closingDate)})` : 'Move proposed, no date given') +
+              (change.reason ? ` <span class="text-slate-500">&middot; ${escapeHTML(change.reason)}</span>` : '')
+            : none;
+        const rows = [
+            ['Next step', nextStep],
+            ['Blockers', extraction.blockers.length
+                ? extraction.blockers.map(b => `<span class="text-xs bg-red-50 text-red-800 px-2 py-0.5 rounded">${escapeHTML(b)}</span>`).join(' ')
+                : none],
+            ['Competitors', list(extraction.competitors)],
+            ['Decision makers', list(extraction.decision_makers)],
+            ['Close date', closeDate]
+        ];
+        el.innerHTML = '<dl class="grid grid-cols-[140px_1fr] gap-x-3 gap-y-1.5">' + rows.map(([label, value]) =>
+            `<dt class="font-medium text-slate-500">${label}</dt><dd>${value}</dd>`).join('') + '</dl>';
+    }
+
+    // Notes timeline, newest first, with the phrases that moved the Notes
+    // Signal score highlighted. Deals stored before the timeline show their
+    // latest note only.
+    function renderModalNotes(deal) {
+        const el = document.getElementById('modal-notes');
+        const notes = deal.notes && deal.notes.length > 0
+            ? deal.notes
+            : deal.noteContent ? [{ at: null, author: null, text: deal.noteContent }] : [];
+        if (notes.length === 0) {
+            el.textContent = 'No notes available.';
+            return;
+        }
+        const config = displayedScoringConfig;
+        const rules = resolveNotesRules(config);
+        const options = resolveNotesSignalOptions(config);
+        el.innerHTML = '<ol class="flex flex-col gap-3">' + [...notes].reverse().map(note => {
+            const meta = [note.at ? formatDateTime(new Date(note.at)) : (deal.notes ? 'Undated' : ''), note.author || '']
+                .filter(Boolean).map(escapeHTML).join(' &middot; ');
+            return '<li class="border-l-2 border-slate-200 pl-3">' +
+                (meta ? `<div class="text-xs text-slate-500 mb-0.5 whitespace-normal">${meta}</div>` : '') +
+                `<div>${highlightNoteSignals(note.text, rules, options)}</div></li>`;
+        }).join('') + '</ol>';
+    }
+
+    function highlightNoteSignals(text, rules, options) {
+        let html = '';
+        let pos = 0;
+        for (const match of findNoteSignals(text, rules, options)) {
+            if (match.start < pos) continue; // overlaps an earlier highlight
+            const tone = match.negated ? 'bg-slate-100 text-slate-500 line-through'
+                : match.weight >= 0 ? 'bg-green-100 text-green-900' : 'bg-red-100 text-red-900';
+            const title = match.negated ? `${match.pattern}: negated, not counted`
+                : `${match.pattern}: ${match.weight >= 0 ? '+' : ''}${match.weight}`;
+            html += escapeHTML(text.slice(pos, match.start)) +
+                `<mark class="${tone} rounded px-0.5" title="${escapeHTML(title)}">${escapeHTML(match.text)}</mark>`;
+            pos = match.end;
+        }
+        return html + escapeHTML(text.slice(pos));
+    }
+
+    // ==================== Score Explanation ====================
+    function toggleHealthExplanation(deal) {
+        const section = document.getElementById('modal-health-explain-section');
+        const btn = document.getElementById('modal-explain-btn');
+        const show = section.classList.contains('hidden');
+        section.classList.toggle('hidden', !show);
+        btn.textContent = show ? 'Hide explanation' : 'Explain score';
+        btn.setAttribute('aria-expanded', String(show));
+        if (show) renderHealthExplanation(deal);
+    }
+
+    function renderHealthExplanation(deal) {
+        const explanation = explainHealthScore(deal, displayedScoringConfig);
+        const rows = explanation.components.map(c =>
+            `<li class="flex items-baseline gap-2 py-1 border-b border-slate-100">` +
+            `<span class="inline-block w-2.5 h-2.5 rounded-full shrink-0" style="background:${c.color}"></span>` +
+            `<span class="w-[140px] shrink-0 font-medium text-slate-700">${escapeHTML(c.label)}</span>` +
+            `<span class="flex-1 text-slate-700">${escapeHTML(c.text || '')}${c.text ? ' ' : ''}&rarr; <span class="font-semibold">${c.score}</span></span>` +
+            `<span class="text-xs text-slate-500 whitespace-nowrap">${c.weight}% &middot; +${c.contribution} pts</span></li>`
+        ).join('');
+        const actions = explanation.actions.length === 0
+            ? '<p class="text-slate-500">No single step would raise the score by a point or more.</p>'
+            : '<ol class="list-decimal pl-5">' + explanation.actions.map(a =>
+                `<li>${escapeHTML(a.text)} <span class="text-green-700 font-semibold">(+${a.gain} pts)</span></li>`).join('') + '</ol>';
+        document.getElementById('modal-health-explain').innerHTML =
+            renderHealthWaterfall(explanation) +
+            `<ul class="mt-2 mb-3">${rows}</ul>` +
+            '<h4 class="text-xs font-semibold text-slate-500 uppercase tracking-widest mb-1">To raise the score</h4>' + actions;
+    }
+
+    // Each component's weighted points stacked up to the total
+    function renderHealthWaterfall(explanation) {
+        const W = 820, H = 180;
+        const PAD = { left: 36, right: 16, top: 18, bottom: 26 };
+        const plotH = H - PAD.top - PAD.bottom;
+        const bars = [...explanation.components.map(c => ({ label: c.shortLabel, color: c.color, value: c.contribution })),
+            { label: 'Score', color: '#334155', value: explanation.score, total: true }];
+        const slot = (W - PAD.left - PAD.right) / bars.length;
+        const y = v => PAD.top + plotH - (Math.max(0, Math.min(100, v)) / 100) * plotH;
+
+        const parts = [];
+        for (let t = 0; t <= 100; t += 25) {
+            parts.push(`<line x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(t)}" y2="${y(t)}" stroke="#e2e8f0" />`);
+            parts.push(`<text x="${PAD.left - 6}" y="${y(t) + 3}" text-anchor="end" font-size="10" fill="#94a3b8">${t}</text>`);
+        }
+        let running = 0;
+        bars.forEach((bar, i) => {
+            const from = bar.total ? 0 : running;
+            const to = bar.total ? bar.value : running + bar.value;
+            const x = PAD.left + i * slot + slot * 0.15;
+            const width = slot * 0.7;
+            const top = y(Math.max(from, to));
+            const height = Math.max(1, Math.abs(y(from) - y(to)));
+            if (i > 0) {
+                // Connector from the previous bar's end
+                parts.push(`<line x1="${x - slot * 0.3}" x2="${x}" y1="${y(running)}" y2="${y(running)}" stroke="#94a3b8" stroke-dasharray="2 2" />`);
+            }
+            parts.push(`<rect x="${x}" y="${top}" width="${width}" height="${height}" rx="2" fill="${bar.color}">` +
+                `<title>${escapeHTML(`${bar.label}: ${bar.total ? '' : '+'}${bar.value}`)}</title></rect>`);
+            parts.push(`<text x="${x + width / 2}" y="${top - 4}" text-anchor="middle" font-size="10" font-weight="600" fill="#334155">${bar.total ? '' : '+'}${bar.value}</text>`);
+            parts.push(`<text x="${x + width / 2}" y="${H - 8}" text-anchor="middle" font-size="10" fill="#64748b">${escapeHTML(bar.label)}</text>`);
+            if (!bar.total) running = to;
+        });
+        return `<svg viewBox="0 0 ${W} ${H}" class="w-full h-auto" role="img" aria-label="Health score waterfall: weighted points per component adding up to the score">${parts.join('')}</svg>`;
+    }
+
+    function renderStageTimeline(deal) {
+        const el = document.getElementById('modal-stage-timeline');
+        const history = deal.stageHistory || [];
+        if (history.length === 0) {
+            el.innerHTML = '<span class="text-slate-400 italic">No earlier uploads of this deal. Stage history builds up with each upload.</span>';
+            return;
+        }
+        el.innerHTML = '<ol class="flex flex-wrap items-center gap-1.5">' + history.map((run, i) => {
+            const isCurrent = i === history.length - 1;
+            // The first run started on or before the first upload that saw it
+            const from = i === 0
+                ? `by ${formatDateKey(run.enteredDate)}`
+                : formatDateKey(run.enteredDate);
+            const until = isCurrent ? 'now' : formatDateKey(history[i + 1].enteredDate);
+            return `<li class="inline-flex items-center gap-1.5">` +
+                (i > 0 ? '<span class="text-slate-400">&rarr;</span>' : '') +
+                `<span class="px-2 py-1 rounded text-xs ${isCurrent ? 'bg-blue-100 text-blue-800 font-semibold' : 'bg-slate-100 text-slate-700'}">` +
+                `${escapeHTML(run.stage || '-')} <span class="font-normal text-slate-500">${from} &ndash; ${until}</span></span></li>`;
+        }).join('') + '</ol>';
+    }
+
+    async function renderHealthHistory(deal) {
+        const el = document.getElementById('modal-health-history');
+        if (scoreHistoryController) scoreHistoryController.abort();
+        if (!isOnline || !deal.dealKey) {
+            el.innerHTML = '<span class="text-slate-400 italic">Score history needs Supabase; each upload adds a point.</span>';
+            return;
+        }
+        scoreHistoryController = new AbortController();
+        const signal = scoreHistoryController.signal;
+        el.innerHTML = '<span class="text-slate-400 italic">Loading score history\u2026</span>';
+        try {
+            const points = await loadScoreHistory(deal.dealKey, signal);
+            if (currentModalDeal !== deal) return;
+            const scored = points.filter(p => p.score != null);
+            if (scored.length === 0) {
+                el.innerHTML = '<span class="text-slate-400 italic">No stored health scores for this deal yet.</span>';
+                return;
+            }
+            el.innerHTML = renderHealthTrendSummary(scored) +
+                renderHealthChart(points, elements.dateSelectPrimary.value) +
+                renderHealthChartLegend() +
+                renderHealthChanges(points);
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error('Error loading score history:', e);
+            el.innerHTML = '<span class="text-slate-400 italic">Could not load score history.</span>';
+        }
+    }
+
+    function renderHealthTrendSummary(scored) {
+        const first = scored[0].score;
+        const last = scored[scored.length - 1].score;
+        const delta = last - first;
+        const trend = scored.length < 2 ? 'Only one upload so far'
+            : delta > 0 ? `<span class="text-green-700 font-semibold">Healthier: +${delta}</span>`
+            : delta < 0 ? `<span class="text-red-700 font-semibold">Worse: ${delta}</span>`
+            : 'No change';
+        return `<div class="text-sm text-slate-700 mb-2">${first} &rarr; ${last} over ${scored.length} ` +
+            `${scored.length === 1 ? 'upload' : 'uploads'} &middot; ${trend}</div>`;
+    }
+
+    // Overall score (bold) plus each component, one x step per upload.
+    // Uploads where stage, ACV or close date changed get a dashed marker with
+    // the change in its tooltip.
+    function renderHealthChart(points, highlightUploadId) {
+        const labels = points.map(p => formatDateKey(p.generatedDate));
+        const series = HEALTH_SERIES.map(s => ({
+            label: s.label,
+            color: s.color,
+            values: points.map(p => p.components ? p.components[s.key] : null)
+        }));
+        series.push({ label: 'Health', color: '#2563eb', width: 3, dots: true, values: points.map(p => p.score) });
+        const markers = [];
+        points.forEach((p, i) => {
+            if (p.changes.length === 0) return;
+            markers.push({
+                index: i,
+                text: p.changes.map(c => c.field === 'stage' ? 'S' : c.field === 'acv' ? '$' : 'C').join(''),
+                title: labels[i] + '\n' + p.changes.map(describeHistoryChange).join('\n')
+            });
+        });
+        return renderLineChart(labels, series, {
+            yMax: 100,
+            markers,
+            highlightIndex: points.findIndex(p => String(p.uploadId) === String(highlightUploadId)),
+            ariaLabel: 'Health score by upload'
+        });
+    }
+
+    function renderHealthChartLegend() {
+        return renderChartLegend([{ label: 'Health', color: '#2563eb', width: 3 }, ...HEALTH_SERIES],
+            'S = stage, $ = ACV, C = close date changed');
+    }
+
+    function renderHealthChanges(points) {
+        const changed = points.filter(p => p.changes.length > 0);
+        if (changed.length === 0) return '';
+        return '<ul class="mt-2 text-xs text-slate-600 space-y-0.5">' + changed.map(p =>
+            `<li><span class="font-medium text-slate-700">${formatDateKey(p.generatedDate)}</span> &middot; ` +
+            p.changes.map(c => escapeHTML(describeHistoryChange(c))).join(' &middot; ') + '</li>'
+        ).join('') + '</ul>';
+    }
+
+    function describeHistoryChange(change) {
+        if (change.field === 'acv') {
+            return `${change.label}: ${formatCurrency(change.from)} \u2192 ${formatCurrency(change.to)}`;
+        }
+        if (change.field === 'closingDate') {
+            return `${change.label}: ${formatDateKey(change.from)} \u2192 ${formatDateKey(change.to)}`;
+        }
+        return `${change.label}: ${change.from || '-'} \u2192 ${change.to || '-'}`;
+    }
+
+    function formatCloseDateSlips(deal) {
+        if (typeof deal.closeDateSlipCount !== 'number') return '<span class="text-slate-400">-</span>';
+        if (deal.closeDateSlipCount === 0) return '0';
+        return `<span class="font-semibold text-red-700">${deal.closeDateSlipCount}</span>` +
+            `<div class="text-[0.6875rem] text-slate-500">+${deal.closeDateSlipDays} days</div>`;
+    }
+
+    function formatCloseDateSlipsDetail(deal) {
+        if (typeof deal.closeDateSlipCount !== 'number') {
+            return '<span class="text-slate-400 italic">No earlier uploads</span>';
+        }
+        if (deal.closeDateSlipCount === 0) return 'Never moved out';
+        const dates = (deal.closeDateHistory || []).map(h => formatDateKey(h.closingDate)).join(' &rarr; ');
+        return `${deal.closeDateSlipCount} ${deal.closeDateSlipCount === 1 ? 'time' : 'times'}, +${deal.closeDateSlipDays} days` +
+            (dates ? `<div class="text-xs text-slate-500 mt-0.5">${dates}</div>` : '');
+    }
+
+    function formatDateKey(dateKey) {
+        if (!dateKey) return '-';
+        return formatDate(dateKeyToCalendarDate(dateKey));
+    }
+
     function closeDealModal() {
+        if (scoreHistoryController) scoreHistoryController.abort();
         document.getElementById('deal-modal').classList.add('hidden');
         currentModalDeal = null;
     }
@@ -911,9 +2098,9 @@
             `Deal Name: ${deal.dealName}`,
             `Deal Owner: ${deal.dealOwner}`,
             `Stage: ${deal.stage || '-'}`,
-            `ACV (CAD): ${deal.acvFormatted || '-'}`,
+            `ACV (CAD): ${deal.acvFormatted || '-'}${formatOriginalAcv(deal) ? ` (${formatOriginalAcv(deal)})` : ''}`,
             `Closing Date: ${formatDate(deal.closingDate)}${deal.closingStatus === 'overdue' ? ' (Overdue)' : deal.closingStatus === 'soon' ? ' (Closing Soon)' : ''}`,
-            `Modified Date: ${formatDate(deal.modifiedDate)}`,
+            `Modified Date: ${formatDate(deal.modifiedDate, reportingTimeZone)}`,
             `Days Since Update: ${deal.daysSince} days`,
             '',
             `Description: ${deal.description || 'No description available.'}`,
@@ -1148,7 +2335,8 @@
         });
 
         // Populate stages
-        const stages = [...new Set(deals.map(d => d.stage).filter(Boolean))].sort();
+        const stageOrder = resolveStageOrder(buildScoringConfigArg());
+        const stages = [...new Set(deals.map(d => d.stage).filter(Boolean))].sort((a, b) => compareStages(a, b, stageOrder));
         elements.filterStage.innerHTML = '<option value="">All Stages</option>';
         stages.forEach(stage => {
             const option = document.createElement('option');
@@ -1168,14 +2356,17 @@
     }
 
     function exportToCSV() {
-        const headers = ['Deal Owner', 'Deal Name', 'Stage', 'ACV (CAD)', 'Closing Date', 'Modified Date', 'Days Since', 'Health Score', 'Notes'];
-        const rows = filteredDeals.map(deal => [
+        const headers = ['Deal Owner', 'Deal Name', 'Stage', 'ACV (CAD)', 'Currency', 'ACV (Original)', 'FX Rate', 'Closing Date', 'Modified Date', 'Days Since', 'Health Score', 'Notes'];
+        const rows = filteredDeals.filter(deal => deal.changeType !== 'removed').map(deal => [
             escapeCSVField(deal.dealOwner),
             escapeCSVField(deal.dealName),
             escapeCSVField(deal.stage),
             escapeCSVField(deal.acv),
+            escapeCSVField(deal.currency || REPORTING_CURRENCY),
+            escapeCSVField(deal.acvOriginal ?? deal.acv),
+            escapeCSVField(deal.fxRate ?? 1),
             escapeCSVField(deal.closingDate ? formatDate(deal.closingDate) : ''),
-            escapeCSVField(deal.modifiedDate ? formatDate(deal.modifiedDate) : ''),
+            escapeCSVField(deal.modifiedDate ? formatDate(deal.modifiedDate, reportingTimeZone) : ''),
             escapeCSVField(deal.daysSince),
             escapeCSVField(deal.healthScore != null ? deal.healthScore : ''),
             escapeCSVField(deal.noteContent)
@@ -1195,18 +2386,21 @@
 
     function updateRowCount() {
         const total = allDeals.length;
-        const shown = filteredDeals.length;
+        const shown = filteredDeals.filter(d => d.changeType !== 'removed').length;
+        const ghosts = filteredDeals.length - shown;
+        const ghostNote = ghosts > 0 ? ` (+${ghosts} removed)` : '';
         const hasFilters = elements.searchInput.value ||
             elements.filterOwner.value ||
             elements.filterStage.value ||
             elements.filterUrgency.value ||
             elements.filterHealth.value ||
+            elements.filterAISignal.value ||
             elements.filterChanges.value;
 
         if (hasFilters) {
-            elements.rowCount.textContent = `Showing ${shown} of ${total} deals`;
+            elements.rowCount.textContent = `Showing ${shown} of ${total} deals${ghostNote}`;
         } else {
-            elements.rowCount.textContent = `Showing all ${total} deals`;
+            elements.rowCount.textContent = `Showing all ${total} deals${ghostNote}`;
         }
     }
 
@@ -1217,7 +2411,8 @@
             return;
         }
 
-        const { newCount, updatedCount, removedCount, unchangedCount } = changesSummary;
+        const { newCount, updatedCount, removedCount, unchangedCount, categoryCounts } = changesSummary;
+        const categories = DIFF_CATEGORIES.filter(cat => categoryCounts[cat.id] > 0);
         elements.changesSummaryEl.innerHTML = `
             <span class="font-semibold text-slate-700">Changes detected:</span>
             <span class="flex items-center gap-3 flex-wrap">
@@ -1226,20 +2421,94 @@
                 <span class="font-semibold text-red-600">${removedCount} removed</span>
                 <span class="text-slate-500">${unchangedCount} unchanged</span>
             </span>
-            <button class="ml-auto text-xs text-slate-500 hover:text-slate-800 px-2 py-1 rounded hover:bg-slate-100" id="dismiss-changes-btn">Dismiss</button>
+            <span class="flex items-center gap-1.5 flex-wrap">
+                ${categories.map(cat => `<button class="text-xs px-2 py-0.5 rounded-full border border-slate-200 bg-white text-slate-600 hover:bg-slate-100" data-change-category="${cat.id}">${escapeHTML(cat.label)} <span class="font-semibold">${categoryCounts[cat.id]}</span></button>`).join('')}
+            </span>
+            <span class="ml-auto flex items-center gap-1">
+                ${matchSuggestions.length > 0 ? `<button class="text-xs font-semibold text-amber-700 px-2 py-1 rounded bg-amber-50 hover:bg-amber-100" id="review-matches-btn">Review ${matchSuggestions.length} possible ${matchSuggestions.length === 1 ? 'match' : 'matches'}</button>` : ''}
+                <button class="text-xs text-slate-500 hover:text-slate-800 px-2 py-1 rounded hover:bg-slate-100" id="export-changes-btn">Export Changes</button>
+                <button class="text-xs text-slate-500 hover:text-slate-800 px-2 py-1 rounded hover:bg-slate-100" id="dismiss-changes-btn">Dismiss</button>
+            </span>
         `;
         elements.changesSummaryEl.classList.remove('hidden');
         elements.filterChangesGroup.classList.remove('hidden');
+        populateChangesFilter(categories);
 
-        // Attach dismiss handler
+        // Attach handlers
         document.getElementById('dismiss-changes-btn').addEventListener('click', clearChanges);
+        document.getElementById('export-changes-btn').addEventListener('click', exportChangesCSV);
+        const reviewBtn = document.getElementById('review-matches-btn');
+        if (reviewBtn) reviewBtn.addEventListener('click', openMatchModal);
+        elements.changesSummaryEl.querySelectorAll('[data-change-category]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                elements.filterChanges.value = `cat:${btn.dataset.changeCategory}`;
+                applyFilters();
+            });
+        });
+    }
+
+    // Change types plus the categories present in the current comparison
+    function populateChangesFilter(categories) {
+        const current = elements.filterChanges.value;
+        const { categoryCounts } = changesSummary;
+        elements.filterChanges.innerHTML =
+            '<option value="">All</option>' +
+            '<option value="new">New</option>' +
+            '<option value="updated">Updated</option>' +
+            '<option value="removed">Removed</option>' +
+            '<option value="unchanged">Unchanged</option>' +
+            (categories.length > 0
+                ? '<optgroup label="What changed">' + categories.map(cat =>
+                    `<option value="cat:${cat.id}">${escapeHTML(cat.label)} (${categoryCounts[cat.id]})</option>`).join('') + '</optgroup>'
+                : '');
+        elements.filterChanges.value = current;
+        if (elements.filterChanges.value !== current) elements.filterChanges.value = '';
+    }
+
+    // One row per change record; new and removed deals get a single row
+    function exportChangesCSV() {
+        if (!changesSummary) return;
+        const headers = ['Deal Owner', 'Deal Name', 'Change Type', 'Field', 'Old Value', 'New Value', 'Direction', 'Category'];
+        const rows = [];
+        const dealRow = (deal, fields) => [deal.dealOwner, deal.dealName, deal.changeType, ...fields]
+            .map(escapeCSVField).join(',');
+        for (const deal of [...allDeals, ...changesSummary.removed]) {
+            if (deal.changeType === 'new' || deal.changeType === 'removed') {
+                rows.push(dealRow(deal, ['', '', '', '', '']));
+            } else if (deal.changeType === 'updated') {
+                for (const change of deal.changes) {
+                    if (typeof change === 'string') continue;
+                    const text = change.field === 'noteContent';
+                    rows.push(dealRow(deal, [
+                        change.field,
+                        text ? '' : (change.oldValue ?? ''),
+                        text ? '' : (change.newValue ?? ''),
+                        change.direction,
+                        change.category || ''
+                    ]));
+                }
+            }
+        }
+
+        const csv = [headers.join(','), ...rows].join('\r\n');
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+
+        const today = new Date().toISOString().slice(0, 10);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `deal-changes-${today}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     function clearChanges() {
         changesSummary = null;
+        matchSuggestions = [];
         for (const deal of allDeals) {
             deal.changeType = null;
             deal.changes = [];
+            deal.changeCategories = [];
         }
         elements.filterChanges.value = '';
         renderChangesSummary();
@@ -1274,9 +2543,26 @@
         elements.filterUrgency.value = '';
         elements.filterHealth.value = '';
         elements.filterChanges.value = '';
+        elements.filterAISignal.value = '';
         applyFilters();
     }
 
+    // Min Health options follow the scoring config's health levels, keeping
+    // the selected level when its cutoff changes
+    function renderHealthFilterOptions() {
+        const levels = currentHealthLevels();
+        const select = elements.filterHealth;
+        const selectedLevel = select.selectedOptions[0]?.dataset.level || '';
+        select.innerHTML = '<option value="">All</option>' + HEALTH_LEVEL_FIELDS.map(f =>
+            `<option value="${levels[f.key]}" data-level="${f.key}">${levels[f.key]}+ (${f.label})</option>`).join('');
+        select.value = selectedLevel ? String(levels[selectedLevel]) : '';
+    }
+
+    function renderAISignalFilterOptions() {
+        elements.filterAISignal.innerHTML = '<option value="">All</option>' +
+            AI_SIGNALS.map(signal => `<option value="${signal.key}">${signal.label}</option>`).join('');
+    }
+
     function applyFilters() {
         const searchTerm = elements.searchInput.value.toLowerCase();
         const ownerFilter = elements.filterOwner.value;
@@ -1284,15 +2570,23 @@
         const urgencyFilter = elements.filterUrgency.value;
         const healthFilter = elements.filterHealth.value;
         const changesFilter = elements.filterChanges.value;
+        const aiSignalFilter = elements.filterAISignal.value;
+        const todayKey = zonedDateKey(new Date(), reportingTimeZone);
+
+        // Removed deals from the active comparison show as ghost rows
+        const ghostDeals = changesSummary && (!changesFilter || changesFilter === 'removed')
+            ? changesSummary.removed || []
+            : [];
 
-        filteredDeals = allDeals.filter(deal => {
+        filteredDeals = [...allDeals, ...ghostDeals].filter(deal => {
             // Search across all fields
             if (searchTerm) {
                 const searchableText = [
                     deal.dealOwner,
                     deal.dealName,
                     deal.stage,
-                    deal.noteContent
+                    deal.noteContent,
+                    ...(deal.notes || []).map(note => note.text)
                 ].join(' ').toLowerCase();
 
                 if (!searchableText.includes(searchTerm)) {
@@ -1320,8 +2614,15 @@
                 return false;
             }
 
-            // Changes filter
-            if (changesFilter && deal.changeType !== changesFilter) {
+            // AI Signals filter: fields from the deal's AI extraction
+            if (aiSignalFilter && !matchesAISignal(deal.aiExtraction, aiSignalFilter, todayKey)) {
+                return false;
+            }
+
+            // Changes filter: change type, or 'cat:<category>' for updated deals
+            if (changesFilter.startsWith('cat:')) {
+                if (!(deal.changeCategories || []).includes(changesFilter.slice(4))) return false;
+            } else if (changesFilter && deal.changeType !== changesFilter) {
                 return false;
             }
 
@@ -1336,8 +2637,14 @@
 
     function applySorting() {
         const { column, direction } = currentSort;
+        const stageOrder = column === 'stage' ? resolveStageOrder(buildScoringConfigArg()) : null;
 
         filteredDeals.sort((a, b) => {
+            if (stageOrder) {
+                const comparison = compareStages(a.stage, b.stage, stageOrder);
+                return direction === 'asc' ? comparison : -comparison;
+            }
+
             let valA = a[column];
             let valB = b[column];
 
@@ -1387,92 +2694,164 @@
 
     // ==================== File Handling ====================
     function handleFile(file) {
-        if (!file.name.endsWith('.csv')) {
-            alert('Please upload a CSV file.');
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.xls')) {
+            alert('Legacy .xls workbooks are not supported. Save the file as .xlsx or CSV and upload it again.');
+            return;
+        }
+        if (!IMPORT_EXTENSIONS.some(ext => name.endsWith(ext))) {
+            alert('Please upload a CSV, TSV or Excel (.xlsx) file.');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            processCSVData(e.target.result, file.name);
-        };
-        reader.readAsText(file);
+        // The worker streams the file itself (File.stream()), so it is never
+        // read into one string on the main thread
+        processCSVData(file, file.name);
     }
 
     // ==================== Web Worker Ingest ====================
+    // Delimited text (comma, tab or semicolon) and .xlsx workbooks; the worker
+    // detects the format from the file's contents
+    const IMPORT_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx'];
     let activeWorker = null;
+    let cancelActiveIngest = null;
 
-    function runIngestWorker(csvText, existingDeals) {
+    function runIngestWorker(file, existingDeals, options) {
         return new Promise((resolve, reject) => {
             const worker = new Worker('js/ingest-worker.js');
             activeWorker = worker;
 
+            const finish = () => {
+                activeWorker = null;
+                cancelActiveIngest = null;
+                worker.terminate();
+                elements.loadingCancelBtn.classList.add('hidden');
+            };
+
+            // Cancel button in the loading overlay: stop the worker mid-file
+            cancelActiveIngest = () => {
+                finish();
+                reject(new DOMException('Aborted', 'AbortError'));
+            };
+            elements.loadingCancelBtn.classList.remove('hidden');
+
             worker.onmessage = function(e) {
                 const msg = e.data;
                 if (msg.type === 'progress') {
                     showLoading(msg.phase);
                 } else if (msg.type === 'complete') {
-                    activeWorker = null;
-                    worker.terminate();
-                    resolve({ deals: msg.deals, generatedDate: msg.generatedDate });
+                    finish();
+                    resolve({ deals: msg.deals, generatedDate: msg.generatedDate, mappingProfile: msg.mappingProfile, format: msg.format, report: msg.report });
+                } else if (msg.type === 'mappingRequired') {
+                    finish();
+                    resolve({ mappingRequired: msg });
+                } else if (msg.type === 'sheetRequired') {
+                    finish();
+                    resolve({ sheetRequired: msg });
                 } else if (msg.type === 'error') {
-                    activeWorker = null;
-                    worker.terminate();
+                    finish();
                     reject(new Error(msg.message));
                 }
             };
 
             worker.onerror = function(err) {
-                activeWorker = null;
-                worker.terminate();
+                finish();
                 reject(new Error(err.message || 'Worker error'));
             };
 
-            worker.postMessage({ csvText, existingDeals });
+            worker.postMessage({ file, existingDeals, ...options });
         });
     }
 
-    async function processCSVData(csvText, filename) {
+    // sheet: the workbook sheet to import (asked for when an .xlsx has several)
+    async function processCSVData(file, filename, columnMapping, sheet) {
         showLoading('Processing...');
         try {
             // Run parse + process + validate + dedup in Web Worker
-            const { deals: workerDeals, generatedDate: genDateISO } = await runIngestWorker(csvText, allDeals);
+            const fxRates = loadFxRates();
+            const workerResult = await runIngestWorker(file, allDeals, {
+                fxRates,
+                columnMapping,
+                sheet,
+                mappingProfiles: loadMappingProfiles(),
+                aliases: dealAliasIndex.aliases,
+                dateFormats: loadDateFormats(),
+                timeZone: reportingTimeZone
+            });
+
+            if (workerResult.mappingRequired) {
+                // Unrecognised export format — let the user map the columns, then retry
+                openMappingWizard(workerResult.mappingRequired, filename, mapping => {
+                    processCSVData(file, filename, mapping, sheet);
+                });
+                return;
+            }
+
+            if (workerResult.sheetRequired) {
+                openSheetChooser(workerResult.sheetRequired.sheets, filename, chosen => {
+                    processCSVData(file, filename, columnMapping, chosen);
+                });
+                return;
+            }
+
+            const { deals: workerDeals, generatedDate: genDateISO, report } = workerResult;
+            if (workerResult.mappingProfile) {
+                console.log('Columns mapped with profile:', workerResult.mappingProfile);
+            }
+            console.log('Import format:', workerResult.format);
 
             // Determine upload date
             const uploadDate = genDateISO
                 ? genDateISO.slice(0, 10)
-                : new Date().toISOString().slice(0, 10);
+                : zonedDateKey(new Date(), reportingTimeZone);
 
             console.log('Upload date:', uploadDate);
 
+            ingestReport = { ...report, uploadId: null, filename: filename || 'unknown.csv', generatedDate: uploadDate, format: workerResult.format };
+            saveIngestReport(ingestReport);
+            console.log(`Import report: ${report.rejectedRows} rejected, ${report.warningRows} with warnings of ${report.totalRows} rows`);
+
             // Apply AI summaries on main thread (needs supabaseClient)
             showLoading('Generating summaries...');
             let processed = await applyAISummaries(workerDeals, allDeals, generateAISummaries);
+            showLoading('Extracting next steps...');
+            processed = await applyAIExtractions(processed, allDeals, generateAIExtractions);
             console.log(`After worker + AI: ${processed.length} deals`);
 
+            // Rebuild stage history from earlier uploads (real days-in-stage)
+            if (isOnline) {
+                showLoading('Loading stage history...');
+                await attachDealHistory(processed, {
+                    uploadId: null,
+                    generatedDate: uploadDate,
+                    uploadedAt: new Date().toISOString()
+                });
+            }
+
             // Compute health scores
             attachHealthScores(processed);
 
             if (processed.length === 0) {
-                alert('No valid CAD deals found in the CSV file.');
+                alert('No valid deals found in the file.');
+                if (ingestReportHasIssues(ingestReport)) openReportModal();
                 return;
             }
 
             // Upload to Supabase if online
+            let savedUpload = null;
             if (isOnline) {
                 console.log('Supabase is online. Inserting upload record...');
-                const scoringConfig = buildScoringConfigArg() || {
-                    weights: defaultWeights(),
-                    stageScoreMap: { ...DEFAULT_STAGE_SCORES },
-                    positiveKeywords: [...POSITIVE_KEYWORDS],
-                    negativeKeywords: [...NEGATIVE_KEYWORDS]
-                };
-                const upload = await insertUpload(uploadDate, filename || 'unknown.csv', processed.length, scoringConfig);
+                const scoringConfig = snapshotScoringConfig(buildScoringConfigArg());
+                const upload = await insertUpload(uploadDate, filename || 'unknown.csv', processed.length, scoringConfig, fxRates, report,
+                    activeScoringVersion()?.id);
                 if (upload) {
                     console.log('Upload record created:', upload.id, '- Inserting', processed.length, 'deals...');
                     const success = await insertDealsBatch(upload.id, processed);
                     if (success) {
                         console.log('Successfully uploaded', processed.length, 'deals to Supabase.');
+                        savedUpload = upload;
+                        ingestReport.uploadId = upload.id;
+                        saveIngestReport(ingestReport);
                         // Refresh date picker and auto-select this upload
                         await populateDatePicker();
                         elements.dateSelectPrimary.value = upload.id;
@@ -1492,6 +2871,7 @@
                 changesSummary = diffDeals(allDeals, processed);
             } else {
                 changesSummary = null;
+                matchSuggestions = [];
             }
 
             // Store and display
@@ -1499,6 +2879,11 @@
             filteredDeals = [...allDeals];
 
             saveToStorage(allDeals);
+            cacheTrendSnapshot({
+                uploadId: savedUpload ? savedUpload.id : null,
+                generatedDate: uploadDate,
+                uploadedAt: savedUpload ? savedUpload.uploaded_at : new Date().toISOString()
+            }, allDeals);
             populateFilterDropdowns(allDeals);
             renderStats(allDeals);
             applySorting();
@@ -1507,7 +2892,14 @@
             updateRowCount();
             renderChangesSummary();
             showDashboard();
+
+            // Rows dropped or flagged during import
+            if (ingestReportHasIssues(ingestReport)) openReportModal();
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('CSV import cancelled.');
+                return;
+            }
             alert('Error processing CSV: ' + error.message);
             console.error(error);
         } finally {
@@ -1515,66 +2907,546 @@
         }
     }
 
-    // ==================== Scoring Settings Modal ====================
-    const WEIGHT_LABELS = {
-        stageProbability: 'Stage Probability',
-        velocity: 'Velocity',
-        activityRecency: 'Activity Recency',
-        closeDateIntegrity: 'Close Date Integrity',
-        acv: 'ACV',
-        notesSignal: 'Notes Signal'
-    };
+    // ==================== Import Report ====================
+    // The report of rows rejected or flagged at import (DealIngest.checkRow).
+    // The latest import's report is kept in localStorage; each upload's report
+    // is also stored in uploads.rejection_report and fetched when that upload
+    // is the one being viewed.
+    let ingestReport = loadIngestReport();
+    const REPORT_ROWS_SHOWN = 200;
 
-    function openScoringModal() {
-        const config = loadScoringConfig() || {};
-        const weights = config.weights || defaultWeights();
+    function loadIngestReport() {
+        try {
+            const data = localStorage.getItem(INGEST_REPORT_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            console.error('Failed to load import report:', e);
+            return null;
+        }
+    }
+
+    function saveIngestReport(report) {
+        try {
+            localStorage.setItem(INGEST_REPORT_KEY, JSON.stringify(report));
+        } catch (e) {
+            console.error('Failed to save import report to localStorage:', e);
+        }
+    }
+
+    // { type: 'xlsx', sheet } | { type: 'delimited', delimiter, encoding } -> label
+    function describeImportFormat(format) {
+        if (format.type === 'xlsx') return `Excel sheet "${format.sheet}"`;
+        const delimiter = { ',': 'Comma', '\t': 'Tab', ';': 'Semicolon' }[format.delimiter] || 'Delimited';
+        return `${delimiter}-separated, ${(format.encoding || 'utf-8').toUpperCase()}`;
+    }
+
+    function ingestReportHasIssues(report) {
+        return !!report && (report.rejectedRows > 0 || report.warningRows > 0 || (report.notices || []).length > 0);
+    }
+
+    async function openReportModal() {
+        document.getElementById('report-modal').classList.remove('hidden');
+
+        // Viewing a stored upload other than the latest import: use its own report
+        const uploadId = elements.dateSelectPrimary.value;
+        let report = ingestReport;
+        if (isOnline && uploadId && (!ingestReport || String(ingestReport.uploadId) !== uploadId)) {
+            renderIngestReport(null, 'Loading import report\u2026');
+            const stored = await fetchUploadReport(uploadId);
+            const upload = uploadsCache.find(u => String(u.id) === uploadId);
+            report = stored ? {
+                ...stored,
+                uploadId,
+                filename: upload ? upload.filename : '',
+                generatedDate: upload ? upload.generated_date : null
+            } : null;
+            if (elements.dateSelectPrimary.value !== uploadId) return;
+        }
+        renderIngestReport(report, 'No import report is stored for this upload. Reports are kept for uploads processed after rejection reporting was added.');
+    }
+
+    function closeReportModal() {
+        document.getElementById('report-modal').classList.add('hidden');
+    }
+
+    // Date formats used and column-level notices (mixed or ambiguous dates)
+    function renderReportNotices(report) {
+        const formats = report.dateFormats || {};
+        const used = DATE_FIELDS
+            .filter(field => formats[field.id])
+            .map(field => `${escapeHTML(field.label)}: ${escapeHTML(dateFormatLabel(formats[field.id]))}`);
+        const notices = (report.notices || []).map(notice =>
+            `<li class="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded px-2 py-1">${escapeHTML(notice.message)}</li>`
+        ).join('');
+        return (used.length ? `<div class="text-xs text-slate-500 mt-2">Dates read as ${used.join(' &middot; ')}</div>` : '') +
+            (notices ? `<ul class="mt-2 flex flex-col gap-1">${notices}</ul>` : '');
+    }
+
+    function renderIngestReport(report, emptyMessage) {
+        const summary = document.getElementById('report-summary');
+        const list = document.getElementById('report-entries');
+        const downloadBtn = document.getElementById('report-download-btn');
+        downloadBtn.onclick = null;
+        downloadBtn.disabled = !report || report.entries.length === 0;
+
+        if (!report) {
+            summary.innerHTML = '';
+            list.innerHTML = `<p class="text-sm text-slate-400 italic">${escapeHTML(emptyMessage)}</p>`;
+            return;
+        }
+        downloadBtn.onclick = () => exportIngestReportCSV(report);
+
+        const issueChips = Object.keys(ROW_ISSUES)
+            .filter(code => report.issueCounts[code] > 0)
+            .map(code => {
+                const tone = ROW_ISSUES[code].rejects
+                    ? 'border-red-200 bg-red-50 text-red-700'
+                    : 'border-amber-200 bg-amber-50 text-amber-700';
+                return `<span class="text-xs px-2 py-0.5 rounded-full border ${tone}">${escapeHTML(ROW_ISSUES[code].label)} <span class="font-semibold">${report.issueCounts[code]}</span></span>`;
+            }).join('');
+        summary.innerHTML = `
+            <div class="text-xs text-slate-500 mb-2">${escapeHTML(report.filename || '')}${report.generatedDate ? ` &middot; ${escapeHTML(report.generatedDate)}` : ''}${report.format ? ` &middot; ${escapeHTML(describeImportFormat(report.format))}` : ''}</div>
+            <div class="flex items-center gap-3 flex-wrap text-sm mb-2">
+                <span class="text-slate-500">${report.totalRows} rows read</span>
+                <span class="font-semibold text-green-700">${report.acceptedRows} imported</span>
+                <span class="font-semibold text-red-600">${report.rejectedRows} rejected</span>
+                <span class="font-semibold text-amber-700">${report.warningRows} imported with warnings</span>
+            </div>
+            <div class="flex items-center gap-1.5 flex-wrap">${issueChips}</div>${renderReportNotices(report)}`;
+
+        if (report.entries.length === 0) {
+            list.innerHTML = '<p class="text-sm text-slate-400 italic">Every row was imported without problems.</p>';
+            return;
+        }
+
+        const shown = report.entries.slice(0, REPORT_ROWS_SHOWN);
+        const rows = shown.map(entry => {
+            const values = Object.entries(entry.values);
+            const preview = values.map(([, v]) => v).filter(v => v && v.trim()).slice(0, 2).join(' \u00b7 ');
+            const status = entry.status === 'rejected'
+                ? '<span class="text-xs font-semibold text-red-600">Rejected</span>'
+                : '<span class="text-xs font-semibold text-amber-700">Warning</span>';
+            return `
+                <tr class="border-t border-slate-100 align-top">
+                    <td class="py-2 pr-3 text-slate-500 tabular-nums">${entry.rowNumber}</td>
+                    <td class="py-2 pr-3">${status}</td>
+                    <td class="py-2 pr-3 text-slate-700">${entry.issues.map(issue => escapeHTML(issue.message)).join('<br>')}</td>
+                    <td class="py-2 text-slate-600 min-w-0">
+                        <details>
+                            <summary class="cursor-pointer truncate max-w-[280px]">${escapeHTML(preview || '(empty row)')}</summary>
+                            <dl class="mt-1 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+                                ${values.map(([header, value]) => `<dt class="text-slate-400">${escapeHTML(header)}</dt><dd class="break-words">${escapeHTML(value)}</dd>`).join('')}
+                            </dl>
+                        </details>
+                    </td>
+                </tr>`;
+        }).join('');
+        const hidden = report.entries.length - shown.length;
+        const notes = [];
+        if (hidden > 0) notes.push(`Showing the first ${shown.length} of ${report.entries.length} rows; download the CSV for all of them.`);
+        if (report.truncated) notes.push(`Only the first ${report.entries.length} problem rows were recorded; the counts above cover every row.`);
+        list.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-[0.6875rem] font-semibold text-slate-500 uppercase tracking-widest">
+                        <th class="pb-2 pr-3">Row</th>
+                        <th class="pb-2 pr-3">Status</th>
+                        <th class="pb-2 pr-3">Reason</th>
+                        <th class="pb-2">Raw Values</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${notes.map(note => `<p class="text-xs text-slate-500 mt-3">${escapeHTML(note)}</p>`).join('')}`;
+    }
+
+    // One CSV row per report entry with the raw values in their original columns
+    function exportIngestReportCSV(report) {
+        const valueHeaders = [];
+        const seen = new Set();
+        for (const entry of report.entries) {
+            for (const header of Object.keys(entry.values)) {
+                if (!seen.has(header)) {
+                    seen.add(header);
+                    valueHeaders.push(header);
+                }
+            }
+        }
+
+        const headers = ['Row', 'Status', 'Issue Codes', 'Reason', ...valueHeaders];
+        const rows = report.entries.map(entry => [
+            entry.rowNumber,
+            entry.status,
+            entry.issues.map(issue => issue.code).join('; '),
+            entry.issues.map(issue => issue.message).join('; '),
+            ...valueHeaders.map(header => entry.values[header] ?? '')
+        ].map(escapeCSVField).join(','));
+
+        const csv = [headers.map(escapeCSVField).join(','), ...rows].join('\r\n');
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+
+        const date = report.generatedDate || new Date().toISOString().slice(0, 10);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `import-report-${date}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== Pipeline Trends ====================
+    // One compact summary per upload (DealTrends.summarizeSnapshot) cached in
+    // localStorage, so the Trends view works offline and only fetches uploads
+    // it hasn't summarized yet. Uploads made offline are cached with a null
+    // uploadId and shown unless an online upload covers the same date.
+    let trendsController = null;
+    let trendSnapshots = [];
+
+    function loadTrendSnapshots() {
+        try {
+            const data = localStorage.getItem(TREND_SNAPSHOTS_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.error('Failed to load trend snapshots:', e);
+            return [];
+        }
+    }
+
+    function saveTrendSnapshots(snapshots) {
+        try {
+            localStorage.setItem(TREND_SNAPSHOTS_KEY, JSON.stringify(snapshots));
+        } catch (e) {
+            console.error('Failed to save trend snapshots:', e);
+        }
+    }
+
+    function trendSnapshotKey(snap) {
+        return snap.uploadId != null ? `upload:${snap.uploadId}` : `local:${snap.generatedDate}:${snap.uploadedAt}`;
+    }
+
+    // upload: { uploadId, generatedDate, uploadedAt }
+    function cacheTrendSnapshot(upload, deals) {
+        const snap = { ...upload, summary: summarizeSnapshot(deals, upload.generatedDate, reportingTimeZone) };
+        const key = trendSnapshotKey(snap);
+        const snapshots = loadTrendSnapshots().filter(s => trendSnapshotKey(s) !== key);
+        snapshots.push(snap);
+        saveTrendSnapshots(snapshots);
+    }
+
+    function removeTrendSnapshot(uploadId) {
+        saveTrendSnapshots(loadTrendSnapshots().filter(s => String(s.uploadId) !== String(uploadId)));
+    }
+
+    // Summarize any uploads missing from the cache and drop cached uploads
+    // that no longer exist in Supabase. Offline, returns the cache as-is.
+    async function refreshTrendSnapshots(signal, onProgress) {
+        let snapshots = loadTrendSnapshots();
+        if (!isOnline) return snapshots;
+
+        const uploads = await fetchUploadDates();
+        uploadsCache = uploads;
+        const uploadIds = new Set(uploads.map(u => String(u.id)));
+        snapshots = snapshots.filter(s => s.uploadId == null || uploadIds.has(String(s.uploadId)));
+        const cached = new Set(snapshots.map(s => String(s.uploadId)));
+        const missing = uploads.filter(u => !cached.has(String(u.id)));
+
+        for (let i = 0; i < missing.length; i++) {
+            const upload = missing[i];
+            if (onProgress) onProgress(i + 1, missing.length);
+            const rows = await fetchTrendRows(upload.id, signal);
+            if (!rows) continue;
+            const deals = rows.map(row => ({
+                dealOwner: row.deal_owner,
+                stage: row.stage,
+                acv: parseFloat(row.acv) || 0,
+                closingDate: row.closing_date,
+                modifiedDate: row.modified_date,
+                healthScore: row.health_score
+            }));
+            snapshots.push({
+                uploadId: upload.id,
+                generatedDate: upload.generated_date,
+                uploadedAt: upload.uploaded_at,
+                summary: summarizeSnapshot(deals, upload.generated_date, reportingTimeZone)
+            });
+            // Save as we go so an interrupted load doesn't start over
+            saveTrendSnapshots(snapshots);
+        }
+        saveTrendSnapshots(snapshots);
+        return snapshots;
+    }
+
+    // Offline uploads are superseded by an online upload of the same date
+    function visibleTrendSnapshots(snapshots) {
+        const onlineDates = new Set(snapshots.filter(s => s.uploadId != null).map(s => s.generatedDate));
+        return snapshots.filter(s => s.uploadId != null || !onlineDates.has(s.generatedDate));
+    }
+
+    async function openTrendsModal() {
+        document.getElementById('trends-modal').classList.remove('hidden');
+        const status = document.getElementById('trends-status');
+        if (trendsController) trendsController.abort();
+        trendsController = new AbortController();
+        const signal = trendsController.signal;
+
+        trendSnapshots = visibleTrendSnapshots(loadTrendSnapshots());
+        renderTrends();
+        status.textContent = isOnline ? 'Checking Supabase for new uploads\u2026' : 'Offline: showing uploads cached on this device.';
+        if (!isOnline) return;
+
+        try {
+            const snapshots = await refreshTrendSnapshots(signal, (done, total) => {
+                status.textContent = `Summarizing upload ${done} of ${total}\u2026`;
+            });
+            trendSnapshots = visibleTrendSnapshots(snapshots);
+            status.textContent = '';
+            renderTrends();
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+            console.error('Error loading trends:', e);
+            status.textContent = 'Could not reach Supabase: showing uploads cached on this device.';
+        }
+    }
+
+    function closeTrendsModal() {
+        if (trendsController) trendsController.abort();
+        document.getElementById('trends-modal').classList.add('hidden');
+    }
+
+    function renderTrends() {
+        const container = document.getElementById('trends-charts');
+        const breakdown = document.getElementById('trends-breakdown').value;
+        if (trendSnapshots.length === 0) {
+            container.innerHTML = '<p class="text-sm text-slate-400 italic">No uploads yet. Each upload adds a point to every chart.</p>';
+            return;
+        }
+        const compactCurrency = new Intl.NumberFormat('en-CA', {
+            style: 'currency', currency: REPORTING_CURRENCY, notation: 'compact', maximumFractionDigits: 1
+        });
+        container.innerHTML = TREND_METRICS.map(metric => {
+            const trend = buildTrendSeries(trendSnapshots, metric.id, breakdown, TREND_COLORS.length);
+            const series = trend.series.map((s, i) => ({
+                label: s.name,
+                color: breakdown ? TREND_COLORS[i % TREND_COLORS.length] : '#2563eb',
+                width: breakdown ? 2 : 3,
+                dots: !breakdown,
+                values: s.values
+            }));
+            const formatY = metric.id === 'acv' ? (v => compactCurrency.format(v)) : (v => String(Math.round(v * 10) / 10));
+            return '<div class="bg-white border border-slate-200 rounded-lg p-4 shadow-sm">' +
+                `<h3 class="text-[0.6875rem] font-semibold text-slate-500 uppercase tracking-widest mb-2">${escapeHTML(metric.label)}</h3>` +
+                renderLineChart(trend.dates.map(formatDateKey), series, {
+                    yMax: metric.id === 'avgHealth' ? 100 : undefined,
+                    minYMax: metric.id === 'acv' ? 0 : 4,   // whole-number ticks for counts
+                    formatY,
+                    ariaLabel: `${metric.label} by upload date`
+                }) +
+                (breakdown ? renderChartLegend(series) : '') +
+                '</div>';
+        }).join('');
+    }
+
+    // ==================== Scoring Settings Modal ====================
+    const CLOSE_DATE_PENALTY_FIELDS = [
+        { key: 'slip', label: 'Per slip' },
+        { key: 'slipDaysStep', label: 'Slip days step' },
+        { key: 'slipDays', label: 'Per slip days step' },
+        { key: 'pushSignal', label: 'Per push signal' }
+    ];
+    const HEALTH_LEVEL_FIELDS = [
+        { key: 'good', label: 'Good' },
+        { key: 'watch', label: 'Watch' },
+        { key: 'risk', label: 'Risk' }
+    ];
+    const CURVE_PREVIEW_SAMPLES = 81;
+
+    function openScoringModal() {
+        const config = loadScoringConfig() || {};
+        // Components registered since the config was saved show their default
+        const weights = { ...defaultWeights(), ...config.weights };
         const stageMap = config.stageScoreMap || { ...DEFAULT_STAGE_SCORES };
-        const posKw = config.positiveKeywords || [...POSITIVE_KEYWORDS];
-        const negKw = config.negativeKeywords || [...NEGATIVE_KEYWORDS];
 
         // Populate weights grid
         const grid = document.getElementById('scoring-weights-grid');
         grid.innerHTML = '';
-        const weightKeys = Object.keys(defaultWeights());
-        for (const key of weightKeys) {
+        for (const component of getHealthComponents()) {
+            const key = component.id;
             const item = document.createElement('div');
             item.className = 'scoring-weight-item';
-            item.innerHTML = '<label>' + WEIGHT_LABELS[key] + '</label>' +
+            item.innerHTML = '<label>' + component.label + '</label>' +
                 '<input type="number" min="0" max="100" data-weight-key="' + key + '" value="' + (weights[key] || 0) + '">';
             grid.appendChild(item);
         }
         updateWeightTotal();
 
-        // Populate stage rows
+        // Populate curve editors (one per component that bands a metric)
+        const curves = document.getElementById('scoring-curves');
+        curves.innerHTML = '';
+        for (const component of getHealthComponents().filter(c => c.curve)) {
+            curves.appendChild(buildCurveEditor(component, resolveCurve(config, component.id)));
+        }
+
+        // Populate close date penalties and health levels
+        const penalties = resolveCloseDatePenalties(config);
+        document.getElementById('scoring-penalties-grid').innerHTML = CLOSE_DATE_PENALTY_FIELDS.map(f =>
+            '<div class="scoring-weight-item"><label>' + f.label + '</label>' +
+            '<input type="number" min="0" data-penalty-key="' + f.key + '" value="' + penalties[f.key] + '"></div>').join('');
+        const levels = config.healthLevels || DEFAULT_HEALTH_LEVELS;
+        document.getElementById('scoring-levels-grid').innerHTML = HEALTH_LEVEL_FIELDS.map(f =>
+            '<div class="scoring-weight-item"><label>' + f.label + ' &ge;</label>' +
+            '<input type="number" min="0" max="100" data-level-key="' + f.key + '" value="' + levels[f.key] + '"></div>').join('');
+
+        // Populate stage rows: the stage order, then mapped and loaded stages
+        // that aren't in it yet
+        const stageOrder = resolveStageOrder(config);
+        const terminals = {};
+        for (const entry of stageOrder) terminals[entry.stage] = entry.terminal;
+        const stages = stageOrder.map(entry => entry.stage);
+        const loadedStages = allDeals.map(d => (d.stage || '').trim().toLowerCase()).filter(Boolean);
+        for (const stage of [...Object.keys(stageMap), ...loadedStages]) {
+            if (!stages.includes(stage)) stages.push(stage);
+        }
+        scoringModalBenchmarks = buildHealthContext(allDeals, { timeZone: reportingTimeZone, config }).benchmarkDetail;
+        const pinned = config.pinnedBenchmarks || {};
         const container = document.getElementById('scoring-stage-rows');
         container.innerHTML = '';
-        const stages = Object.keys(stageMap);
         for (const stage of stages) {
-            addStageRow(container, stage, stageMap[stage]);
+            addStageRow(container, stage, { score: stageMap[stage], terminal: terminals[stage], pinned: pinned[stage] });
         }
-
-        // Populate keywords
-        document.getElementById('scoring-kw-positive').value = posKw.join(', ');
-        document.getElementById('scoring-kw-negative').value = negKw.join(', ');
-
-        // Clear validation
+        document.getElementById('scoring-min-samples').value = resolveBenchmarkMinSamples(config);
+        refreshStageBenchmarks();
+
+        // Populate notes rules (configs with keyword lists show them as rules)
+        const ruleRows = document.getElementById('scoring-note-rules');
+        ruleRows.innerHTML = '';
+        for (const rule of resolveNotesRules(config)) addNoteRuleRow(ruleRows, rule);
+        const notesSignal = resolveNotesSignalOptions(config);
+        document.getElementById('scoring-negation-window').value = notesSignal.negationWindow;
+        document.getElementById('scoring-negation-cues').value = notesSignal.negationCues.join(', ');
+        document.getElementById('scoring-half-life').value = notesSignal.halfLifeDays;
+
+        // Clear validation and any impact preview of an earlier draft
         document.getElementById('scoring-validation').textContent = '';
+        const simulation = document.getElementById('scoring-simulation');
+        simulation.classList.add('hidden');
+        simulation.innerHTML = '';
+        renderScoringSource();
 
         document.getElementById('scoring-modal').classList.remove('hidden');
     }
 
+    function buildCurveEditor(component, curve) {
+        const editor = document.createElement('div');
+        editor.className = 'scoring-curve';
+        editor.dataset.curveId = component.id;
+        const cells = curve.points.map(p =>
+            '<div class="scoring-curve-point">' +
+            '<input type="number" step="any" data-point-at value="' + p.at + '" aria-label="Threshold">' +
+            '<input type="number" min="0" max="100" data-point-score value="' + p.score + '" aria-label="Score">' +
+            '</div>').join('');
+        editor.innerHTML =
+            '<div class="flex items-center justify-between gap-2 mb-1">' +
+            '<span class="text-[0.8125rem] font-medium text-slate-800">' + escapeHTML(component.label) + '</span>' +
+            '<select data-curve-mode aria-label="Curve mode">' +
+            '<option value="stepped"' + (curve.mode === 'stepped' ? ' selected' : '') + '>Stepped</option>' +
+            '<option value="linear"' + (curve.mode === 'linear' ? ' selected' : '') + '>Linear</option>' +
+            '</select></div>' +
+            '<div class="flex items-start gap-2">' +
+            '<div class="scoring-curve-axis"><span>' + escapeHTML(component.metric || 'Value') + '</span><span>Score</span></div>' +
+            '<div class="scoring-curve-points" style="grid-template-columns:repeat(' + curve.points.length + ',minmax(0,1fr))">' + cells + '</div>' +
+            '</div>' +
+            '<div data-curve-preview class="mt-1"></div>';
+        updateCurvePreview(editor);
+        return editor;
+    }
+
+    function readCurveEditor(editor) {
+        return {
+            mode: editor.querySelector('[data-curve-mode]').value,
+            points: Array.from(editor.querySelectorAll('.scoring-curve-point')).map(cell => ({
+                at: parseFloat(cell.querySelector('[data-point-at]').value),
+                score: parseFloat(cell.querySelector('[data-point-score]').value)
+            }))
+        };
+    }
+
+    // Redraws the score curve from the editor's current (unsaved) values
+    function updateCurvePreview(editor) {
+        const preview = editor.querySelector('[data-curve-preview]');
+        const curve = readCurveEditor(editor);
+        const problem = validateCurve(curve);
+        if (problem) {
+            preview.innerHTML = `<p class="text-xs text-red-600">${escapeHTML(problem)}</p>`;
+            return;
+        }
+        const component = getHealthComponents().find(c => c.id === editor.dataset.curveId);
+        const last = curve.points[curve.points.length - 1].at;
+        const xMax = last > 0 ? last * 1.25 : 1;
+        const xs = Array.from({ length: CURVE_PREVIEW_SAMPLES }, (_, i) => (xMax * i) / (CURVE_PREVIEW_SAMPLES - 1));
+        preview.innerHTML = renderLineChart(
+            xs.map(x => String(Math.round(x * 100) / 100)),
+            [{ label: component.label, color: component.color, width: 2, values: xs.map(x => evaluateCurve(curve, x)) }],
+            { yMax: 100, ariaLabel: `${component.label} score by ${(component.metric || 'value').toLowerCase()}` });
+    }
+
     function closeScoringModal() {
         document.getElementById('scoring-modal').classList.add('hidden');
     }
 
-    function addStageRow(container, stageName, stageScore) {
-        const row = document.createElement('div');
-        row.className = 'scoring-stage-row';
-        row.innerHTML = '<input type="text" placeholder="Stage name" value="' + (stageName || '') + '">' +
-            '<input type="number" min="0" max="100" placeholder="0" value="' + (stageScore != null ? stageScore : '') + '">' +
-            '<button class="scoring-stage-remove" title="Remove">&times;</button>';
-        row.querySelector('.scoring-stage-remove').addEventListener('click', () => row.remove());
-        container.appendChild(row);
+    // options: { score, terminal ('won' | 'lost' | null), pinned }
+    function addStageRow(container, stageName, options = {}) {
+        const item = document.createElement('div');
+        item.className = 'scoring-stage-item';
+        const terminalOption = (value, label) =>
+            '<option value="' + value + '"' + ((options.terminal || '') === value ? ' selected' : '') + '>' + label + '</option>';
+        item.innerHTML = '<div class="scoring-stage-row">' +
+            '<button class="scoring-stage-move" data-move="-1" title="Move up">&uarr;</button>' +
+            '<button class="scoring-stage-move" data-move="1" title="Move down">&darr;</button>' +
+            '<input type="text" placeholder="Stage name" value="' + escapeHTML(stageName || '') + '">' +
+            '<input type="number" min="0" max="100" placeholder="35" data-stage-score title="Stage probability (blank: 35)" value="' + (options.score != null ? options.score : '') + '">' +
+            '<select data-stage-terminal title="Open or terminal stage">' + terminalOption('', 'Open') + terminalOption('won', 'Won') + terminalOption('lost', 'Lost') + '</select>' +
+            '<input type="number" min="1" placeholder="Pin" data-stage-pin title="Pinned benchmark (days)" value="' + (options.pinned != null ? options.pinned : '') + '">' +
+            '<button class="scoring-stage-remove" title="Remove">&times;</button>' +
+            '</div>' +
+            '<div class="scoring-stage-benchmark" data-stage-benchmark></div>';
+        item.querySelector('.scoring-stage-remove').addEventListener('click', () => item.remove());
+        item.querySelectorAll('.scoring-stage-move').forEach(btn => btn.addEventListener('click', () => {
+            const sibling = btn.dataset.move === '-1' ? item.previousElementSibling : item.nextElementSibling;
+            if (!sibling) return;
+            if (btn.dataset.move === '-1') container.insertBefore(item, sibling);
+            else container.insertBefore(sibling, item);
+        }));
+        container.appendChild(item);
+        refreshStageBenchmarks();
+    }
+
+    // Benchmark per stage from the loaded deals (set when the modal opens)
+    let scoringModalBenchmarks = {};
+
+    // Describes each row's constant, dataset median and the benchmark that
+    // would be in effect with the draft pin and minimum sample size
+    function refreshStageBenchmarks() {
+        const minSamples = parseInt(document.getElementById('scoring-min-samples').value, 10) || DEFAULT_BENCHMARK_MIN_SAMPLES;
+        document.querySelectorAll('#scoring-stage-rows .scoring-stage-item').forEach(item => {
+            const name = item.querySelector('input[type="text"]').value.trim().toLowerCase();
+            const detail = scoringModalBenchmarks[name] || { constant: null, median: null, samples: 0 };
+            const pin = parseFloat(item.querySelector('[data-stage-pin]').value);
+            const parts = [
+                'Constant ' + (detail.constant != null ? formatBenchmarkDays(detail.constant) : '\u2013'),
+                'median ' + (detail.median != null
+                    ? formatBenchmarkDays(detail.median) + ' (' + detail.samples + (detail.samples === 1 ? ' deal)' : ' deals)')
+                    : '\u2013')
+            ];
+            if (pin > 0) parts.push('using ' + formatBenchmarkDays(pin) + ' (pinned)');
+            else if (detail.median != null && detail.samples >= minSamples) parts.push('using ' + formatBenchmarkDays(detail.median) + ' (median)');
+            else if (detail.constant != null) parts.push('using ' + formatBenchmarkDays(detail.constant) + ' (constant)');
+            else parts.push('no benchmark');
+            item.querySelector('[data-stage-benchmark]').textContent = parts.join(' \u00b7 ');
+        });
+    }
+
+    function formatBenchmarkDays(days) {
+        return (Math.round(days * 10) / 10) + ' d';
     }
 
     function updateWeightTotal() {
@@ -1586,9 +3458,50 @@
         el.classList.toggle('scoring-weight-total--invalid', total !== 100);
     }
 
-    function saveScoringSettings() {
+    // Reads the modal's settings into a scoring config; shows the problem and
+    // returns null when they're invalid
+    function readScoringDraft() {
         const validation = document.getElementById('scoring-validation');
         validation.textContent = '';
+        const showError = message => {
+            validation.textContent = message;
+            validation.style.color = '#dc2626';
+        };
+
+        // Read curves
+        const curves = {};
+        for (const editor of document.querySelectorAll('#scoring-curves .scoring-curve')) {
+            const curve = readCurveEditor(editor);
+            const problem = validateCurve(curve);
+            if (problem) {
+                const component = getHealthComponents().find(c => c.id === editor.dataset.curveId);
+                showError(`${component.label}: ${problem}`);
+                return null;
+            }
+            curves[editor.dataset.curveId] = curve;
+        }
+
+        // Read close date penalties
+        const closeDatePenalties = {};
+        for (const input of document.querySelectorAll('#scoring-penalties-grid input[data-penalty-key]')) {
+            const val = parseFloat(input.value);
+            if (!(val >= 0)) {
+                showError('Close date penalties must be zero or more.');
+                return null;
+            }
+            closeDatePenalties[input.dataset.penaltyKey] = val;
+        }
+
+        // Read health levels
+        const healthLevels = {};
+        for (const input of document.querySelectorAll('#scoring-levels-grid input[data-level-key]')) {
+            healthLevels[input.dataset.levelKey] = parseFloat(input.value);
+        }
+        const levelsProblem = validateHealthLevels(healthLevels);
+        if (levelsProblem) {
+            showError(levelsProblem);
+            return null;
+        }
 
         // Read weights
         const inputs = document.querySelectorAll('#scoring-weights-grid input[data-weight-key]');
@@ -1619,28 +3532,67 @@
         if (total === 0) {
             validation.textContent = 'All weights are zero. Please set at least one weight.';
             validation.style.color = '#dc2626';
-            return;
+            return null;
         }
 
-        // Read stage mapping
-        const stageRows = document.querySelectorAll('#scoring-stage-rows .scoring-stage-row');
+        // Read stage rows: probability, order, terminal kind and pinned benchmark
         const stageScoreMap = {};
-        stageRows.forEach(row => {
-            const name = row.querySelector('input[type="text"]').value.trim();
-            const score = parseFloat(row.querySelector('input[type="number"]').value) || 0;
-            if (name) {
-                stageScoreMap[name.toLowerCase()] = Math.max(0, Math.min(100, score));
+        const stageOrder = [];
+        const pinnedBenchmarks = {};
+        document.querySelectorAll('#scoring-stage-rows .scoring-stage-item').forEach(item => {
+            const name = item.querySelector('input[type="text"]').value.trim().toLowerCase();
+            if (!name || stageOrder.some(entry => entry.stage === name)) return null;
+            const scoreText = item.querySelector('[data-stage-score]').value.trim();
+            if (scoreText !== '') {
+                stageScoreMap[name] = Math.max(0, Math.min(100, parseFloat(scoreText) || 0));
             }
+            stageOrder.push({ stage: name, terminal: item.querySelector('[data-stage-terminal]').value || null });
+            const pin = parseFloat(item.querySelector('[data-stage-pin]').value);
+            if (pin > 0) pinnedBenchmarks[name] = pin;
         });
+        const benchmarkMinSamples = parseInt(document.getElementById('scoring-min-samples').value, 10);
+        if (!(benchmarkMinSamples >= 1)) {
+            showError('The minimum sample size must be 1 or more.');
+            return null;
+        }
 
-        // Read keywords
-        const posText = document.getElementById('scoring-kw-positive').value;
-        const negText = document.getElementById('scoring-kw-negative').value;
-        const positiveKeywords = posText.split(',').map(s => s.trim()).filter(Boolean);
-        const negativeKeywords = negText.split(',').map(s => s.trim()).filter(Boolean);
+        // Read notes rules; rows with no pattern are dropped
+        const notesRules = [];
+        for (const row of document.querySelectorAll('#scoring-note-rules .scoring-stage-row')) {
+            const pattern = row.querySelector('[data-rule-pattern]').value.trim();
+            if (!pattern) continue;
+            const rule = {
+                pattern,
+                weight: parseFloat(row.querySelector('[data-rule-weight]').value),
+                match: row.querySelector('[data-rule-match]').value
+            };
+            const problem = validateNoteRule(rule);
+            if (problem) {
+                showError(`Notes rules: ${problem}`);
+                return null;
+            }
+            notesRules.push(rule);
+        }
+        const notesSignal = {
+            negationCues: document.getElementById('scoring-negation-cues').value
+                .split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+            negationWindow: parseInt(document.getElementById('scoring-negation-window').value, 10),
+            halfLifeDays: parseFloat(document.getElementById('scoring-half-life').value)
+        };
+        if (!(notesSignal.negationWindow >= 0) || !(notesSignal.halfLifeDays >= 0)) {
+            showError('The negation window and note half-life must be zero or more.');
+            return null;
+        }
+
+        return { weights, stageScoreMap, notesRules, notesSignal,
+            curves, closeDatePenalties, healthLevels, stageOrder, pinnedBenchmarks, benchmarkMinSamples };
+    }
 
-        const config = { weights, stageScoreMap, positiveKeywords, negativeKeywords };
+    function saveScoringSettings() {
+        const config = readScoringDraft();
+        if (!config) return;
         saveScoringConfig(config);
+        renderHealthFilterOptions();
 
         // Recompute scores if deals are loaded
         if (allDeals.length > 0) {
@@ -1653,8 +3605,356 @@
         closeScoringModal();
     }
 
+    // ==================== Scoring Simulation ====================
+    const SIMULATION_TOP_MOVERS = 10;
+    const LEVEL_LABELS = { good: 'Good', watch: 'Watch', risk: 'Risk', dead: 'Dead' };
+
+    // Scores the loaded deals with the draft settings next to the saved ones,
+    // without changing anything until the draft is applied
+    function simulateScoringDraft() {
+        const draft = readScoringDraft();
+        if (!draft) return;
+        const panel = document.getElementById('scoring-simulation');
+        if (allDeals.length === 0) {
+            panel.innerHTML = '<p class="text-sm text-slate-500">Load deals to preview the impact of these settings.</p>';
+            panel.classList.remove('hidden');
+            return;
+        }
+        const result = simulateScoring(allDeals, buildScoringConfigArg(), draft,
+            { timeZone: reportingTimeZone, topMovers: SIMULATION_TOP_MOVERS });
+        panel.innerHTML = renderSimulation(result, { actions: true });
+        panel.classList.remove('hidden');
+        panel.querySelector('[data-simulation-apply]').addEventListener('click', saveScoringSettings);
+        panel.querySelector('[data-simulation-discard]').addEventListener('click', openScoringModal);
+        panel.scrollIntoView({ block: 'nearest' });
+    }
+
+    // options: { labels: [before, after] (default Current / Draft), actions
+    // (Apply / Discard buttons), moversTitle }
+    function renderSimulation(result, options = {}) {
+        const [beforeLabel, afterLabel] = options.labels || ['Current', 'Draft'];
+        const fmtAvg = v => v == null ? '-' : String(Math.round(v * 10) / 10);
+        const avgDelta = result.draft.average - result.current.average;
+        const summary = `<p class="text-sm text-slate-700 mb-2">Average ${fmtAvg(result.current.average)} &rarr; ` +
+            `<span class="font-semibold">${fmtAvg(result.draft.average)}</span> (${avgDelta > 0 ? '+' : ''}${fmtAvg(avgDelta)}) &middot; ` +
+            `${result.changed} of ${result.count} deals change score</p>`;
+
+        const bucketLabels = result.current.distribution.map((_, i) =>
+            `${i * DISTRIBUTION_BUCKET}${i === result.current.distribution.length - 1 ? '+' : ''}`);
+        const series = [
+            { label: beforeLabel, color: '#94a3b8', width: 2, dots: true, values: result.current.distribution },
+            { label: afterLabel, color: '#2563eb', width: 3, dots: true, values: result.draft.distribution }
+        ];
+        const chart = renderLineChart(bucketLabels, series, { minYMax: 4, ariaLabel: `Deals per health score band, ${beforeLabel} and ${afterLabel}` }) +
+            renderChartLegend(series, 'deals per 10-point score band');
+
+        const levelHead = HEALTH_LEVELS.map(l => `<th class="px-2 py-1 text-right font-medium">${LEVEL_LABELS[l]}</th>`).join('');
+        const levelRows = HEALTH_LEVELS.map(from =>
+            `<tr><th class="px-2 py-1 text-left font-medium">${LEVEL_LABELS[from]}</th>` +
+            HEALTH_LEVELS.map(to => {
+                const n = result.levelShifts[from][to];
+                const cls = n === 0 ? 'text-slate-300' : from === to ? 'text-slate-600' : 'text-blue-700 font-semibold';
+                return `<td class="px-2 py-1 text-right ${cls}">${n}</td>`;
+            }).join('') + '</tr>').join('');
+        const levels = `<table class="text-xs mb-3"><thead class="text-slate-500"><tr><th class="px-2 py-1 text-left font-medium">${escapeHTML(beforeLabel)} &darr; / ${escapeHTML(afterLabel)} &rarr;</th>` +
+            levelHead + '</tr></thead><tbody>' + levelRows + '</tbody></table>';
+
+        const components = getHealthComponents();
+        const movers = result.movers.length === 0
+            ? '<p class="text-xs text-slate-500">No deal changes score.</p>'
+            : '<table class="w-full text-xs"><tbody>' + result.movers.map(m => {
+                const deltas = components
+                    .filter(c => m.componentDeltas[c.id])
+                    .map(c => `<span class="bg-slate-100 px-1.5 py-0.5 rounded">${escapeHTML(c.shortLabel)} ${m.componentDeltas[c.id] > 0 ? '+' : ''}${m.componentDeltas[c.id]}</span>`)
+                    .join(' ') || '<span class="text-slate-400">weights only</span>';
+                return `<tr class="border-t border-slate-100"><td class="py-1.5 pr-2">${escapeHTML(m.deal.dealName)}<div class="text-slate-400">${escapeHTML(m.deal.dealOwner)}</div></td>` +
+                    `<td class="py-1.5 pr-2 whitespace-nowrap">${m.before} &rarr; <span class="font-semibold">${m.after}</span> ` +
+                    `<span class="${m.delta > 0 ? 'text-green-700' : m.delta < 0 ? 'text-red-700' : 'text-slate-500'}">(${m.delta > 0 ? '+' : ''}${m.delta})</span>` +
+                    `${m.fromLevel !== m.toLevel ? `<div class="text-slate-500">${LEVEL_LABELS[m.fromLevel]} &rarr; ${LEVEL_LABELS[m.toLevel]}</div>` : ''}</td>` +
+                    `<td class="py-1.5"><div class="flex flex-wrap gap-1">${deltas}</div></td></tr>`;
+            }).join('') + '</tbody></table>';
+
+        const header = options.actions
+            ? '<div class="flex items-center justify-between mb-2"><h3 class="text-sm font-semibold text-slate-800">Impact Preview</h3>' +
+              '<div class="flex gap-2">' +
+              '<button data-simulation-apply class="px-3 py-1.5 bg-blue-600 text-white border-0 rounded-lg text-xs font-medium cursor-pointer transition-colors hover:bg-blue-700">Apply Draft</button>' +
+              '<button data-simulation-discard class="px-3 py-1.5 bg-transparent text-slate-500 border border-slate-200 rounded-lg text-xs cursor-pointer transition-colors hover:bg-slate-50 hover:text-slate-800">Discard Draft</button>' +
+              '</div></div>' +
+              '<p data-simulation-stale class="hidden text-xs text-amber-700 mb-2">Settings changed since this preview. Preview Impact again to update it.</p>'
+            : '';
+        return header + summary + chart +
+            '<h4 class="text-xs font-semibold text-slate-500 uppercase tracking-widest mt-3 mb-1">Health level moves</h4>' + levels +
+            `<h4 class="text-xs font-semibold text-slate-500 uppercase tracking-widest mb-1">${escapeHTML(options.moversTitle || 'Top movers')}</h4>` + movers;
+    }
+
+    // ==================== Team Scoring Publish ====================
+    async function publishScoringConfig() {
+        const validation = document.getElementById('scoring-validation');
+        const team = loadTeamScoringConfig();
+        const config = loadScoringConfig() || defaultScoringConfig();
+        if (team && JSON.stringify(team.config) === JSON.stringify(config)) {
+            validation.textContent = 'These are already the team settings.';
+            validation.style.color = '#64748b';
+            return;
+        }
+
+        let impact = '';
+        if (allDeals.length > 0) {
+            const result = simulateScoring(allDeals, team ? team.config : undefined, config,
+                { timeZone: reportingTimeZone, topMovers: 0 });
+            let levelMoves = 0;
+            for (const from of HEALTH_LEVELS) {
+                for (const to of HEALTH_LEVELS) {
+                    if (from !== to) levelMoves += result.levelShifts[from][to];
+                }
+            }
+            impact = `\n\nFor the ${result.count} deals loaded, ${result.changed} scores change and ${levelMoves} deals move health level.`;
+        }
+        if (!confirm('Publish your saved scoring settings to the team?\n\n' +
+            'This changes the health scores everyone on the team sees, except people with a personal override. ' +
+            'Unsaved changes in this form are not included.' + impact)) return;
+
+        const version = activeScoringVersion();
+        const row = await insertTeamScoringConfig(config, version ? version.id : null);
+        if (!row) {
+            validation.textContent = 'Could not publish the settings.';
+            validation.style.color = '#dc2626';
+            return;
+        }
+        saveTeamScoringConfig({ config: row.config, versionId: row.scoring_config_version_id ?? null, publishedAt: row.published_at });
+        localStorage.removeItem(SCORING_CONFIG_KEY);
+        renderScoringSource();
+        validation.textContent = 'Published to the team.';
+        validation.style.color = '#16a34a';
+    }
+
+    // ==================== Scoring Versions ====================
+    // Named scoring configs in Supabase (scoring_config_versions). Each upload
+    // records the config and version its stored scores came from; a past
+    // upload can be scored under two configs side by side and re-scored.
+
+    async function openVersionsModal() {
+        closeScoringModal();
+        document.getElementById('versions-status').textContent = '';
+        document.getElementById('rescore-results').innerHTML = '';
+        document.getElementById('versions-modal').classList.remove('hidden');
+        if (!isOnline) {
+            document.getElementById('versions-list').innerHTML =
+                '<p class="text-sm text-slate-500">Scoring versions are stored in Supabase, which is not connected.</p>';
+            document.getElementById('versions-uploads').innerHTML = '';
+            document.getElementById('versions-rescore').classList.add('hidden');
+            return;
+        }
+        document.getElementById('versions-rescore').classList.remove('hidden');
+        document.getElementById('versions-list').innerHTML = '<p class="text-sm text-slate-500">Loading...</p>';
+        [scoringVersions, uploadsCache] = await Promise.all([fetchScoringVersions(), fetchUploadDates()]);
+        renderVersionsModal();
+    }
+
+    function closeVersionsModal() {
+        document.getElementById('versions-modal').classList.add('hidden');
+    }
+
+    function scoringVersionName(versionId) {
+        const version = scoringVersions.find(v => String(v.id) === String(versionId));
+        return version ? version.name : null;
+    }
+
+    function renderVersionsModal() {
+        const active = activeScoringVersion();
+        document.getElementById('versions-list').innerHTML = scoringVersions.length === 0
+            ? '<p class="text-sm text-slate-500">No versions yet. Save the current settings as the first one.</p>'
+            : '<table class="w-full text-sm"><tbody>' + scoringVersions.map(v =>
+                `<tr class="border-b border-slate-100"><td class="py-1.5 pr-2 font-medium text-slate-800">${escapeHTML(v.name)}` +
+                `${active && String(active.id) === String(v.id) ? ' <span class="text-xs font-semibold text-green-700">In use</span>' : ''}</td>` +
+                `<td class="py-1.5 pr-2 text-xs text-slate-500">${escapeHTML(formatDateTime(new Date(v.created_at)))}</td>` +
+                `<td class="py-1.5 text-right"><button data-use-version="${escapeHTML(String(v.id))}" class="px-2.5 py-1 bg-slate-100 text-slate-600 border border-slate-200 rounded text-xs cursor-pointer hover:bg-slate-200">Use</button></td></tr>`
+            ).join('') + '</tbody></table>';
+        document.querySelectorAll('#versions-list [data-use-version]').forEach(btn => {
+            btn.addEventListener('click', () => useScoringVersion(btn.dataset.useVersion));
+        });
+
+        document.getElementById('versions-uploads').innerHTML = uploadsCache.length === 0
+            ? '<p class="text-sm text-slate-500">No uploads.</p>'
+            : '<table class="w-full text-sm"><thead class="text-xs text-slate-500"><tr><th class="py-1 text-left font-medium">Upload</th>' +
+              '<th class="py-1 text-left font-medium">Scored with</th></tr></thead><tbody>' + uploadsCache.map(u => {
+                const name = scoringVersionName(u.scoring_config_version_id);
+                const scoredWith = name ? escapeHTML(name)
+                    : u.scoring_config ? '<span class="text-slate-500">Unsaved settings</span>'
+                    : '<span class="text-slate-400">Not recorded</span>';
+                const rescored = u.rescored_at ? ` <span class="text-xs text-slate-400">(re-scored ${escapeHTML(formatDateTime(new Date(u.rescored_at)))})</span>` : '';
+                return `<tr class="border-t border-slate-100"><td class="py-1.5 pr-2">${escapeHTML(formatUploadLabel(u))}</td><td class="py-1.5">${scoredWith}${rescored}</td></tr>`;
+            }).join('') + '</tbody></table>';
+
+        const uploadSelect = document.getElementById('rescore-upload');
+        const selectedUpload = uploadSelect.value || elements.dateSelectPrimary.value;
+        uploadSelect.innerHTML = uploadsCache.map(u => `<option value="${escapeHTML(String(u.id))}">${escapeHTML(formatUploadLabel(u))}</option>`).join('');
+        if (selectedUpload && findCachedUpload(selectedUpload)) uploadSelect.value = selectedUpload;
+        renderRescoreConfigOptions();
+    }
+
+    // Config choices for Compare / Re-score: the upload's own snapshot, the
+    // current settings and every saved version
+    function rescoreConfigChoices(upload) {
+        const choices = [];
+        if (upload && upload.scoring_config) {
+            const name = scoringVersionName(upload.scoring_config_version_id);
+            choices.push({ value: 'upload', label: name ? `As stored (${name})` : 'As stored', config: upload.scoring_config, versionId: upload.scoring_config_version_id ?? null });
+        }
+        const active = activeScoringVersion();
+        choices.push({ value: 'current', label: 'Current settings', config: buildScoringConfigArg(), versionId: active ? active.id : null });
+        for (const v of scoringVersions) {
+            choices.push({ value: `version:${v.id}`, label: v.name, config: v.config, versionId: v.id });
+        }
+        return choices;
+    }
+
+    function renderRescoreConfigOptions() {
+        const upload = findCachedUpload(document.getElementById('rescore-upload').value);
+        const choices = rescoreConfigChoices(upload);
+        const options = choices.map(c => `<option value="${escapeHTML(c.value)}">${escapeHTML(c.label)}</option>`).join('');
+        const selectA = document.getElementById('rescore-config-a');
+        const selectB = document.getElementById('rescore-config-b');
+        const [prevA, prevB] = [selectA.value, selectB.value];
+        selectA.innerHTML = options;
+        selectB.innerHTML = options;
+        selectA.value = choices.some(c => c.value === prevA) ? prevA : choices[0].value;
+        selectB.value = choices.some(c => c.value === prevB) ? prevB : (choices.find(c => c.value === 'current') || choices[0]).value;
+    }
+
+    function selectedRescoreChoice(selectId) {
+        const upload = findCachedUpload(document.getElementById('rescore-upload').value);
+        return rescoreConfigChoices(upload).find(c => c.value === document.getElementById(selectId).value) || null;
+    }
+
+    async function saveScoringVersion() {
+        const status = document.getElementById('versions-status');
+        const name = document.getElementById('version-name').value.trim();
+        if (!name) {
+            status.textContent = 'Enter a name for the version.';
+            status.style.color = '#dc2626';
+            return;
+        }
+        if (scoringVersions.some(v => v.name.toLowerCase() === name.toLowerCase())) {
+            status.textContent = `A version named "${name}" already exists.`;
+            status.style.color = '#dc2626';
+            return;
+        }
+        const config = loadScoringConfig() || defaultScoringConfig();
+        const version = await insertScoringVersion(name, config);
+        if (!version) {
+            status.textContent = 'Could not save the version.';
+            status.style.color = '#dc2626';
+            return;
+        }
+        // Saving defaults as a version makes them the stored settings too
+        saveScoringConfig(config);
+        setActiveScoringVersion(version);
+        scoringVersions.unshift(version);
+        document.getElementById('version-name').value = '';
+        status.textContent = `Saved "${name}".`;
+        status.style.color = '#16a34a';
+        renderVersionsModal();
+    }
+
+    function useScoringVersion(versionId) {
+        const version = scoringVersions.find(v => String(v.id) === String(versionId));
+        if (!version) return;
+        saveScoringConfig(version.config);
+        setActiveScoringVersion(version);
+        renderHealthFilterOptions();
+        if (allDeals.length > 0) {
+            attachHealthScores(allDeals);
+            filteredDeals = [...allDeals];
+            applyFilters();
+            renderStats(allDeals);
+        }
+        const status = document.getElementById('versions-status');
+        status.textContent = `Using "${version.name}" for new scores.`;
+        status.style.color = '#16a34a';
+        renderVersionsModal();
+    }
+
+    // An upload's deals with their stage history, day counts taken as of
+    // its generated date, and the deals rows they came from
+    async function loadUploadForScoring(upload) {
+        const rows = await fetchDealsByUploadId(upload.id);
+        const deals = rows.map(supabaseRowToInternal);
+        await attachDealHistory(deals, {
+            uploadId: upload.id,
+            generatedDate: upload.generated_date,
+            uploadedAt: upload.uploaded_at
+        });
+        const asOf = parseTimestamp(upload.generated_date, 'iso', reportingTimeZone) || new Date();
+        setDayCountsAsOf(deals, asOf, reportingTimeZone);
+        return { rows, deals, asOf };
+    }
+
+    async function compareUploadScoring() {
+        const upload = findCachedUpload(document.getElementById('rescore-upload').value);
+        const a = selectedRescoreChoice('rescore-config-a');
+        const b = selectedRescoreChoice('rescore-config-b');
+        const results = document.getElementById('rescore-results');
+        if (!upload || !a || !b) return;
+        results.innerHTML = '<p class="text-sm text-slate-500">Scoring...</p>';
+        try {
+            const { deals, asOf } = await loadUploadForScoring(upload);
+            const result = simulateScoring(deals, a.config, b.config,
+                { now: asOf.getTime(), timeZone: reportingTimeZone, topMovers: deals.length });
+            results.innerHTML = renderSimulation(result, { labels: [a.label, b.label], moversTitle: 'Deals that change' });
+        } catch (e) {
+            console.error('Error comparing scoring configs:', e);
+            results.innerHTML = '<p class="text-sm text-red-600">Could not score this upload.</p>';
+        }
+    }
+
+    // Writes scores under config B back to the upload's deals rows
+    async function rescoreUpload() {
+        const upload = findCachedUpload(document.getElementById('rescore-upload').value);
+        const choice = selectedRescoreChoice('rescore-config-b');
+        const status = document.getElementById('versions-status');
+        if (!upload || !choice) return;
+        if (!confirm(`Re-score ${formatUploadLabel(upload)} with "${choice.label}"? This replaces the stored health scores of its deals.`)) return;
+
+        showLoading();
+        try {
+            const { rows, deals, asOf } = await loadUploadForScoring(upload);
+            const config = choice.config || undefined;
+            const updates = rescoreDeals(deals, asOf, config, reportingTimeZone)
+                .map((fields, i) => ({ id: rows[i].id, fields }));
+            // The upload's config is only recorded once every deal is written;
+            // re-running writes the same scores, so a retry finishes the job
+            const ok = await updateDealScores(updates) &&
+                await updateUploadScoring(upload.id, snapshotScoringConfig(config), choice.versionId);
+            if (!ok) {
+                status.textContent = 'Re-scoring stopped partway: some deals still have their old scores and the upload still lists its old config. Re-score again to finish.';
+                status.style.color = '#dc2626';
+                return;
+            }
+            removeTrendSnapshot(upload.id);
+            const [primaryId, compareId] = [elements.dateSelectPrimary.value, elements.dateSelectCompare.value];
+            await populateDatePicker();
+            elements.dateSelectPrimary.value = primaryId;
+            elements.dateSelectCompare.value = compareId;
+            status.textContent = `Re-scored ${deals.length} deals with "${choice.label}".`;
+            status.style.color = '#16a34a';
+            renderVersionsModal();
+            if (String(elements.dateSelectPrimary.value) === String(upload.id)) await handleDateSelection();
+        } catch (e) {
+            console.error('Error re-scoring upload:', e);
+            status.textContent = 'Re-scoring failed.';
+            status.style.color = '#dc2626';
+        } finally {
+            hideLoading();
+        }
+    }
+
+    // Drops the personal override: back to the team settings, or the
+    // defaults when none are published
     function resetScoringDefaults() {
         localStorage.removeItem(SCORING_CONFIG_KEY);
+        renderScoringSource();
+        renderHealthFilterOptions();
         // Recompute with defaults if deals are loaded
         if (allDeals.length > 0) {
             attachHealthScores(allDeals);
@@ -1665,6 +3965,248 @@
         closeScoringModal();
     }
 
+    // ==================== Sheet Chooser ====================
+    let sheetChooserCallback = null;
+
+    function openSheetChooser(sheets, filename, onChoose) {
+        sheetChooserCallback = onChoose;
+        document.getElementById('sheet-filename').textContent = filename || 'this workbook';
+        const list = document.getElementById('sheet-list');
+        list.innerHTML = sheets.map((name, index) =>
+            `<button class="w-full text-left px-4 py-2.5 border border-slate-200 rounded-lg text-sm text-slate-800 bg-white cursor-pointer transition-colors hover:border-blue-600 hover:bg-blue-50" data-sheet-index="${index}">${escapeHTML(name)}</button>`
+        ).join('');
+        list.querySelectorAll('[data-sheet-index]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const callback = sheetChooserCallback;
+                closeSheetChooser();
+                if (callback) callback(sheets[Number(btn.dataset.sheetIndex)]);
+            });
+        });
+        document.getElementById('sheet-modal').classList.remove('hidden');
+    }
+
+    function closeSheetChooser() {
+        document.getElementById('sheet-modal').classList.add('hidden');
+        sheetChooserCallback = null;
+    }
+
+    // ==================== Column Mapping Wizard ====================
+    let mappingWizardState = null;
+
+    function openMappingWizard(info, filename, onConfirm) {
+        const headers = info.headers || [];
+        const suggested = suggestColumnMapping(headers);
+        mappingWizardState = { headers, signature: info.signature, onConfirm };
+
+        document.getElementById('mapping-filename').textContent = filename || 'this file';
+        const tbody = document.getElementById('mapping-rows');
+        tbody.innerHTML = '';
+        headers.forEach((header, index) => {
+            if (!header || !header.trim()) return;
+            const samples = (info.samples || [])
+                .map(row => (row[index] || '').trim())
+                .filter(Boolean)
+                .map(v => v.length > 40 ? v.slice(0, 37) + '...' : v);
+            const options = ['<option value="">&mdash; Ignore &mdash;</option>']
+                .concat(INTERNAL_FIELDS.map(f =>
+                    `<option value="${f.id}"${suggested[header] === f.id ? ' selected' : ''}>${escapeHTML(f.label)}${f.required ? ' *' : ''}</option>`))
+                .join('');
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td class="px-3 py-2 border-b border-slate-100 text-sm font-medium text-slate-800">${escapeHTML(header)}</td>
+                <td class="px-3 py-2 border-b border-slate-100 text-xs text-slate-500">${samples.map(v => escapeHTML(v)).join('<br>') || '<span class="italic">empty</span>'}</td>
+                <td class="px-3 py-2 border-b border-slate-100">
+                    <select data-mapping-index="${index}" class="w-full px-2 py-1.5 border border-slate-200 rounded text-[0.8125rem] bg-white text-slate-800 focus:outline-none focus:border-blue-600">${options}</select>
+                </td>`;
+            tbody.appendChild(tr);
+        });
+
+        document.getElementById('mapping-profile-name').value = (filename || 'CRM export').replace(/\.[^.]+$/, '');
+        document.getElementById('mapping-save-profile').checked = true;
+        document.getElementById('mapping-validation').textContent = '';
+        document.getElementById('mapping-modal').classList.remove('hidden');
+    }
+
+    function closeMappingWizard() {
+        document.getElementById('mapping-modal').classList.add('hidden');
+        mappingWizardState = null;
+    }
+
+    function confirmMappingWizard() {
+        if (!mappingWizardState) return;
+        const validation = document.getElementById('mapping-validation');
+        validation.textContent = '';
+
+        const mapping = {};
+        const used = new Set();
+        for (const select of document.querySelectorAll('#mapping-rows select[data-mapping-index]')) {
+            const field = select.value;
+            if (!field) continue;
+            if (used.has(field)) {
+                const label = INTERNAL_FIELDS.find(f => f.id === field).label;
+                validation.textContent = `"${label}" is assigned to more than one column.`;
+                return;
+            }
+            used.add(field);
+            mapping[mappingWizardState.headers[parseInt(select.dataset.mappingIndex, 10)]] = field;
+        }
+
+        const missing = INTERNAL_FIELDS.filter(f => f.required && !used.has(f.id));
+        if (missing.length > 0) {
+            validation.textContent = 'Required: ' + missing.map(f => f.label).join(', ') + '.';
+            return;
+        }
+
+        if (document.getElementById('mapping-save-profile').checked) {
+            const name = document.getElementById('mapping-profile-name').value.trim() || 'Untitled profile';
+            saveMappingProfile(name, mappingWizardState.signature, mapping);
+        }
+
+        const { onConfirm } = mappingWizardState;
+        closeMappingWizard();
+        onConfirm(mapping);
+    }
+
+    function renderMappingProfilesList() {
+        const container = document.getElementById('mapping-profiles-list');
+        const profiles = loadMappingProfiles();
+        if (profiles.length === 0) {
+            container.innerHTML = '<p class="text-xs text-slate-400 italic">No saved profiles. Profiles are created from the mapping wizard.</p>';
+            return;
+        }
+        container.innerHTML = profiles.map((p, i) => `
+            <div class="flex items-center gap-2 py-1.5 border-b border-slate-100 last:border-0">
+                <span class="flex-1 text-[0.8125rem] text-slate-800">${escapeHTML(p.name)}</span>
+                <span class="text-xs text-slate-400">${Object.keys(p.mapping).length} columns</span>
+                <button class="scoring-stage-remove" data-profile-index="${i}" title="Delete profile">&times;</button>
+            </div>`).join('');
+        container.querySelectorAll('[data-profile-index]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const remaining = loadMappingProfiles();
+                remaining.splice(parseInt(btn.dataset.profileIndex, 10), 1);
+                saveMappingProfiles(remaining);
+                renderMappingProfilesList();
+            });
+        });
+    }
+
+    // ==================== Import Settings Modal ====================
+    const DATE_FORMAT_SELECTS = [['closingDate', 'date-format-closing'], ['modifiedDate', 'date-format-modified']];
+
+    function openImportSettingsModal() {
+        const rates = loadFxRates();
+        const container = document.getElementById('fx-rate-rows');
+        container.innerHTML = '';
+        // Only currencies parseACV detects; a stored rate for any other is dropped on save
+        for (const currency of Object.keys(rates)) {
+            if (currency === REPORTING_CURRENCY || !DETECTED_CURRENCIES.includes(currency)) continue;
+            addFxRateRow(container, currency, rates[currency]);
+        }
+        document.getElementById('fx-reporting-currency').textContent = REPORTING_CURRENCY;
+        document.getElementById('reporting-time-zone').value = reportingTimeZone;
+        const zoneOptions = document.getElementById('time-zone-options');
+        if (!zoneOptions.children.length && typeof Intl.supportedValuesOf === 'function') {
+            zoneOptions.innerHTML = Intl.supportedValuesOf('timeZone').map(z => `<option value="${escapeHTML(z)}">`).join('');
+        }
+        const dateFormats = loadDateFormats();
+        for (const [fieldId, selectId] of DATE_FORMAT_SELECTS) {
+            const select = document.getElementById(selectId);
+            select.innerHTML = DATE_FORMATS.map(f => `<option value="${f.id}">${escapeHTML(f.label)}</option>`).join('');
+            select.value = dateFormats[fieldId];
+        }
+        renderMappingProfilesList();
+        document.getElementById('import-settings-validation').textContent = '';
+        document.getElementById('import-settings-modal').classList.remove('hidden');
+    }
+
+    function closeImportSettingsModal() {
+        document.getElementById('import-settings-modal').classList.add('hidden');
+    }
+
+    function addNoteRuleRow(container, rule = {}) {
+        const row = document.createElement('div');
+        row.className = 'scoring-stage-row';
+        const matchOption = (value, label) =>
+            '<option value="' + value + '"' + ((rule.match || 'phrase') === value ? ' selected' : '') + '>' + label + '</option>';
+        row.innerHTML = '<input type="text" placeholder="Phrase or pattern" data-rule-pattern value="' + escapeHTML(rule.pattern || '') + '">' +
+            '<select data-rule-match title="Phrase: whole words. Regex: regular expression">' +
+            NOTE_RULE_MATCH_MODES.map(mode => matchOption(mode, mode === 'regex' ? 'Regex' : 'Phrase')).join('') + '</select>' +
+            '<input type="number" step="1" placeholder="10" data-rule-weight title="Points per match (negative lowers the score)" value="' + (rule.weight != null ? rule.weight : '') + '">' +
+            '<button class="scoring-stage-remove" title="Remove">&times;</button>';
+        row.querySelector('.scoring-stage-remove').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    function addFxRateRow(container, currency, rate) {
+        const row = document.createElement('div');
+        row.className = 'scoring-stage-row';
+        const options = DETECTED_CURRENCIES.filter(code => code !== REPORTING_CURRENCY)
+            .map(code => `<option value="${code}"${code === currency ? ' selected' : ''}>${code}</option>`).join('');
+        row.innerHTML = '<select aria-label="Currency"><option value="">Currency</option>' + options + '</select>' +
+            '<input type="number" min="0" step="0.0001" placeholder="1.00" value="' + (rate != null ? rate : '') + '">' +
+            '<button class="scoring-stage-remove" title="Remove">&times;</button>';
+        row.querySelector('.scoring-stage-remove').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    async function saveImportSettings() {
+        const validation = document.getElementById('import-settings-validation');
+        validation.textContent = '';
+
+        const rates = { [REPORTING_CURRENCY]: 1 };
+        const rows = document.querySelectorAll('#fx-rate-rows .scoring-stage-row');
+        for (const row of rows) {
+            const currency = row.querySelector('select').value;
+            const rate = parseFloat(row.querySelector('input[type="number"]').value);
+            if (!currency) continue;
+            if (!(rate > 0)) {
+                validation.textContent = `Invalid rate for "${currency}". Use a positive rate.`;
+                validation.style.color = '#dc2626';
+                return;
+            }
+            rates[currency] = rate;
+        }
+
+        const timeZone = document.getElementById('reporting-time-zone').value.trim();
+        if (!isValidTimeZone(timeZone)) {
+            validation.textContent = `Unknown time zone "${timeZone}". Use an IANA name such as America/Toronto.`;
+            validation.style.color = '#dc2626';
+            return;
+        }
+
+        const dateFormats = {};
+        for (const [fieldId, selectId] of DATE_FORMAT_SELECTS) {
+            dateFormats[fieldId] = document.getElementById(selectId).value;
+        }
+        saveDateFormats(dateFormats);
+
+        const zoneChanged = timeZone !== reportingTimeZone;
+        if (zoneChanged) {
+            saveReportingTimeZone(timeZone);
+            // Days since update / until closing and the recency score move with the zone
+            if (allDeals.length > 0) {
+                refreshDayCounts(allDeals);
+                attachHealthScores(allDeals);
+                filteredDeals = [...allDeals];
+                applyFilters();
+                renderStats(allDeals);
+            }
+        }
+
+        saveFxRates(rates);
+        if (isOnline && !(await replaceFxRates(rates))) {
+            validation.textContent = 'Saved locally, but failed to sync rates to Supabase.';
+            validation.style.color = '#dc2626';
+            return;
+        }
+        if (isOnline && zoneChanged && !(await upsertTeamSetting('reporting_time_zone', timeZone))) {
+            validation.textContent = 'Saved locally, but failed to sync the time zone to Supabase.';
+            validation.style.color = '#dc2626';
+            return;
+        }
+        closeImportSettingsModal();
+    }
+
     // ==================== Event Listeners ====================
     function setupEventListeners() {
         // File input
@@ -1706,6 +4248,12 @@
         elements.filterUrgency.addEventListener('change', applyFilters);
         elements.filterHealth.addEventListener('change', applyFilters);
         elements.filterChanges.addEventListener('change', applyFilters);
+        elements.filterAISignal.addEventListener('change', applyFilters);
+
+        // Cancel an import from the loading overlay
+        elements.loadingCancelBtn.addEventListener('click', () => {
+            if (cancelActiveIngest) cancelActiveIngest();
+        });
 
         // Sorting
         document.querySelectorAll('th[data-sort]').forEach(th => {
@@ -1767,6 +4315,7 @@
             showLoading();
             const success = await deleteUpload(uploadId);
             if (success) {
+                removeTrendSnapshot(uploadId);
                 await populateDatePicker();
                 // Auto-select the latest remaining upload
                 if (elements.dateSelectPrimary.options.length > 1) {
@@ -1788,6 +4337,33 @@
         // Clear local data
         document.getElementById('clear-data-btn').addEventListener('click', clearLocalData);
 
+        // Deal match review
+        document.getElementById('match-modal-close').addEventListener('click', closeMatchModal);
+        document.getElementById('match-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeMatchModal();
+        });
+
+        // Workbook sheet chooser
+        document.getElementById('sheet-modal-close').addEventListener('click', closeSheetChooser);
+        document.getElementById('sheet-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeSheetChooser();
+        });
+
+        // Import report
+        document.getElementById('report-btn').addEventListener('click', openReportModal);
+        document.getElementById('report-modal-close').addEventListener('click', closeReportModal);
+        document.getElementById('report-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeReportModal();
+        });
+
+        // Trends
+        document.getElementById('trends-btn').addEventListener('click', openTrendsModal);
+        document.getElementById('trends-modal-close').addEventListener('click', closeTrendsModal);
+        document.getElementById('trends-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeTrendsModal();
+        });
+        document.getElementById('trends-breakdown').addEventListener('change', renderTrends);
+
         // Reset filters
         elements.resetFiltersBtn.addEventListener('click', resetFilters);
 
@@ -1820,19 +4396,77 @@
             if (e.target === e.currentTarget) closeScoringModal();
         });
         document.getElementById('scoring-save-btn').addEventListener('click', saveScoringSettings);
+        document.getElementById('scoring-simulate-btn').addEventListener('click', simulateScoringDraft);
+        document.getElementById('scoring-versions-btn').addEventListener('click', openVersionsModal);
+        document.getElementById('scoring-publish-btn').addEventListener('click', publishScoringConfig);
+
+        // Scoring Versions modal
+        document.getElementById('versions-modal-close').addEventListener('click', closeVersionsModal);
+        document.getElementById('versions-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeVersionsModal();
+        });
+        document.getElementById('version-save-btn').addEventListener('click', saveScoringVersion);
+        document.getElementById('rescore-upload').addEventListener('change', () => {
+            renderRescoreConfigOptions();
+            document.getElementById('rescore-results').innerHTML = '';
+        });
+        document.getElementById('rescore-compare-btn').addEventListener('click', compareUploadScoring);
+        document.getElementById('rescore-apply-btn').addEventListener('click', rescoreUpload);
+        document.getElementById('scoring-modal-body').addEventListener('input', () => {
+            document.querySelector('#scoring-simulation [data-simulation-stale]')?.classList.remove('hidden');
+        });
         document.getElementById('scoring-reset-btn').addEventListener('click', resetScoringDefaults);
         document.getElementById('scoring-add-stage').addEventListener('click', () => {
-            addStageRow(document.getElementById('scoring-stage-rows'), '', '');
+            addStageRow(document.getElementById('scoring-stage-rows'), '');
+        });
+        document.getElementById('scoring-add-rule').addEventListener('click', () => {
+            addNoteRuleRow(document.getElementById('scoring-note-rules'), { weight: 10, match: 'phrase' });
         });
+        document.getElementById('scoring-stage-rows').addEventListener('input', refreshStageBenchmarks);
+        document.getElementById('scoring-min-samples').addEventListener('input', refreshStageBenchmarks);
         document.getElementById('scoring-weights-grid').addEventListener('input', updateWeightTotal);
+        document.getElementById('scoring-curves').addEventListener('input', (e) => {
+            const editor = e.target.closest('.scoring-curve');
+            if (editor) updateCurvePreview(editor);
+        });
+
+        // Import Settings modal
+        document.getElementById('import-settings-btn').addEventListener('click', openImportSettingsModal);
+        document.getElementById('import-settings-modal-close').addEventListener('click', closeImportSettingsModal);
+        document.getElementById('import-settings-modal').addEventListener('click', (e) => {
+            if (e.target === e.currentTarget) closeImportSettingsModal();
+        });
+        document.getElementById('import-settings-save-btn').addEventListener('click', saveImportSettings);
+        document.getElementById('fx-add-rate').addEventListener('click', () => {
+            addFxRateRow(document.getElementById('fx-rate-rows'), '', '');
+        });
+
+        // Column mapping wizard
+        document.getElementById('mapping-modal-close').addEventListener('click', closeMappingWizard);
+        document.getElementById('mapping-cancel-btn').addEventListener('click', closeMappingWizard);
+        document.getElementById('mapping-confirm-btn').addEventListener('click', confirmMappingWizard);
 
         // Escape key — close whichever modal is open
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 if (!document.getElementById('scoring-modal').classList.contains('hidden')) {
                     closeScoringModal();
+                } else if (!document.getElementById('versions-modal').classList.contains('hidden')) {
+                    closeVersionsModal();
+                } else if (!document.getElementById('import-settings-modal').classList.contains('hidden')) {
+                    closeImportSettingsModal();
+                } else if (!document.getElementById('mapping-modal').classList.contains('hidden')) {
+                    closeMappingWizard();
+                } else if (!document.getElementById('sheet-modal').classList.contains('hidden')) {
+                    closeSheetChooser();
                 } else if (!document.getElementById('contacts-modal').classList.contains('hidden')) {
                     closeContactsModal();
+                } else if (!document.getElementById('trends-modal').classList.contains('hidden')) {
+                    closeTrendsModal();
+                } else if (!document.getElementById('match-modal').classList.contains('hidden')) {
+                    closeMatchModal();
+                } else if (!document.getElementById('report-modal').classList.contains('hidden')) {
+                    closeReportModal();
                 } else {
                     closeDealModal();
                 }
@@ -1844,7 +4478,10 @@
     async function init() {
         checkSchemaVersion();
         setupEventListeners();
+        renderHealthFilterOptions();
+        renderAISignalFilterOptions();
         initSupabase();
+        renderScoringSource();
 
         if (window.UI_ONLY) {
             if (elements.datePickerSection) elements.datePickerSection.classList.add('hidden');
@@ -1859,6 +4496,14 @@
             try {
                 showLoading();
                 await loadOwnerContacts();
+                // The team table replaces the local copy; rates removed there stay removed
+                const teamRates = await fetchFxRates();
+                if (teamRates) saveFxRates(teamRates);
+                const teamTimeZone = await fetchTeamSetting('reporting_time_zone');
+                if (isValidTimeZone(teamTimeZone)) saveReportingTimeZone(teamTimeZone);
+                await loadTeamScoring();
+                const teamLinks = await fetchDealLinks();
+                if (teamLinks) mergeDealLinks(teamLinks);
                 await populateDatePicker();
 
                 // Auto-select the most recent upload
@@ -1902,11 +4547,13 @@
     window._testAPI = {
         parseCSV,
         parseCSVText,
+        decodeBytes,
         processRow,
         validateRow,
         deduplicateDeals,
         parseACV,
         parseDate,
+        parseTimestamp,
         stripHTML,
         generateFallbackSummary,
         normalizeString,
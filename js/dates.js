@@ -0,0 +1,356 @@
+// DealUpdates - Date parsing
+// Parses export dates with an explicit format instead of `new Date(string)`,
+// whose reading of "03/04/2026" depends on the browser and locale. Formats
+// can be configured per column or detected by sampling a column's values.
+// Results depend only on the input text and the team's reporting time zone,
+// never on the runtime or the zone of the machine it runs on.
+//
+// Two kinds of value come out of here:
+//   calendar dates (closing date, generated date) - a Date at UTC midnight
+//     of the written day, so toISOString().slice(0, 10) is that day everywhere
+//   timestamps (modified time) - the real instant: the written time in the
+//     written zone, or in the reporting zone when the export gives none
+// Shared by app.js (browser), the ingest worker and Node.js via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Configuration ====================
+
+    const DATE_FORMATS = [
+        { id: 'auto', label: 'Auto-detect' },
+        { id: 'iso',  label: 'ISO (YYYY-MM-DD)' },
+        { id: 'dmy',  label: 'DD/MM/YYYY' },
+        { id: 'mdy',  label: 'MM/DD/YYYY' },
+        { id: 'text', label: 'Month name (Feb 10 2026)' }
+    ];
+
+    // Reporting time zone when the team hasn't configured one (IANA name)
+    const DEFAULT_TIME_ZONE = 'America/Toronto';
+
+    const MS_PER_DAY = 86400000;
+
+    // Fixed offsets (minutes east of UTC) for zone abbreviations CRMs append
+    // to timestamps; anything else falls back to the reporting zone
+    const ZONE_ABBREVIATIONS = {
+        Z: 0, UTC: 0, GMT: 0,
+        NST: -210, NDT: -150, AST: -240, ADT: -180, EST: -300, EDT: -240,
+        CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+        BST: 60, CET: 60, CEST: 120
+    };
+
+    // How an all-ambiguous numeric column (every day and month <= 12) is read;
+    // month-first is what the browsers' own parsing did for these exports
+    const DEFAULT_NUMERIC_ORDER = 'mdy';
+
+    const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'];
+
+    // Optional time of day after the date: "10:30", "10:30:15.250", "2:05 PM",
+    // followed by an optional zone ("Z", "+05:30", "-0500", "GMT-0500 (EST)", "EST")
+    const TIME = '(?:[T\\s,]+(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?\\s*([AaPp][Mm])?' +
+        '\\s*(Z|(?:GMT|UTC)?[+-]\\d{2}:?\\d{2}|GMT|UTC|[A-Z]{3,4})?(?:\\s+\\([^)]*\\))?)?';
+
+    const PATTERNS = {
+        iso: new RegExp('^(\\d{4})([-/.])(\\d{1,2})\\2(\\d{1,2})' + TIME + '$'),
+        numeric: new RegExp('^(\\d{1,2})([-/.])(\\d{1,2})\\2(\\d{4}|\\d{2})' + TIME + '$'),
+        // "Feb 10 2026", "February 10, 2026", "Tue Feb 10 2026"
+        monthFirst: new RegExp('^(?:[A-Za-z]+,?\\s+)?([A-Za-z]+)\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})' + TIME + '$'),
+        // "10 Feb 2026", "10-Feb-2026", "10 February, 2026"
+        dayFirst: new RegExp('^(?:[A-Za-z]+,?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?[\\s-]+([A-Za-z]+)\\.?,?[\\s-]+(\\d{4}|\\d{2})' + TIME + '$')
+    };
+
+    // ==================== Parsing ====================
+
+    function monthFromName(name) {
+        const lower = name.toLowerCase();
+        if (lower.length < 3) return 0;
+        for (let i = 0; i < MONTHS.length; i++) {
+            if (MONTHS[i].startsWith(lower) || (lower === 'sept' && i === 8)) return i + 1;
+        }
+        return 0;
+    }
+
+    function expandYear(year) {
+        if (year.length === 4) return Number(year);
+        const yy = Number(year);
+        return yy < 70 ? 2000 + yy : 1900 + yy;
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    // m: the match; t: index of the first time group
+    function buildParts(year, month, day, m, t) {
+        if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= daysInMonth(year, month))) return null;
+        const parts = { year, month, day, hour: 0, minute: 0, second: 0, hasTime: false, zone: null };
+        if (m[t] !== undefined) {
+            let hour = Number(m[t]);
+            const meridiem = m[t + 3] ? m[t + 3].toLowerCase() : null;
+            if (meridiem === 'pm' && hour < 12) hour += 12;
+            if (meridiem === 'am' && hour === 12) hour = 0;
+            const minute = Number(m[t + 1]);
+            const second = m[t + 2] ? Number(m[t + 2]) : 0;
+            if (hour > 23 || minute > 59 || second > 59) return null;
+            parts.hour = hour;
+            parts.minute = minute;
+            parts.second = second;
+            parts.hasTime = true;
+            parts.zone = m[t + 4] || null;
+        }
+        return parts;
+    }
+
+    // Date parts { year, month (1-12), day, hour, minute, second, hasTime, zone }
+    // for one explicit format ('iso' | 'dmy' | 'mdy' | 'text'), or null
+    function parseDateParts(value, format) {
+        const text = String(value == null ? '' : value).trim();
+        if (!text) return null;
+        let m;
+        if (format === 'iso') {
+            m = text.match(PATTERNS.iso);
+            return m ? buildParts(Number(m[1]), Number(m[3]), Number(m[4]), m, 5) : null;
+        }
+        if (format === 'dmy' || format === 'mdy') {
+            m = text.match(PATTERNS.numeric);
+            if (!m) return null;
+            const first = Number(m[1]);
+            const second = Number(m[3]);
+            const year = expandYear(m[4]);
+            return format === 'dmy'
+                ? buildParts(year, second, first, m, 5)
+                : buildParts(year, first, second, m, 5);
+        }
+        if (format === 'text') {
+            m = text.match(PATTERNS.monthFirst);
+            if (m && monthFromName(m[1])) return buildParts(Number(m[3]), monthFromName(m[1]), Number(m[2]), m, 4);
+            m = text.match(PATTERNS.dayFirst);
+            if (m && monthFromName(m[2])) return buildParts(expandYear(m[3]), monthFromName(m[2]), Number(m[1]), m, 4);
+            return null;
+        }
+        return null;
+    }
+
+    // Every explicit format that reads the value, e.g. '03/04/2026' -> ['dmy', 'mdy']
+    function candidateFormats(value) {
+        return ['iso', 'dmy', 'mdy', 'text'].filter(format => parseDateParts(value, format) !== null);
+    }
+
+    // Parts using the given format ('auto' or omitted: whatever reads it, with
+    // ambiguous numeric dates read as DEFAULT_NUMERIC_ORDER and "13/04/2026"
+    // read the only way it can be). ISO and month-name values are unambiguous
+    // and are accepted under a numeric format too, but a numeric column's
+    // day/month order is never swapped to make a value fit.
+    function parseDateValue(value, format) {
+        if (format === 'dmy' || format === 'mdy') {
+            return parseDateParts(value, format) || parseDateParts(value, 'iso') || parseDateParts(value, 'text');
+        }
+        return parseDateParts(value, 'iso') ||
+            parseDateParts(value, 'text') ||
+            parseDateParts(value, DEFAULT_NUMERIC_ORDER) ||
+            parseDateParts(value, DEFAULT_NUMERIC_ORDER === 'mdy' ? 'dmy' : 'mdy');
+    }
+
+    // Calendar date (UTC midnight of the written day) for parsed parts, or null
+    function toCalendarDate(parts) {
+        return parts ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day)) : null;
+    }
+
+    // The instant parsed parts describe: the written time in the written zone
+    // ("+05:30", "EST", "Z"), else wall-clock time in timeZone. A date without
+    // a time is the start of that day. Returns a Date or null.
+    function toInstant(parts, timeZone) {
+        if (!parts) return null;
+        const offset = zoneOffsetFromText(parts.zone);
+        if (offset !== null) {
+            const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return new Date(wall - offset * 60000);
+        }
+        return zonedTimeToInstant(parts, timeZone);
+    }
+
+    // Minutes east of UTC for a zone written after a time, or null if unknown
+    function zoneOffsetFromText(zone) {
+        if (!zone) return null;
+        const m = zone.match(/^(?:GMT|UTC)?([+-])(\d{2}):?(\d{2})$/);
+        if (m) return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+        return Object.prototype.hasOwnProperty.call(ZONE_ABBREVIATIONS, zone) ? ZONE_ABBREVIATIONS[zone] : null;
+    }
+
+    // ==================== Time Zones ====================
+
+    const zoneFormatters = new Map();
+
+    function zoneFormatter(timeZone) {
+        let formatter = zoneFormatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+            zoneFormatters.set(timeZone, formatter);
+        }
+        return formatter;
+    }
+
+    function isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            zoneFormatter(timeZone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Wall-clock { year, month, day, hour, minute, second } of an instant in timeZone
+    function zonedParts(instant, timeZone) {
+        const p = {};
+        for (const part of zoneFormatter(timeZone || DEFAULT_TIME_ZONE).formatToParts(instant)) {
+            p[part.type] = part.value;
+        }
+        return {
+            year: Number(p.year), month: Number(p.month), day: Number(p.day),
+            hour: Number(p.hour) % 24, minute: Number(p.minute), second: Number(p.second)
+        };
+    }
+
+    // Minutes timeZone is ahead of UTC at the given instant
+    function zoneOffsetMinutes(instant, timeZone) {
+        const p = zonedParts(instant, timeZone);
+        const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return Math.round((wall - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // Instant at which timeZone's clocks show the given wall-clock parts. The
+    // offset is re-read at the first guess so days with a DST change resolve
+    // (a time skipped by the change lands an hour before it).
+    function zonedTimeToInstant(parts, timeZone) {
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+        const guess = wall - zoneOffsetMinutes(new Date(wall), timeZone) * 60000;
+        return new Date(wall - zoneOffsetMinutes(new Date(guess), timeZone) * 60000);
+    }
+
+    // ==================== Date Keys ====================
+
+    function pad2(n) {
+        return (n < 10 ? '0' : '') + n;
+    }
+
+    // 'YYYY-MM-DD' of a calendar date (toCalendarDate)
+    function calendarDateKey(date) {
+        return date.getUTCFullYear() + '-' + pad2(date.getUTCMonth() + 1) + '-' + pad2(date.getUTCDate());
+    }
+
+    // 'YYYY-MM-DD' of the day an instant falls on in timeZone
+    function zonedDateKey(instant, timeZone) {
+        const p = zonedParts(instant, timeZone);
+        return p.year + '-' + pad2(p.month) + '-' + pad2(p.day);
+    }
+
+    // Calendar date for a 'YYYY-MM-DD' key
+    function dateKeyToCalendarDate(key) {
+        const m = String(key || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        return m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))) : null;
+    }
+
+    // Whole days from a 'YYYY-MM-DD' key to another (negative if earlier)
+    function daysBetweenKeys(fromKey, toKey) {
+        return Math.round((dateKeyToCalendarDate(toKey) - dateKeyToCalendarDate(fromKey)) / MS_PER_DAY);
+    }
+
+    // ==================== Detection ====================
+
+    // Looks at a column's sample values and picks the format that reads them.
+    // Returns { format, ambiguous, mixed, counts } where counts has, per
+    // family, how many values only that reading accepts: iso, text, dmy
+    // (a day > 12 first), mdy (a day > 12 second), plus numeric (either order)
+    // and invalid. ambiguous: numeric values only and none of them settle the
+    // order. mixed: more than one family present, or both day-first-only and
+    // month-first-only values (no single format reads them all).
+    function detectDateFormat(values, fallback) {
+        const counts = { iso: 0, text: 0, dmy: 0, mdy: 0, numeric: 0, invalid: 0 };
+        for (const value of values) {
+            if (value == null || !String(value).trim()) continue;
+            counts[classifyDate(value)]++;
+        }
+
+        // The order more values settle; a tie (including none) goes to the fallback
+        const numericOrder = counts.dmy > counts.mdy ? 'dmy'
+            : counts.mdy > counts.dmy ? 'mdy'
+            : (fallback === 'dmy' || fallback === 'mdy' ? fallback : DEFAULT_NUMERIC_ORDER);
+        const numericTotal = counts.dmy + counts.mdy + counts.numeric;
+        const families = [counts.iso > 0, counts.text > 0, numericTotal > 0].filter(Boolean).length;
+
+        // The largest family decides; numeric columns carry their day/month order
+        let format = 'iso';
+        if (numericTotal > counts.iso && numericTotal >= counts.text) format = numericOrder;
+        else if (counts.text > counts.iso) format = 'text';
+
+        return {
+            format,
+            ambiguous: numericTotal > 0 && counts.dmy === 0 && counts.mdy === 0,
+            mixed: families > 1 || (counts.dmy > 0 && counts.mdy > 0),
+            counts
+        };
+    }
+
+    // 'iso' | 'text' | 'dmy' | 'mdy' | 'numeric' (either order) | 'invalid'
+    function classifyDate(value) {
+        const formats = candidateFormats(value);
+        if (formats.length === 0) return 'invalid';
+        if (formats.indexOf('iso') !== -1) return 'iso';
+        if (formats.indexOf('text') !== -1) return 'text';
+        if (formats.length === 2) return 'numeric';
+        return formats[0];
+    }
+
+    // First date found inside free text such as "Generated by CRM Export on
+    // 10/02/2026 09:14", read with the given numeric order
+    function findDateInText(text, format) {
+        const patterns = [
+            /\d{4}[-\/.]\d{1,2}[-\/.]\d{1,2}/,
+            /\d{1,2}[-\/.]\d{1,2}[-\/.]\d{2,4}/,
+            /[A-Za-z]+\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}/,
+            /\d{1,2}(?:st|nd|rd|th)?[\s-]+[A-Za-z]+\.?,?[\s-]+\d{4}/
+        ];
+        for (const pattern of patterns) {
+            const match = String(text || '').match(pattern);
+            if (!match) continue;
+            const parts = parseDateValue(match[0], format);
+            if (parts) return parts;
+        }
+        return null;
+    }
+
+    function formatLabel(format) {
+        const entry = DATE_FORMATS.find(f => f.id === format);
+        return entry ? entry.label : format;
+    }
+
+    // ==================== Exports ====================
+    exports.DATE_FORMATS = DATE_FORMATS;
+    exports.DEFAULT_NUMERIC_ORDER = DEFAULT_NUMERIC_ORDER;
+    exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+    exports.parseDateParts = parseDateParts;
+    exports.parseDateValue = parseDateValue;
+    exports.toCalendarDate = toCalendarDate;
+    exports.toInstant = toInstant;
+    exports.isValidTimeZone = isValidTimeZone;
+    exports.zonedParts = zonedParts;
+    exports.zonedTimeToInstant = zonedTimeToInstant;
+    exports.calendarDateKey = calendarDateKey;
+    exports.zonedDateKey = zonedDateKey;
+    exports.dateKeyToCalendarDate = dateKeyToCalendarDate;
+    exports.daysBetweenKeys = daysBetweenKeys;
+    exports.candidateFormats = candidateFormats;
+    exports.classifyDate = classifyDate;
+    exports.detectDateFormat = detectDateFormat;
+    exports.findDateInText = findDateInText;
+    exports.formatLabel = formatLabel;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealDates = {}));
@@ -1,22 +1,20 @@
 // DealUpdates - Deal Health Score module
-// Computes a composite health score (0-100) per deal from 6 weighted components.
+// Computes a composite health score (0-100) per deal from weighted components
+// declared in a registry (seven built in; more can be added with registerComponent).
 // Shared by app.js (browser) and generate-golden.js (Node.js) via UMD.
 
 (function(exports) {
     'use strict';
 
-    // ==================== Default Configuration ====================
+    // ==================== Dependencies ====================
+    var DealDates = typeof require !== 'undefined'
+        ? require('./dates.js')
+        : self.DealDates;
+    var DealDomain = typeof require !== 'undefined'
+        ? require('./domain.js')
+        : self.DealDomain;
 
-    function defaultWeights() {
-        return {
-            stageProbability: 25,
-            velocity: 20,
-            activityRecency: 15,
-            closeDateIntegrity: 10,
-            acv: 15,
-            notesSignal: 15
-        };
-    }
+    // ==================== Default Configuration ====================
 
     const DEFAULT_STAGE_SCORES = {
         'discovery': 20,
@@ -47,6 +45,58 @@
 
     const PUSH_SIGNALS = ['pushed', 'delayed', 'moved out', 'rescheduled'];
 
+    // Notes Signal: points per keyword rule match (the default rules are the
+    // keyword lists above at +10 / -10), how negation is spotted, and how
+    // fast an older note's matches fade
+    var DEFAULT_NOTE_RULE_WEIGHT = 10;
+    var DEFAULT_NOTES_SIGNAL = {
+        negationCues: ['not', 'no', 'never', 'without', 'nothing', "isn't", "wasn't", "hasn't", "haven't",
+            "didn't", "doesn't", "don't", "won't", "aren't", "weren't", 'cannot', "can't"],
+        negationWindow: 3,  // words before a match that may negate it (0: off)
+        halfLifeDays: 30    // a match's weight halves every this many days of note age (0: no decay)
+    };
+
+    // Close Date Integrity penalties (editable in the scoring config)
+    const DEFAULT_CLOSE_DATE_PENALTIES = {
+        slip: 20,           // per time the close date moved out (upload history)
+        slipDaysStep: 30,   // cumulative slip days per extra penalty
+        slipDays: 5,
+        pushSignal: 20      // per push signal in notes, when there's no history
+    };
+
+    // AI Next Steps: points on a base of 50 for what the AI extraction found
+    // in the notes (js/domain.js normalizeExtraction)
+    var NEXT_STEPS_POINTS = {
+        base: 50,
+        nextStep: 20,        // a next step is named
+        dated: 10,           // ...with a date that hasn't passed
+        overdue: -30,        // ...with a date that has passed
+        blocker: -15,        // per blocker, at most maxBlockers
+        maxBlockers: 2,
+        competitor: -10,     // any competitor mentioned
+        decisionMakers: 10,  // any decision maker named
+        closeDateChange: -10 // a move of the close date is proposed
+    };
+
+    // Dataset medians replace a stage's constant benchmark from this many deals
+    var DEFAULT_BENCHMARK_MIN_SAMPLES = 3;
+
+    // Score curves for the components that band a metric (see Curves below)
+    var DEFAULT_CURVES = {
+        velocity: {
+            mode: 'stepped',
+            points: [{ at: 0.8, score: 100 }, { at: 1.2, score: 70 }, { at: 1.5, score: 40 }, { at: 2, score: 10 }]
+        },
+        activityRecency: {
+            mode: 'stepped',
+            points: [{ at: 7, score: 100 }, { at: 14, score: 70 }, { at: 30, score: 40 }, { at: 60, score: 10 }]
+        },
+        acv: {
+            mode: 'stepped',
+            points: [{ at: 40, score: 40 }, { at: 80, score: 70 }, { at: 100, score: 100 }]
+        }
+    };
+
     // Constant benchmark: expected days a deal spends in each stage
     var STAGE_BENCHMARKS = {
         'discovery': 14,
@@ -56,7 +106,202 @@
         'verbal commit': 14
     };
 
-    var MS_PER_DAY = 86400000;
+    // ==================== Curves ====================
+    // A curve maps a metric to a 0-100 score through points [{ at, score }]
+    // sorted by `at`. 'stepped': a value takes the score of the first point it
+    // doesn't exceed (exactly on a point, the better of the two neighbouring
+    // scores), and the last point's score beyond it. 'linear': interpolates
+    // between points, flat before the first and after the last.
+    var CURVE_MODES = ['stepped', 'linear'];
+
+    function evaluateCurve(curve, value) {
+        var points = curve.points;
+        if (value <= points[0].at) {
+            return curve.mode === 'linear' || value < points[0].at || points.length === 1
+                ? points[0].score : Math.max(points[0].score, points[1].score);
+        }
+        for (var i = 1; i < points.length; i++) {
+            var p = points[i];
+            if (value > p.at) continue;
+            if (curve.mode === 'linear') {
+                var prev = points[i - 1];
+                return prev.score + (p.score - prev.score) * (value - prev.at) / (p.at - prev.at);
+            }
+            if (value === p.at && i + 1 < points.length) return Math.max(p.score, points[i + 1].score);
+            return p.score;
+        }
+        return points[points.length - 1].score;
+    }
+
+    // Returns a problem description, or null when the curve is usable
+    function validateCurve(curve) {
+        if (!curve || CURVE_MODES.indexOf(curve.mode) === -1) return 'Unknown curve mode.';
+        if (!Array.isArray(curve.points) || curve.points.length === 0) return 'A curve needs at least one point.';
+        for (var i = 0; i < curve.points.length; i++) {
+            var p = curve.points[i];
+            if (!p || typeof p.at !== 'number' || !isFinite(p.at)) return 'Every threshold needs a number.';
+            if (typeof p.score !== 'number' || !(p.score >= 0 && p.score <= 100)) return 'Scores must be between 0 and 100.';
+            if (i > 0 && !(p.at > curve.points[i - 1].at)) return 'Thresholds must increase from left to right.';
+        }
+        return null;
+    }
+
+    function copyCurve(curve) {
+        return {
+            mode: curve.mode,
+            points: curve.points.map(function(p) { return { at: p.at, score: p.score }; })
+        };
+    }
+
+    // The config's curve for a component, or its registered default
+    function resolveCurve(config, id) {
+        var configured = config && config.curves && config.curves[id];
+        if (configured && validateCurve(configured) === null) return configured;
+        var component = getComponent(id);
+        return component && component.curve ? component.curve : null;
+    }
+
+    function resolveCloseDatePenalties(config) {
+        var penalties = {};
+        var configured = (config && config.closeDatePenalties) || {};
+        for (var key in DEFAULT_CLOSE_DATE_PENALTIES) {
+            penalties[key] = typeof configured[key] === 'number' && configured[key] >= 0
+                ? configured[key] : DEFAULT_CLOSE_DATE_PENALTIES[key];
+        }
+        return penalties;
+    }
+
+    // ==================== Notes Rules ====================
+    // A rule is { pattern, weight, match }: 'phrase' matches the words
+    // case-insensitively as whole words with any whitespace between them;
+    // 'regex' is a case-insensitive JavaScript regular expression. A match
+    // preceded (in the same sentence) by a negation cue within the window,
+    // e.g. "not pushed", doesn't count.
+    var NOTE_RULE_MATCH_MODES = ['phrase', 'regex'];
+
+    function keywordsToRules(keywords, weight) {
+        return keywords.map(function(keyword) {
+            return { pattern: keyword, weight: weight, match: 'phrase' };
+        });
+    }
+
+    function defaultNotesRules() {
+        return keywordsToRules(POSITIVE_KEYWORDS, DEFAULT_NOTE_RULE_WEIGHT)
+            .concat(keywordsToRules(NEGATIVE_KEYWORDS, -DEFAULT_NOTE_RULE_WEIGHT));
+    }
+
+    // Configs saved before rules had positive/negative keyword lists
+    function resolveNotesRules(config) {
+        if (config && Array.isArray(config.notesRules)) return config.notesRules;
+        if (config && (config.positiveKeywords || config.negativeKeywords)) {
+            return keywordsToRules(config.positiveKeywords || POSITIVE_KEYWORDS, DEFAULT_NOTE_RULE_WEIGHT)
+                .concat(keywordsToRules(config.negativeKeywords || NEGATIVE_KEYWORDS, -DEFAULT_NOTE_RULE_WEIGHT));
+        }
+        return defaultNotesRules();
+    }
+
+    function resolveNotesSignalOptions(config) {
+        var configured = (config && config.notesSignal) || {};
+        return {
+            negationCues: Array.isArray(configured.negationCues) ? configured.negationCues : DEFAULT_NOTES_SIGNAL.negationCues,
+            negationWindow: typeof configured.negationWindow === 'number' && configured.negationWindow >= 0
+                ? configured.negationWindow : DEFAULT_NOTES_SIGNAL.negationWindow,
+            halfLifeDays: typeof configured.halfLifeDays === 'number' && configured.halfLifeDays >= 0
+                ? configured.halfLifeDays : DEFAULT_NOTES_SIGNAL.halfLifeDays
+        };
+    }
+
+    // A global, case-insensitive RegExp for the rule, or null if it can't be built
+    function compileNoteRule(rule) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return null;
+        if (rule.match === 'regex') {
+            try {
+                return new RegExp(rule.pattern, 'gi');
+            } catch (e) {
+                return null;
+            }
+        }
+        var phrase = rule.pattern.trim();
+        var source = phrase.split(/\s+/).map(function(word) {
+            return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('\\s+');
+        // Word boundaries only where the phrase starts/ends with a word character
+        if (/^\w/.test(phrase)) source = '\\b' + source;
+        if (/\w$/.test(phrase)) source = source + '\\b';
+        return new RegExp(source, 'gi');
+    }
+
+    // Returns a problem description, or null when the rule is usable
+    function validateNoteRule(rule) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'Every rule needs a pattern.';
+        if (NOTE_RULE_MATCH_MODES.indexOf(rule.match) === -1) return 'Unknown match mode for "' + rule.pattern + '".';
+        if (typeof rule.weight !== 'number' || !isFinite(rule.weight)) return 'Every rule needs a numeric weight.';
+        var re = compileNoteRule(rule);
+        if (!re) return 'Invalid regular expression: ' + rule.pattern;
+        if (re.test('')) return 'The pattern "' + rule.pattern + '" matches empty text.';
+        return null;
+    }
+
+    function isNegated(text, start, options) {
+        if (!options.negationWindow) return false;
+        // Only the same sentence counts
+        var before = text.slice(Math.max(0, start - 120), start);
+        var sentence = before.split(/[.!?;\n]/).pop().toLowerCase();
+        var words = sentence.match(/[a-z']+/g) || [];
+        var window = words.slice(-options.negationWindow);
+        for (var i = 0; i < window.length; i++) {
+            if (options.negationCues.indexOf(window[i]) !== -1) return true;
+        }
+        return false;
+    }
+
+    // Every rule match in one note's text, by position:
+    // [{ start, end, text, rule (index), pattern, weight, negated }]
+    function findNoteSignals(text, rules, options) {
+        var opts = options || DEFAULT_NOTES_SIGNAL;
+        var matches = [];
+        if (!text) return matches;
+        for (var r = 0; r < rules.length; r++) {
+            var re = compileNoteRule(rules[r]);
+            if (!re) continue;
+            var m;
+            while ((m = re.exec(text)) !== null) {
+                if (m[0].length === 0) {
+                    re.lastIndex++;
+                    continue;
+                }
+                matches.push({
+                    start: m.index,
+                    end: m.index + m[0].length,
+                    text: m[0],
+                    rule: r,
+                    pattern: rules[r].pattern,
+                    weight: rules[r].weight,
+                    negated: isNegated(text, m.index, opts)
+                });
+            }
+        }
+        matches.sort(function(a, b) { return a.start - b.start || b.end - a.end; });
+        return matches;
+    }
+
+    // The notes a deal's signal is read from: [{ text, date }]. Each note in
+    // the deal's timeline (deal.notes) has its own date; deals stored before
+    // the timeline only have the combined notes, all dated by the last update.
+    function dealNotes(deal) {
+        if (Array.isArray(deal.notes) && deal.notes.length > 0) {
+            return deal.notes.map(function(note) {
+                return { text: note.text, date: note.at ? new Date(note.at) : null };
+            });
+        }
+        var date = deal.modifiedDate ? new Date(deal.modifiedDate) : null;
+        var texts = deal.notesCanonical ? deal.notesCanonical.split('\n---\n') : [];
+        var content = (deal.noteContent || '').trim();
+        if (content && texts.indexOf(content) === -1) texts.push(content);
+        return texts.filter(Boolean).map(function(text) {
+            return { text: text, date: date };
+        });
+    }
 
     // ==================== Component Scoring Functions ====================
 
@@ -67,25 +312,21 @@
         return (key in map) ? map[key] : 35;
     }
 
-    function scoreVelocity(daysInStage, benchmarkDays) {
+    // curve: days in stage / benchmark ratio -> score (default 0.8/1.2/1.5 steps)
+    function scoreVelocity(daysInStage, benchmarkDays, curve) {
         if (daysInStage == null || benchmarkDays == null || benchmarkDays <= 0) return 70;
-        var ratio = daysInStage / benchmarkDays;
-        if (ratio <= 0.8) return 100;
-        if (ratio <= 1.2) return 70;
-        if (ratio <= 1.5) return 40;
-        return 10;
+        return Math.round(evaluateCurve(curve || DEFAULT_CURVES.velocity, daysInStage / benchmarkDays));
     }
 
-    function scoreActivityRecency(lastActivityDaysSince) {
+    // curve: days since last activity -> score (default 7/14/30 day steps)
+    function scoreActivityRecency(lastActivityDaysSince, curve) {
         if (lastActivityDaysSince == null || isNaN(lastActivityDaysSince) || lastActivityDaysSince >= 999) return 40;
-        if (lastActivityDaysSince <= 7) return 100;
-        if (lastActivityDaysSince <= 14) return 70;
-        if (lastActivityDaysSince <= 30) return 40;
-        return 10;
+        return Math.round(evaluateCurve(curve || DEFAULT_CURVES.activityRecency, lastActivityDaysSince));
     }
 
-    function scoreCloseDateIntegrity(deal) {
+    function scoreCloseDateIntegrity(deal, penalties) {
         if (!deal) return 60;
+        var rules = penalties || DEFAULT_CLOSE_DATE_PENALTIES;
 
         var base;
         var daysUntil = deal.daysUntilClosing;
@@ -106,7 +347,20 @@
             base = 100;
         }
 
-        // Scan notes for push signals
+        if (typeof deal.closeDateSlipCount === 'number') {
+            // Real slippage from upload history
+            base -= deal.closeDateSlipCount * rules.slip;
+            if (rules.slipDaysStep > 0) {
+                base -= Math.floor((deal.closeDateSlipDays || 0) / rules.slipDaysStep) * rules.slipDays;
+            }
+        } else {
+            // No history for this deal: scan notes for push signals
+            base -= countPushSignals(deal) * rules.pushSignal;
+        }
+        return Math.max(10, Math.min(100, base));
+    }
+
+    function countPushSignals(deal) {
         var text = ((deal.notesCanonical || '') + ' ' + (deal.noteContent || '')).toLowerCase();
         var pushCount = 0;
         for (var i = 0; i < PUSH_SIGNALS.length; i++) {
@@ -114,12 +368,12 @@
                 pushCount++;
             }
         }
-
-        base -= pushCount * 20;
-        return Math.max(10, Math.min(100, base));
+        return pushCount;
     }
 
-    function scoreAcv(acv, acvDistribution) {
+    // curve: percentile rank (0-100) within the pipeline -> score
+    // (default: bottom 40% => 40, 40-80% => 70, top 20% => 100)
+    function scoreAcv(acv, acvDistribution, curve) {
         if (acv == null || isNaN(acv) || acv === 0) return 40;
         if (!acvDistribution || acvDistribution.length === 0) return 40;
 
@@ -128,50 +382,494 @@
         for (var i = 0; i < acvDistribution.length; i++) {
             if (acvDistribution[i] < acv) below++;
         }
-        var percentile = below / acvDistribution.length;
+        var percentile = below * 100 / acvDistribution.length;
 
-        // Top 20% => 100, 20-60% => 70, bottom 40% => 40
-        if (percentile >= 0.8) return 100;
-        if (percentile >= 0.4) return 70;
-        return 40;
+        return Math.round(evaluateCurve(curve || DEFAULT_CURVES.acv, percentile));
     }
 
-    function scoreNotesSignal(noteContent, notesCanonical, posKw, negKw) {
-        var text = ((noteContent || '') + ' ' + (notesCanonical || '')).toLowerCase();
+    // notes: [{ text, ageDays }]. Starts at 50; each rule counts once, at its
+    // weight times the decay of the newest note it matches un-negated
+    // (0.5 per halfLifeDays of age).
+    function scoreNotesSignal(notes, rules, options) {
+        var opts = options || DEFAULT_NOTES_SIGNAL;
+        var ruleList = rules || defaultNotesRules();
+        var best = {};      // rule index -> strongest decay factor
+        var negated = {};   // rule index -> matched only negated so far
+        for (var n = 0; n < (notes || []).length; n++) {
+            var note = notes[n];
+            var decay = opts.halfLifeDays > 0 ? Math.pow(0.5, Math.max(0, note.ageDays || 0) / opts.halfLifeDays) : 1;
+            var matches = findNoteSignals(note.text, ruleList, opts);
+            for (var i = 0; i < matches.length; i++) {
+                var r = matches[i].rule;
+                if (matches[i].negated) {
+                    if (!(r in best)) negated[r] = true;
+                } else if (!(r in best) || decay > best[r]) {
+                    best[r] = decay;
+                    delete negated[r];
+                }
+            }
+        }
+
         var score = 50;
         var positiveMatched = [];
         var negativeMatched = [];
-        var posWords = posKw || POSITIVE_KEYWORDS;
-        var negWords = negKw || NEGATIVE_KEYWORDS;
+        var negatedMatched = [];
+        var signals = [];
+        for (var r = 0; r < ruleList.length; r++) {
+            if (negated[r]) negatedMatched.push(ruleList[r].pattern);
+            if (!(r in best)) continue;
+            var contribution = ruleList[r].weight * best[r];
+            score += contribution;
+            (ruleList[r].weight >= 0 ? positiveMatched : negativeMatched).push(ruleList[r].pattern);
+            signals.push({
+                pattern: ruleList[r].pattern,
+                weight: ruleList[r].weight,
+                contribution: Math.round(contribution * 10) / 10
+            });
+        }
+
+        return {
+            score: Math.round(Math.max(0, Math.min(100, score))),
+            positive: positiveMatched,
+            negative: negativeMatched,
+            negated: negatedMatched,
+            signals: signals
+        };
+    }
+
+    // extraction: the deal's AI extraction, or null (neutral 50)
+    function scoreNextSteps(extraction, todayKey) {
+        if (!extraction) return 50;
+        var p = NEXT_STEPS_POINTS;
+        var score = p.base;
+        if (extraction.next_step) {
+            score += p.nextStep;
+            if (extraction.next_step_date) {
+                score += DealDomain.isNextStepOverdue(extraction, todayKey) ? p.overdue : p.dated;
+            }
+        }
+        score += Math.min(extraction.blockers.length, p.maxBlockers) * p.blocker;
+        if (extraction.competitors.length > 0) score += p.competitor;
+        if (extraction.decision_makers.length > 0) score += p.decisionMakers;
+        if (extraction.close_date_change) score += p.closeDateChange;
+        return Math.max(0, Math.min(100, score));
+    }
+
+    // ==================== Component Registry ====================
+    // Each component declares:
+    //   id            key in result.components, weights and deals.health_components
+    //   label         full name (scoring settings); shortLabel for popovers and charts
+    //   color         stroke colour in the health history chart
+    //   defaultWeight weight used when the scoring config doesn't set one
+    //   column        legacy per-component deals column (built-ins only), or null
+    //   curve         default { mode, points } when the score bands a metric
+    //                 (editable in the scoring settings), and metric, its label
+    //   score(deal, metrics, ctx, config) -> { score: 0-100, debug: {...} }
+    //                 debug fields are merged into the result's debug object
+    //   explain(deal, score, debug, config) -> { text, action } (optional):
+    //                 a sentence on why the component scored what it did, and
+    //                 the step that would raise it most, { key, text, score }
+    //                 (actions sharing a key are one step across components)
+    var COMPONENTS = [];
+
+    function registerComponent(def) {
+        if (!def || !def.id || typeof def.score !== 'function') {
+            throw new Error('A health score component needs an id and a score function.');
+        }
+        if (getComponent(def.id)) {
+            throw new Error('Health score component "' + def.id + '" is already registered.');
+        }
+        var component = {
+            id: def.id,
+            label: def.label || def.id,
+            shortLabel: def.shortLabel || def.label || def.id,
+            color: def.color || '#94a3b8',
+            defaultWeight: typeof def.defaultWeight === 'number' ? def.defaultWeight : 0,
+            column: def.column || null,
+            curve: null,
+            metric: def.metric || null,
+            score: def.score,
+            explain: typeof def.explain === 'function' ? def.explain : null
+        };
+        if (def.curve) {
+            var problem = validateCurve(def.curve);
+            if (problem) throw new Error('Health score component "' + def.id + '": ' + problem);
+            component.curve = copyCurve(def.curve);
+        }
+        COMPONENTS.push(component);
+        return component;
+    }
+
+    // Registered components in registration order
+    function getComponents() {
+        return COMPONENTS.slice();
+    }
+
+    function getComponent(id) {
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            if (COMPONENTS[i].id === id) return COMPONENTS[i];
+        }
+        return null;
+    }
+
+    function defaultWeights() {
+        var weights = {};
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            weights[COMPONENTS[i].id] = COMPONENTS[i].defaultWeight;
+        }
+        return weights;
+    }
+
+    // Default curve per component that has one, keyed by id
+    function defaultCurves() {
+        var curves = {};
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            if (COMPONENTS[i].curve) curves[COMPONENTS[i].id] = copyCurve(COMPONENTS[i].curve);
+        }
+        return curves;
+    }
+
+    registerComponent({
+        id: 'stageProbability',
+        label: 'Stage Probability',
+        shortLabel: 'Stage',
+        color: '#7c3aed',
+        defaultWeight: 25,
+        column: 'hs_stage_probability',
+        score: function(deal, metrics, ctx, config) {
+            return { score: scoreStageProbability(deal.stage, (config && config.stageScoreMap) || DEFAULT_STAGE_SCORES) };
+        },
+        explain: function(deal, score, debug, config) {
+            if (!deal.stage) return { text: 'No stage set', action: null };
+            var map = (config && config.stageScoreMap) || DEFAULT_STAGE_SCORES;
+            var key = deal.stage.trim().toLowerCase();
+            var text = (key in map) ? 'Stage ' + deal.stage : 'Stage ' + deal.stage + ' has no probability set (default 35)';
+            var next = nextOpenStage(key, config);
+            return {
+                text: text,
+                action: next && (next in map) && map[next] > score
+                    ? { key: 'advance', text: 'Advance to ' + titleCase(next), score: map[next] }
+                    : null
+            };
+        }
+    });
+
+    registerComponent({
+        id: 'velocity',
+        label: 'Velocity',
+        color: '#0891b2',
+        defaultWeight: 20,
+        column: 'hs_velocity',
+        curve: DEFAULT_CURVES.velocity,
+        metric: 'Days in stage \u00f7 stage benchmark',
+        score: function(deal, metrics, ctx, config) {
+            return {
+                score: scoreVelocity(metrics.daysInStage, metrics.stageBenchmark, resolveCurve(config, 'velocity')),
+                debug: {
+                    daysInStage: metrics.daysInStage,
+                    daysInStageSource: metrics.daysInStageSource,
+                    stageBenchmark: metrics.stageBenchmark,
+                    velocityRatio: (metrics.stageBenchmark && metrics.daysInStage != null)
+                        ? metrics.daysInStage / metrics.stageBenchmark : null
+                }
+            };
+        },
+        explain: function(deal, score, debug, config) {
+            if (debug.daysInStage == null) return { text: 'Time in stage unknown (neutral 70)', action: null };
+            if (!debug.stageBenchmark) {
+                return { text: 'No velocity benchmark for ' + (deal.stage || 'this stage') + ' (neutral 70)', action: null };
+            }
+            var days = debug.daysInStageSource === 'daysSince'
+                ? debug.daysInStage + ' days since the last note (no stage history)'
+                : debug.daysInStage + ' days in ' + (deal.stage || 'stage');
+            var best = evaluateCurve(resolveCurve(config, 'velocity'), 0);
+            return {
+                text: days + ' vs ' + formatNumber(debug.stageBenchmark) + '-day benchmark (' +
+                    formatNumber(debug.velocityRatio) + '\u00d7)',
+                // Moving on resets the time in stage
+                action: score < best ? { key: 'advance', text: 'Move out of ' + (deal.stage || 'this stage'), score: best } : null
+            };
+        }
+    });
+
+    registerComponent({
+        id: 'activityRecency',
+        label: 'Activity Recency',
+        shortLabel: 'Recency',
+        color: '#16a34a',
+        defaultWeight: 15,
+        column: 'hs_activity_recency',
+        curve: DEFAULT_CURVES.activityRecency,
+        metric: 'Days since last activity',
+        score: function(deal, metrics, ctx, config) {
+            return {
+                score: scoreActivityRecency(metrics.lastActivityDaysSince, resolveCurve(config, 'activityRecency')),
+                debug: { lastActivityDaysSince: metrics.lastActivityDaysSince }
+            };
+        },
+        explain: function(deal, score, debug, config) {
+            var days = debug.lastActivityDaysSince;
+            var best = evaluateCurve(resolveCurve(config, 'activityRecency'), 0);
+            return {
+                text: days == null || days >= 999 ? 'No activity date (neutral 40)'
+                    : days === 0 ? 'Last activity today'
+                    : 'Last activity ' + days + ' day' + (days === 1 ? '' : 's') + ' ago',
+                action: score < best ? { key: 'activity', text: 'Log a fresh update on the deal', score: best } : null
+            };
+        }
+    });
+
+    registerComponent({
+        id: 'closeDateIntegrity',
+        label: 'Close Date Integrity',
+        shortLabel: 'Close Date',
+        color: '#dc2626',
+        defaultWeight: 10,
+        column: 'hs_close_date',
+        score: function(deal, metrics, ctx, config) {
+            var fromHistory = typeof deal.closeDateSlipCount === 'number';
+            return {
+                score: scoreCloseDateIntegrity(deal, resolveCloseDatePenalties(config)),
+                debug: {
+                    closeDateSlipCount: fromHistory ? deal.closeDateSlipCount : null,
+                    closeDateSlipDays: fromHistory ? (deal.closeDateSlipDays || 0) : null,
+                    closeDateSlipSource: fromHistory ? 'history' : 'notes'
+                }
+            };
+        },
+        explain: function(deal, score, debug) {
+            if (debug.closeDateSlipSource === 'history') {
+                var slips = debug.closeDateSlipCount || 0;
+                return {
+                    text: slips === 0 ? 'Close date has not slipped'
+                        : 'Close date slipped ' + slips + ' time' + (slips === 1 ? '' : 's') +
+                          ' (' + (debug.closeDateSlipDays || 0) + ' days in total)',
+                    action: null
+                };
+            }
+            var signals = countPushSignals(deal);
+            return {
+                text: 'No earlier uploads; ' + (signals === 0 ? 'no push signals' : signals + ' push signal' + (signals === 1 ? '' : 's')) + ' in notes',
+                action: null
+            };
+        }
+    });
 
-        for (var i = 0; i < posWords.length; i++) {
-            if (text.indexOf(posWords[i].toLowerCase()) !== -1) {
-                positiveMatched.push(posWords[i]);
-                score += 10;
+    registerComponent({
+        id: 'acv',
+        label: 'ACV',
+        color: '#ca8a04',
+        defaultWeight: 15,
+        column: 'hs_acv',
+        curve: DEFAULT_CURVES.acv,
+        metric: 'ACV percentile in the pipeline',
+        score: function(deal, metrics, ctx, config) {
+            var acvPercentile = null;
+            if (deal.acv > 0 && ctx.acvDistribution.length > 0) {
+                var below = 0;
+                for (var j = 0; j < ctx.acvDistribution.length; j++) {
+                    if (ctx.acvDistribution[j] < deal.acv) below++;
+                }
+                acvPercentile = Math.round((below / ctx.acvDistribution.length) * 100);
             }
+            return {
+                score: scoreAcv(deal.acv, ctx.acvDistribution, resolveCurve(config, 'acv')),
+                debug: { acvPercentile: acvPercentile }
+            };
+        },
+        explain: function(deal, score, debug) {
+            return {
+                text: debug.acvPercentile == null ? 'No ACV (neutral 40)'
+                    : 'ACV larger than ' + debug.acvPercentile + '% of the pipeline',
+                action: null
+            };
         }
-        for (var i = 0; i < negWords.length; i++) {
-            if (text.indexOf(negWords[i].toLowerCase()) !== -1) {
-                negativeMatched.push(negWords[i]);
-                score -= 10;
+    });
+
+    registerComponent({
+        id: 'notesSignal',
+        label: 'Notes Signal',
+        shortLabel: 'Notes',
+        color: '#db2777',
+        defaultWeight: 15,
+        column: 'hs_notes_signal',
+        score: function(deal, metrics, ctx, config) {
+            var timeZone = ctx.timeZone || DealDates.DEFAULT_TIME_ZONE;
+            var todayKey = DealDates.zonedDateKey(new Date(ctx.now || Date.now()), timeZone);
+            var notes = dealNotes(deal).map(function(note) {
+                var valid = note.date && !isNaN(note.date.getTime());
+                return {
+                    text: note.text,
+                    ageDays: valid ? Math.max(0, DealDates.daysBetweenKeys(DealDates.zonedDateKey(note.date, timeZone), todayKey)) : 0
+                };
+            });
+            var notesResult = scoreNotesSignal(notes, resolveNotesRules(config), resolveNotesSignalOptions(config));
+            return {
+                score: notesResult.score,
+                debug: {
+                    notesKeywordsMatched: {
+                        positive: notesResult.positive,
+                        negative: notesResult.negative,
+                        negated: notesResult.negated
+                    },
+                    notesSignals: notesResult.signals
+                }
+            };
+        },
+        explain: function(deal, score, debug) {
+            // Debug stored before notes rules only has the matched keywords
+            var signals = debug.notesSignals || [];
+            var matched = debug.notesKeywordsMatched || {};
+            if (!debug.notesSignals) {
+                signals = (matched.positive || []).map(function(p) { return { pattern: p, contribution: DEFAULT_NOTE_RULE_WEIGHT }; })
+                    .concat((matched.negative || []).map(function(p) { return { pattern: p, contribution: -DEFAULT_NOTE_RULE_WEIGHT }; }));
+            }
+            var parts = signals.map(function(sig) {
+                return '"' + sig.pattern + '" ' + (sig.contribution >= 0 ? '+' : '\u2212') + formatNumber(Math.abs(sig.contribution));
+            });
+            var text = parts.length ? 'Notes matched ' + parts.join(', ') : 'No notes rules matched';
+            if (matched.negated && matched.negated.length) {
+                text += '; negated: ' + matched.negated.map(function(p) { return '"' + p + '"'; }).join(', ');
+            }
+            return { text: text, action: null };
+        }
+    });
+
+    // Off by default (weight 0): only deals summarized with AI extraction
+    // have the fields, and the rest score a neutral 50
+    registerComponent({
+        id: 'nextSteps',
+        label: 'AI Next Steps',
+        shortLabel: 'Next Steps',
+        color: '#ea580c',
+        defaultWeight: 0,
+        score: function(deal, metrics, ctx) {
+            var extraction = deal.aiExtraction || null;
+            var timeZone = ctx.timeZone || DealDates.DEFAULT_TIME_ZONE;
+            var todayKey = DealDates.zonedDateKey(new Date(ctx.now || Date.now()), timeZone);
+            return {
+                score: scoreNextSteps(extraction, todayKey),
+                debug: { nextStepOverdue: extraction ? DealDomain.isNextStepOverdue(extraction, todayKey) : null }
+            };
+        },
+        explain: function(deal, score, debug) {
+            var extraction = deal.aiExtraction || null;
+            if (!extraction) return { text: 'No AI extraction for this deal (neutral 50)', action: null };
+            var parts = [];
+            if (!extraction.next_step) parts.push('no next step');
+            else if (debug.nextStepOverdue) parts.push('next step overdue since ' + extraction.next_step_date);
+            else if (extraction.next_step_date) parts.push('next step due ' + extraction.next_step_date);
+            else parts.push('next step without a date');
+            var blockers = extraction.blockers.length;
+            if (blockers) parts.push(blockers + ' blocker' + (blockers === 1 ? '' : 's'));
+            if (extraction.competitors.length) parts.push('competitor mentioned');
+            if (extraction.decision_makers.length) parts.push('decision maker named');
+            if (extraction.close_date_change) parts.push('close date change proposed');
+            var action = null;
+            if (!extraction.next_step || debug.nextStepOverdue || !extraction.next_step_date) {
+                // The same extraction with an undated next step, plus the date's points
+                var undated = {};
+                for (var key in extraction) undated[key] = extraction[key];
+                undated.next_step = extraction.next_step || 'next step';
+                undated.next_step_date = null;
+                action = {
+                    key: 'nextStep',
+                    text: 'Agree a dated next step with the buyer',
+                    score: Math.min(100, scoreNextSteps(undated, null) + NEXT_STEPS_POINTS.dated)
+                };
             }
+            return { text: parts.join(', ').replace(/^./, function(c) { return c.toUpperCase(); }), action: action };
         }
+    });
+
+    // ==================== Explanation ====================
+
+    function formatNumber(value) {
+        return String(Math.round(value * 10) / 10);
+    }
+
+    function titleCase(stage) {
+        return stage.replace(/\b\w/g, function(c) { return c.toUpperCase(); });
+    }
+
+    // The open stage after this one in the stage order, or null
+    function nextOpenStage(stageKey, config) {
+        var order = resolveStageOrder(config);
+        var open = order.filter(function(entry) { return !entry.terminal; });
+        for (var i = 0; i < open.length - 1; i++) {
+            if (open[i].stage === stageKey) return open[i + 1].stage;
+        }
+        return null;
+    }
+
+    // Why a scored deal (healthScore, healthComponents, healthDebug) got its
+    // score under `config`:
+    //   components: [{ id, label, shortLabel, color, score, weight (share of 100),
+    //                  contribution (points of the total), text }]
+    //   actions:    the steps that would raise the total most,
+    //               [{ key, text, gain (points) }], best first
+    function explainHealthScore(deal, config, options) {
+        var maxActions = (options && options.maxActions) || 2;
+        var weights = defaultWeights();
+        var configured = (config && config.weights) || {};
+        for (var id in configured) {
+            if (id in weights) weights[id] = configured[id];
+        }
+        var totalWeight = 0;
+        for (var w in weights) totalWeight += weights[w] || 0;
+
+        var scores = deal.healthComponents || {};
+        var debug = deal.healthDebug || {};
+        var components = [];
+        var actions = {};
+        var actionOrder = [];
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            var component = COMPONENTS[i];
+            var score = typeof scores[component.id] === 'number' ? scores[component.id] : 0;
+            var share = totalWeight > 0 ? (weights[component.id] || 0) / totalWeight : 0;
+            var explained = component.explain ? component.explain(deal, score, debug, config || null) : null;
+            components.push({
+                id: component.id,
+                label: component.label,
+                shortLabel: component.shortLabel,
+                color: component.color,
+                score: score,
+                weight: Math.round(share * 1000) / 10,
+                contribution: Math.round(score * share * 10) / 10,
+                text: explained ? explained.text : null
+            });
+            var action = explained && explained.action;
+            if (action && action.score > score && share > 0) {
+                if (!actions[action.key]) {
+                    actions[action.key] = { key: action.key, text: action.text, gain: 0 };
+                    actionOrder.push(action.key);
+                }
+                actions[action.key].gain += (action.score - score) * share;
+            }
+        }
+
+        var ranked = actionOrder.map(function(key) {
+            return { key: key, text: actions[key].text, gain: Math.round(actions[key].gain * 10) / 10 };
+        }).filter(function(a) { return a.gain >= 0.5; });
+        ranked.sort(function(a, b) { return b.gain - a.gain; });
 
         return {
-            score: Math.max(0, Math.min(100, score)),
-            positive: positiveMatched,
-            negative: negativeMatched
+            score: deal.healthScore,
+            components: components,
+            actions: ranked.slice(0, maxActions)
         };
     }
 
     // ==================== Context Building ====================
 
+    // options.now: reference instant (ms); options.timeZone: reporting time
+    // zone the days since last activity are counted in; options.config: the
+    // scoring config, for pinned benchmarks and the median's minimum sample
     function buildContext(deals, options) {
         var now = (options && options.now) ? options.now : Date.now();
-
-        if (!deals || deals.length === 0) {
-            return { now: now, acvDistribution: [], stageBenchmarks: STAGE_BENCHMARKS };
-        }
+        var timeZone = (options && options.timeZone) || DealDates.DEFAULT_TIME_ZONE;
+        var config = (options && options.config) || null;
+        deals = deals || [];
 
         // ACV distribution: sorted array of all non-zero ACV values
         var acvValues = [];
@@ -183,40 +881,134 @@
         }
         acvValues.sort(function(a, b) { return a - b; });
 
-        // Dataset median days-in-stage by stage (approximated from daysSince)
+        // Dataset median days-in-stage by stage (from upload history when
+        // available, otherwise approximated from daysSince)
         var stageGroups = {};
         for (var i = 0; i < deals.length; i++) {
             var stage = (deals[i].stage || '').trim().toLowerCase();
             if (!stage) continue;
-            var ds = deals[i].daysSince;
+            var ds = typeof deals[i].daysInStage === 'number' ? deals[i].daysInStage : deals[i].daysSince;
             if (ds == null || isNaN(ds) || ds >= 999) continue;
             if (!stageGroups[stage]) stageGroups[stage] = [];
             stageGroups[stage].push(ds);
         }
 
-        // Start with constant benchmarks, overlay dataset medians where available
-        var stageBenchmarks = {};
-        var k;
-        for (k in STAGE_BENCHMARKS) {
-            stageBenchmarks[k] = STAGE_BENCHMARKS[k];
+        var resolved = resolveStageBenchmarks(stageGroups, config);
+        return {
+            now: now,
+            timeZone: timeZone,
+            acvDistribution: acvValues,
+            stageBenchmarks: resolved.benchmarks,
+            benchmarkDetail: resolved.detail
+        };
+    }
+
+    // Benchmark in effect per stage: a pinned value, else the dataset median
+    // once the stage has benchmarkMinSamples deals, else the constant.
+    // detail[stage] = { constant, median, samples, pinned, effective, source }
+    function resolveStageBenchmarks(stageGroups, config) {
+        var pinned = (config && config.pinnedBenchmarks) || {};
+        var minSamples = resolveBenchmarkMinSamples(config);
+        var stages = Object.keys(STAGE_BENCHMARKS);
+        var extra = Object.keys(stageGroups).concat(Object.keys(pinned));
+        for (var i = 0; i < extra.length; i++) {
+            if (stages.indexOf(extra[i]) === -1) stages.push(extra[i]);
         }
-        var stageKeys = Object.keys(stageGroups);
-        for (var i = 0; i < stageKeys.length; i++) {
-            var vals = stageGroups[stageKeys[i]].sort(function(a, b) { return a - b; });
-            if (vals.length >= 3) {
-                // Only override constant if we have enough data
+
+        var benchmarks = {};
+        var detail = {};
+        for (var i = 0; i < stages.length; i++) {
+            var stage = stages[i];
+            var vals = (stageGroups[stage] || []).slice().sort(function(a, b) { return a - b; });
+            var median = null;
+            if (vals.length > 0) {
                 var mid = Math.floor(vals.length / 2);
-                stageBenchmarks[stageKeys[i]] = (vals.length % 2 === 0)
-                    ? (vals[mid - 1] + vals[mid]) / 2
-                    : vals[mid];
+                median = (vals.length % 2 === 0) ? (vals[mid - 1] + vals[mid]) / 2 : vals[mid];
+            }
+            var constant = stage in STAGE_BENCHMARKS ? STAGE_BENCHMARKS[stage] : null;
+            var pin = typeof pinned[stage] === 'number' && pinned[stage] > 0 ? pinned[stage] : null;
+
+            var effective = null;
+            var source = null;
+            if (pin != null) {
+                effective = pin;
+                source = 'pinned';
+            } else if (median != null && vals.length >= minSamples) {
+                // Only override the constant with enough data
+                effective = median;
+                source = 'median';
+            } else if (constant != null) {
+                effective = constant;
+                source = 'constant';
+            }
+
+            if (effective != null) benchmarks[stage] = effective;
+            detail[stage] = {
+                constant: constant,
+                median: median,
+                samples: vals.length,
+                pinned: pin,
+                effective: effective,
+                source: source
+            };
+        }
+        return { benchmarks: benchmarks, detail: detail };
+    }
+
+    function resolveBenchmarkMinSamples(config) {
+        var configured = config && config.benchmarkMinSamples;
+        return typeof configured === 'number' && configured >= 1 ? Math.floor(configured) : DEFAULT_BENCHMARK_MIN_SAMPLES;
+    }
+
+    // ==================== Stage Order ====================
+    // stageOrder: [{ stage, terminal }] from earliest to latest, stage names
+    // lowercased; terminal is 'won', 'lost' or null for an open stage. Without
+    // one in the config, open stages follow stage probability, then Closed
+    // Won and Closed Lost.
+    var TERMINAL_STAGES = [
+        { stage: 'closed won', terminal: 'won' },
+        { stage: 'closed lost', terminal: 'lost' }
+    ];
+
+    function resolveStageOrder(config) {
+        var configured = config && config.stageOrder;
+        if (Array.isArray(configured) && configured.length > 0) return configured;
+        var map = (config && config.stageScoreMap) || DEFAULT_STAGE_SCORES;
+        var open = Object.keys(map).filter(function(stage) {
+            return !TERMINAL_STAGES.some(function(t) { return t.stage === stage; });
+        });
+        // Stable sort: equal probabilities keep their listed order
+        open.sort(function(a, b) { return map[a] - map[b]; });
+        return open.map(function(stage) { return { stage: stage, terminal: null }; })
+            .concat(TERMINAL_STAGES.map(function(t) { return { stage: t.stage, terminal: t.terminal }; }));
+    }
+
+    // Rank for regression detection: position among the open stages, with a
+    // won stage above and a lost stage below all of them; null if not listed
+    function stageRank(stage, stageOrder) {
+        var key = (stage || '').trim().toLowerCase();
+        if (!key) return null;
+        var openIndex = 0;
+        for (var i = 0; i < stageOrder.length; i++) {
+            var entry = stageOrder[i];
+            if (entry.stage === key) {
+                if (entry.terminal === 'won') return Infinity;
+                if (entry.terminal === 'lost') return -Infinity;
+                return openIndex;
             }
+            if (!entry.terminal) openIndex++;
         }
+        return null;
+    }
 
-        return {
-            now: now,
-            acvDistribution: acvValues,
-            stageBenchmarks: stageBenchmarks
-        };
+    // Position in the order (terminal stages where they're listed), for
+    // sorting; null if not listed
+    function stagePosition(stage, stageOrder) {
+        var key = (stage || '').trim().toLowerCase();
+        for (var i = 0; i < stageOrder.length; i++) {
+            if (stageOrder[i].stage === key) return i;
+        }
+        return null;
     }
 
     // ==================== Per-Deal Metric Derivation ====================
@@ -235,21 +1027,27 @@
 
         var lastActivityDaysSince;
         if (lastActivityDate && !isNaN(lastActivityDate.getTime())) {
-            var todayMidnight = new Date(now);
-            todayMidnight.setHours(0, 0, 0, 0);
-            lastActivityDaysSince = Math.max(0, Math.floor((todayMidnight - lastActivityDate) / MS_PER_DAY));
+            // Calendar days in the reporting zone, as DealDomain.calculateDaysSince
+            var timeZone = ctx.timeZone || DealDates.DEFAULT_TIME_ZONE;
+            lastActivityDaysSince = Math.max(0, DealDates.daysBetweenKeys(
+                DealDates.zonedDateKey(lastActivityDate, timeZone),
+                DealDates.zonedDateKey(new Date(now), timeZone)));
         } else {
             lastActivityDaysSince = 999;
         }
 
-        // Days in stage: approximate from earliest record at current stage.
-        // After dedup we have one record per deal, so we fall back to daysSince
-        // as the best proxy (time since last modification while in this stage).
+        // Days in stage: computed upstream from upload history (DealHistory
+        // attachStageHistory) when the deal appears in earlier uploads.
+        // Otherwise fall back to daysSince as the best proxy (time since last
+        // modification while in this stage).
         var daysInStage = null;
+        var daysInStageSource = null;
         if (typeof deal.daysInStage === 'number') {
-            daysInStage = deal.daysInStage; // pre-computed upstream
+            daysInStage = deal.daysInStage;
+            daysInStageSource = deal.daysInStageSource || 'history';
         } else if (typeof deal.daysSince === 'number' && deal.daysSince < 999) {
             daysInStage = deal.daysSince; // best available approximation
+            daysInStageSource = 'daysSince';
         }
 
         var stage = (deal.stage || '').trim().toLowerCase();
@@ -259,6 +1057,7 @@
             lastActivityDate: lastActivityDate,
             lastActivityDaysSince: lastActivityDaysSince,
             daysInStage: daysInStage,
+            daysInStageSource: daysInStageSource,
             stageBenchmark: benchmark
         };
     }
@@ -266,79 +1065,202 @@
     // ==================== Main Scoring Function ====================
 
     function computeDealHealthScore(deal, context, config) {
-        var weights = (config && config.weights) || defaultWeights();
-        var stageScoreMap = (config && config.stageScoreMap) || DEFAULT_STAGE_SCORES;
+        // Components missing from a saved config's weights get their default
+        var weights = defaultWeights();
+        var configured = (config && config.weights) || {};
+        for (var id in configured) {
+            if (id in weights) weights[id] = configured[id];
+        }
         var ctx = context || { now: Date.now(), acvDistribution: [], stageBenchmarks: STAGE_BENCHMARKS };
 
         // Derive per-deal metrics
         var metrics = deriveDealMetrics(deal, ctx);
 
-        // Compute each component
-        var stageProbability = scoreStageProbability(deal.stage, stageScoreMap);
-        var velocity = scoreVelocity(metrics.daysInStage, metrics.stageBenchmark);
-        var activityRecency = scoreActivityRecency(metrics.lastActivityDaysSince);
-        var closeDateIntegrity = scoreCloseDateIntegrity(deal);
-        var acvScore = scoreAcv(deal.acv, ctx.acvDistribution);
-        var posKw = (config && config.positiveKeywords) || null;
-        var negKw = (config && config.negativeKeywords) || null;
-        var notesResult = scoreNotesSignal(deal.noteContent, deal.notesCanonical, posKw, negKw);
-
-        var components = {
-            stageProbability: stageProbability,
-            velocity: velocity,
-            activityRecency: activityRecency,
-            closeDateIntegrity: closeDateIntegrity,
-            acv: acvScore,
-            notesSignal: notesResult.score
-        };
-
-        // Weighted sum
+        // Score each registered component and take the weighted average
+        var components = {};
+        var debug = {};
         var totalWeight = 0;
         var weightedSum = 0;
-        var keys = Object.keys(weights);
-        for (var i = 0; i < keys.length; i++) {
-            var w = weights[keys[i]] || 0;
-            var c = components[keys[i]] || 0;
-            weightedSum += w * c;
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            var component = COMPONENTS[i];
+            var result = component.score(deal, metrics, ctx, config || null) || {};
+            var value = typeof result.score === 'number' && !isNaN(result.score) ? result.score : 0;
+            components[component.id] = value;
+            var w = weights[component.id] || 0;
+            weightedSum += w * value;
             totalWeight += w;
+            if (result.debug) {
+                for (var key in result.debug) debug[key] = result.debug[key];
+            }
         }
 
         var score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
         score = Math.max(0, Math.min(100, score));
 
-        // Velocity ratio for debug
-        var velocityRatio = (metrics.stageBenchmark && metrics.daysInStage != null)
-            ? metrics.daysInStage / metrics.stageBenchmark : null;
+        return {
+            score: score,
+            components: components,
+            debug: debug
+        };
+    }
+
+    // ==================== Simulation ====================
+
+    var HEALTH_LEVELS = ['good', 'watch', 'risk', 'dead'];
+    var DISTRIBUTION_BUCKET = 10;   // points per histogram bucket (90-100 is one bucket)
 
-        // ACV percentile for debug
-        var acvPercentile = null;
-        if (deal.acv > 0 && ctx.acvDistribution.length > 0) {
-            var below = 0;
-            for (var j = 0; j < ctx.acvDistribution.length; j++) {
-                if (ctx.acvDistribution[j] < deal.acv) below++;
+    // Scores deals under the current and a draft scoring config without
+    // touching them. options: { now, timeZone, topMovers (default 10) }.
+    // Returns { count, current, draft, levelShifts, changed, movers }, where
+    // current/draft = { average, distribution, levels } and movers are the
+    // deals whose score moves most, with per-component deltas.
+    function simulateScoring(deals, currentConfig, draftConfig, options) {
+        var opts = options || {};
+        var contextOptions = { now: opts.now, timeZone: opts.timeZone };
+        var currentCtx = buildContext(deals, Object.assign({}, contextOptions, { config: currentConfig }));
+        var draftCtx = buildContext(deals, Object.assign({}, contextOptions, { config: draftConfig }));
+        var currentLevels = (currentConfig && currentConfig.healthLevels) || DealDomain.DEFAULT_HEALTH_LEVELS;
+        var draftLevels = (draftConfig && draftConfig.healthLevels) || DealDomain.DEFAULT_HEALTH_LEVELS;
+
+        var current = emptySimulationSide();
+        var draft = emptySimulationSide();
+        var levelShifts = {};
+        for (var i = 0; i < HEALTH_LEVELS.length; i++) {
+            levelShifts[HEALTH_LEVELS[i]] = {};
+            for (var j = 0; j < HEALTH_LEVELS.length; j++) levelShifts[HEALTH_LEVELS[i]][HEALTH_LEVELS[j]] = 0;
+        }
+
+        var results = [];
+        var changed = 0;
+        for (var i = 0; i < deals.length; i++) {
+            var deal = deals[i];
+            var before = computeDealHealthScore(deal, currentCtx, currentConfig);
+            var after = computeDealHealthScore(deal, draftCtx, draftConfig);
+            var fromLevel = DealDomain.getHealthLevel(before.score, currentLevels);
+            var toLevel = DealDomain.getHealthLevel(after.score, draftLevels);
+            addToSimulationSide(current, before.score, fromLevel);
+            addToSimulationSide(draft, after.score, toLevel);
+            levelShifts[fromLevel][toLevel]++;
+            if (after.score !== before.score) changed++;
+
+            var componentDeltas = {};
+            for (var id in after.components) {
+                componentDeltas[id] = after.components[id] - (before.components[id] || 0);
             }
-            acvPercentile = Math.round((below / ctx.acvDistribution.length) * 100);
+            results.push({
+                deal: deal,
+                before: before.score,
+                after: after.score,
+                delta: after.score - before.score,
+                fromLevel: fromLevel,
+                toLevel: toLevel,
+                componentDeltas: componentDeltas
+            });
         }
 
+        current.average = deals.length > 0 ? current.total / deals.length : null;
+        draft.average = deals.length > 0 ? draft.total / deals.length : null;
+        delete current.total;
+        delete draft.total;
+
+        var topMovers = opts.topMovers != null ? opts.topMovers : 10;
+        var movers = results
+            .filter(function(r) { return r.delta !== 0 || r.fromLevel !== r.toLevel; })
+            .sort(function(a, b) {
+                return Math.abs(b.delta) - Math.abs(a.delta) ||
+                    String(a.deal.dealName || '').localeCompare(String(b.deal.dealName || ''));
+            })
+            .slice(0, topMovers);
+
         return {
-            score: score,
-            components: components,
-            debug: {
-                lastActivityDaysSince: metrics.lastActivityDaysSince,
-                daysInStage: metrics.daysInStage,
-                stageBenchmark: metrics.stageBenchmark,
-                velocityRatio: velocityRatio,
-                acvPercentile: acvPercentile,
-                notesKeywordsMatched: {
-                    positive: notesResult.positive,
-                    negative: notesResult.negative
-                }
-            }
+            count: deals.length,
+            current: current,
+            draft: draft,
+            levelShifts: levelShifts,
+            changed: changed,
+            movers: movers
         };
     }
 
+    function emptySimulationSide() {
+        var buckets = Math.ceil(100 / DISTRIBUTION_BUCKET);
+        var levels = {};
+        for (var i = 0; i < HEALTH_LEVELS.length; i++) levels[HEALTH_LEVELS[i]] = 0;
+        return { total: 0, average: null, distribution: new Array(buckets).fill(0), levels: levels };
+    }
+
+    function addToSimulationSide(side, score, level) {
+        var bucket = Math.min(side.distribution.length - 1, Math.floor(score / DISTRIBUTION_BUCKET));
+        side.distribution[bucket]++;
+        side.levels[level]++;
+        side.total += score;
+    }
+
+    // ==================== Re-scoring ====================
+
+    // deals row fields for a deal's components: health_components, plus each
+    // built-in component's legacy hs_* column
+    function healthComponentsToRow(components) {
+        var row = { health_components: components || null };
+        for (var i = 0; i < COMPONENTS.length; i++) {
+            var c = COMPONENTS[i];
+            if (c.column) row[c.column] = components && components[c.id] != null ? components[c.id] : null;
+        }
+        return row;
+    }
+
+    // Days since update and until closing as of asOf (a Date) instead of now,
+    // counted in timeZone
+    function setDayCountsAsOf(deals, asOf, timeZone) {
+        for (var i = 0; i < deals.length; i++) {
+            deals[i].daysSince = DealDomain.calculateDaysSince(deals[i].modifiedDate, asOf, timeZone);
+            deals[i].daysUntilClosing = DealDomain.calculateDaysUntilClosing(deals[i].closingDate, asOf, timeZone);
+        }
+    }
+
+    // Scores a stored upload's deals under `config` as of asOf, the upload's
+    // generated date: day counts and note ages are taken then, not now.
+    // Returns the deals row fields to write back, one per deal in order:
+    // { health_score, health_components, hs_*, health_debug }. The scores
+    // depend only on the deals' stored data, never on their stored scores,
+    // so re-running after a partly written re-score gives the same rows.
+    function rescoreDeals(deals, asOf, config, timeZone) {
+        setDayCountsAsOf(deals, asOf, timeZone);
+        var context = buildContext(deals, { now: asOf.getTime(), timeZone: timeZone, config: config });
+        return deals.map(function(deal) {
+            var result = computeDealHealthScore(deal, context, config);
+            return Object.assign({ health_score: result.score },
+                healthComponentsToRow(result.components),
+                { health_debug: result.debug });
+        });
+    }
+
     // ==================== Exports ====================
     exports.defaultWeights = defaultWeights;
+    exports.registerComponent = registerComponent;
+    exports.getComponents = getComponents;
+    exports.getComponent = getComponent;
+    exports.defaultCurves = defaultCurves;
+    exports.evaluateCurve = evaluateCurve;
+    exports.validateCurve = validateCurve;
+    exports.resolveCurve = resolveCurve;
+    exports.resolveCloseDatePenalties = resolveCloseDatePenalties;
+    exports.CURVE_MODES = CURVE_MODES;
+    exports.resolveStageBenchmarks = resolveStageBenchmarks;
+    exports.resolveBenchmarkMinSamples = resolveBenchmarkMinSamples;
+    exports.resolveStageOrder = resolveStageOrder;
+    exports.stageRank = stageRank;
+    exports.stagePosition = stagePosition;
+    exports.DEFAULT_BENCHMARK_MIN_SAMPLES = DEFAULT_BENCHMARK_MIN_SAMPLES;
+    exports.TERMINAL_STAGES = TERMINAL_STAGES;
+    exports.simulateScoring = simulateScoring;
+    exports.healthComponentsToRow = healthComponentsToRow;
+    exports.setDayCountsAsOf = setDayCountsAsOf;
+    exports.rescoreDeals = rescoreDeals;
+    exports.explainHealthScore = explainHealthScore;
+    exports.HEALTH_LEVELS = HEALTH_LEVELS;
+    exports.DISTRIBUTION_BUCKET = DISTRIBUTION_BUCKET;
+    exports.DEFAULT_CLOSE_DATE_PENALTIES = DEFAULT_CLOSE_DATE_PENALTIES;
     exports.computeDealHealthScore = computeDealHealthScore;
     exports.buildContext = buildContext;
     exports.deriveDealMetrics = deriveDealMetrics;
@@ -348,6 +1270,15 @@
     exports.scoreCloseDateIntegrity = scoreCloseDateIntegrity;
     exports.scoreAcv = scoreAcv;
     exports.scoreNotesSignal = scoreNotesSignal;
+    exports.scoreNextSteps = scoreNextSteps;
+    exports.findNoteSignals = findNoteSignals;
+    exports.compileNoteRule = compileNoteRule;
+    exports.validateNoteRule = validateNoteRule;
+    exports.defaultNotesRules = defaultNotesRules;
+    exports.resolveNotesRules = resolveNotesRules;
+    exports.resolveNotesSignalOptions = resolveNotesSignalOptions;
+    exports.NOTE_RULE_MATCH_MODES = NOTE_RULE_MATCH_MODES;
+    exports.DEFAULT_NOTES_SIGNAL = DEFAULT_NOTES_SIGNAL;
     exports.DEFAULT_STAGE_SCORES = DEFAULT_STAGE_SCORES;
     exports.STAGE_BENCHMARKS = STAGE_BENCHMARKS;
     exports.POSITIVE_KEYWORDS = POSITIVE_KEYWORDS;
@@ -0,0 +1,239 @@
+// DealUpdates - Upload diff engine
+// Compares two deal lists (baseline vs newer) and produces field-level change
+// records, change categories for filtering, and the deals that disappeared.
+// Shared by app.js (browser) and Node.js via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Dependencies ====================
+    var DealDomain = typeof require !== 'undefined'
+        ? require('./domain.js')
+        : self.DealDomain;
+    var DealHistory = typeof require !== 'undefined'
+        ? require('./history.js')
+        : self.DealHistory;
+
+    var makeDealKey = DealDomain.makeDealKey;
+    var normalizeString = DealDomain.normalizeString;
+    var toDateKey = DealHistory.toDateKey;
+
+    // ==================== Configuration ====================
+
+    // Minimum health score move (points) reported as a change
+    var HEALTH_DELTA_THRESHOLD = 5;
+
+    // Filterable change categories, in display order
+    var DIFF_CATEGORIES = [
+        { id: 'stage-advanced',  label: 'Stage advanced' },
+        { id: 'stage-regressed', label: 'Stage regressed' },
+        { id: 'acv-increased',   label: 'ACV increased' },
+        { id: 'acv-decreased',   label: 'ACV decreased' },
+        { id: 'close-pushed',    label: 'Close date pushed' },
+        { id: 'close-pulled-in', label: 'Close date pulled in' },
+        { id: 'owner-changed',   label: 'Owner reassigned' },
+        { id: 'renamed',         label: 'Renamed' },
+        { id: 'health-up',       label: 'Health improved' },
+        { id: 'health-down',     label: 'Health declined' },
+        { id: 'summary-changed', label: 'Summary changed' },
+        { id: 'notes-added',     label: 'Notes added' },
+        { id: 'note-updated',    label: 'Note updated' }
+    ];
+
+    // ==================== Change Records ====================
+
+    // { field, label, oldValue, newValue, direction: 'up' | 'down' | 'changed', category }
+    function change(field, label, oldValue, newValue, direction, category) {
+        return {
+            field: field,
+            label: label,
+            oldValue: oldValue,
+            newValue: newValue,
+            direction: direction,
+            category: category || null
+        };
+    }
+
+    function dealKeyOf(deal) {
+        return deal.dealKey || makeDealKey(deal.dealName, deal.dealOwner);
+    }
+
+    // options.stageRank(stage) -> number or null (unknown stages can't regress)
+    // options.healthThreshold  -> minimum health delta to report
+    function compareDeal(old, deal, options) {
+        var changes = [];
+        var stageRank = options.stageRank || function() { return null; };
+        var healthThreshold = options.healthThreshold != null ? options.healthThreshold : HEALTH_DELTA_THRESHOLD;
+
+        if (normalizeString(old.dealOwner) !== normalizeString(deal.dealOwner)) {
+            changes.push(change('dealOwner', 'Owner', old.dealOwner || '', deal.dealOwner || '', 'changed', 'owner-changed'));
+        }
+
+        // Only possible when the pair was linked through a deal alias
+        if (normalizeString(old.dealName) !== normalizeString(deal.dealName)) {
+            changes.push(change('dealName', 'Name', old.dealName || '', deal.dealName || '', 'changed', 'renamed'));
+        }
+
+        if ((deal.stage || '') !== (old.stage || '')) {
+            var oldRank = stageRank(old.stage);
+            var newRank = stageRank(deal.stage);
+            var stageDir = (oldRank == null || newRank == null || oldRank === newRank) ? 'changed'
+                : newRank > oldRank ? 'up' : 'down';
+            changes.push(change('stage', 'Stage', old.stage || '', deal.stage || '', stageDir,
+                stageDir === 'up' ? 'stage-advanced' : stageDir === 'down' ? 'stage-regressed' : null));
+        }
+
+        var oldAcv = Math.round(old.acv || 0);
+        var newAcv = Math.round(deal.acv || 0);
+        if (oldAcv !== newAcv) {
+            var acvDir = newAcv > oldAcv ? 'up' : 'down';
+            changes.push(change('acv', 'ACV', oldAcv, newAcv, acvDir,
+                acvDir === 'up' ? 'acv-increased' : 'acv-decreased'));
+        }
+
+        var oldClose = toDateKey(old.closingDate);
+        var newClose = toDateKey(deal.closingDate);
+        if (oldClose !== newClose) {
+            var closeDir = (!oldClose || !newClose) ? 'changed' : newClose > oldClose ? 'up' : 'down';
+            changes.push(change('closingDate', 'Close date', oldClose, newClose, closeDir,
+                closeDir === 'up' ? 'close-pushed' : closeDir === 'down' ? 'close-pulled-in' : null));
+        }
+
+        if (old.healthScore != null && deal.healthScore != null &&
+            Math.abs(deal.healthScore - old.healthScore) >= healthThreshold) {
+            var healthDir = deal.healthScore > old.healthScore ? 'up' : 'down';
+            changes.push(change('healthScore', 'Health', old.healthScore, deal.healthScore, healthDir,
+                healthDir === 'up' ? 'health-up' : 'health-down'));
+        }
+
+        if (deal.notesSummary && deal.notesSummary.trim() !== (old.notesSummary || '').trim()) {
+            changes.push(change('notesSummary', 'Summary', old.notesSummary || '', deal.notesSummary, 'changed', 'summary-changed'));
+        }
+
+        var oldNotes = old.notesCount || 0;
+        var newNotes = deal.notesCount || 0;
+        if (oldNotes !== newNotes) {
+            changes.push(change('notesCount', 'Notes', oldNotes, newNotes, newNotes > oldNotes ? 'up' : 'down',
+                newNotes > oldNotes ? 'notes-added' : null));
+        }
+
+        if ((deal.noteContent || '').trim() !== (old.noteContent || '').trim()) {
+            changes.push(change('noteContent', 'Note', null, null, 'changed', 'note-updated'));
+        }
+
+        return changes;
+    }
+
+    // ==================== Diff ====================
+
+    // Tags each deal in newDeals with changeType ('new' | 'updated' |
+    // 'unchanged'), changes (change records) and changeCategories. Deals
+    // only in oldDeals are returned as `removed` (copies tagged 'removed').
+    // A deal whose key disappeared and reappeared under a different owner
+    // (same name, one candidate on each side) is matched as a reassignment.
+    function diffDeals(oldDeals, newDeals, options) {
+        options = options || {};
+        var oldMap = new Map();
+        for (var i = 0; i < oldDeals.length; i++) {
+            oldMap.set(dealKeyOf(oldDeals[i]), oldDeals[i]);
+        }
+
+        var matched = new Map(); // new deal -> old deal
+        var unmatchedNew = [];
+        var newKeys = new Set();
+        for (var j = 0; j < newDeals.length; j++) {
+            var key = dealKeyOf(newDeals[j]);
+            newKeys.add(key);
+            if (oldMap.has(key)) matched.set(newDeals[j], oldMap.get(key));
+            else unmatchedNew.push(newDeals[j]);
+        }
+
+        var unmatchedOld = [];
+        oldMap.forEach(function(deal, key) {
+            if (!newKeys.has(key)) unmatchedOld.push(deal);
+        });
+        pairReassignments(unmatchedOld, unmatchedNew, matched);
+
+        var summary = { newCount: 0, updatedCount: 0, removedCount: 0, unchangedCount: 0, categoryCounts: {}, removed: [] };
+        var matchedOld = new Set();
+        matched.forEach(function(old) { matchedOld.add(old); });
+
+        for (var k = 0; k < newDeals.length; k++) {
+            var deal = newDeals[k];
+            var old = matched.get(deal);
+            if (!old) {
+                deal.changeType = 'new';
+                deal.changes = [];
+                deal.changeCategories = [];
+                summary.newCount++;
+                continue;
+            }
+            var changes = compareDeal(old, deal, options);
+            deal.changes = changes;
+            deal.changeCategories = categoriesOf(changes);
+            if (changes.length > 0) {
+                deal.changeType = 'updated';
+                summary.updatedCount++;
+                for (var c = 0; c < deal.changeCategories.length; c++) {
+                    var cat = deal.changeCategories[c];
+                    summary.categoryCounts[cat] = (summary.categoryCounts[cat] || 0) + 1;
+                }
+            } else {
+                deal.changeType = 'unchanged';
+                summary.unchangedCount++;
+            }
+        }
+
+        for (var r = 0; r < unmatchedOld.length; r++) {
+            if (matchedOld.has(unmatchedOld[r])) continue;
+            var ghost = Object.assign({}, unmatchedOld[r], {
+                changeType: 'removed',
+                changes: [],
+                changeCategories: []
+            });
+            summary.removed.push(ghost);
+        }
+        summary.removedCount = summary.removed.length;
+
+        return summary;
+    }
+
+    function pairReassignments(unmatchedOld, unmatchedNew, matched) {
+        var byName = function(deals) {
+            var map = new Map();
+            for (var i = 0; i < deals.length; i++) {
+                var name = normalizeString(deals[i].dealName);
+                if (!name) continue;
+                if (!map.has(name)) map.set(name, []);
+                map.get(name).push(deals[i]);
+            }
+            return map;
+        };
+        var oldByName = byName(unmatchedOld);
+        var newByName = byName(unmatchedNew);
+        newByName.forEach(function(candidates, name) {
+            var olds = oldByName.get(name);
+            // Ambiguous names (several deals with one name) stay new/removed
+            if (candidates.length === 1 && olds && olds.length === 1) {
+                matched.set(candidates[0], olds[0]);
+            }
+        });
+    }
+
+    function categoriesOf(changes) {
+        var cats = [];
+        for (var i = 0; i < changes.length; i++) {
+            if (changes[i].category && cats.indexOf(changes[i].category) === -1) cats.push(changes[i].category);
+        }
+        return cats;
+    }
+
+    // ==================== Exports ====================
+    exports.HEALTH_DELTA_THRESHOLD = HEALTH_DELTA_THRESHOLD;
+    exports.DIFF_CATEGORIES = DIFF_CATEGORIES;
+    exports.compareDeal = compareDeal;
+    exports.diffDeals = diffDeals;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealDiff = {}));
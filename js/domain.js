@@ -4,6 +4,11 @@
 (function(exports) {
     'use strict';
 
+    // ==================== Dependencies ====================
+    const DealDates = typeof require !== 'undefined'
+        ? require('./dates.js')
+        : self.DealDates;
+
     // ==================== Configuration ====================
     const URGENCY_THRESHOLDS = {
         fresh: 14,
@@ -12,6 +17,27 @@
     };
     const CLOSING_SOON_DAYS = 14;
 
+    // Minimum health score for each level (editable in the scoring config)
+    const DEFAULT_HEALTH_LEVELS = { good: 80, watch: 60, risk: 40 };
+
+    // All ACV totals, scores and exports are expressed in this currency
+    const REPORTING_CURRENCY = 'CAD';
+
+    // Days since update, days until closing and stored day keys are counted
+    // in the team's reporting time zone; this one until the team sets its own
+    const DEFAULT_REPORTING_TIME_ZONE = DealDates.DEFAULT_TIME_ZONE;
+
+    // Currencies parseACV can tell apart in an ACV value; a rate for any
+    // other code would never be used
+    const DETECTED_CURRENCIES = ['USD', 'EUR', 'CAD'];
+
+    // Units of reporting currency per 1 unit of the source currency
+    const DEFAULT_FX_RATES = {
+        CAD: 1,
+        USD: 1.36,
+        EUR: 1.47
+    };
+
     // ==================== Identity ====================
     function normalizeString(s) {
         return (s || '').trim().toLowerCase().replace(/\s+/g, ' ');
@@ -21,6 +47,21 @@
         return normalizeString(dealName) + '||' + normalizeString(dealOwner);
     }
 
+    // Follows confirmed deal aliases ({ aliasKey: canonicalKey }) so a renamed
+    // or reassigned deal keeps the key it was first seen under
+    function resolveDealKey(key, aliases) {
+        if (!key || !aliases) return key;
+        let current = key;
+        const seen = new Set([current]);
+        while (Object.prototype.hasOwnProperty.call(aliases, current)) {
+            const next = aliases[current];
+            if (!next || seen.has(next)) break; // guard against alias cycles
+            seen.add(next);
+            current = next;
+        }
+        return current;
+    }
+
     // ==================== Hashing ====================
     async function sha256Hex(str) {
         const data = new TextEncoder().encode(str);
@@ -34,6 +75,93 @@
         return { canonical: unique.join('\n---\n'), count: unique.length };
     }
 
+    // Notes as a timeline (stored in deals.notes): one entry per distinct
+    // text, oldest first with undated notes ahead of dated ones, each
+    // { at: ISO timestamp or null, author, text, hash (sha256 of the text) }.
+    // entries: [{ text, at (Date or null), author }] from the deal's rows; a
+    // text on several rows keeps its latest modified time.
+    async function buildNotesTimeline(entries) {
+        const byText = new Map();
+        for (const entry of entries) {
+            const text = (entry.text || '').trim();
+            if (!text) continue;
+            const at = entry.at instanceof Date && !isNaN(entry.at.getTime()) ? entry.at : null;
+            const existing = byText.get(text);
+            if (!existing || (at && (!existing.at || at > existing.at))) {
+                byText.set(text, { at, author: entry.author || null, text });
+            }
+        }
+        const notes = [...byText.values()].sort((a, b) =>
+            (a.at ? a.at.getTime() : -Infinity) - (b.at ? b.at.getTime() : -Infinity) || a.text.localeCompare(b.text));
+        return Promise.all(notes.map(async note => ({
+            at: note.at ? note.at.toISOString() : null,
+            author: note.author,
+            text: note.text,
+            hash: await sha256Hex(note.text)
+        })));
+    }
+
+    // ==================== AI Extraction ====================
+    // Fields the summarize-notes function extracts from a deal's notes
+    // (stored in deals.ai_extraction): { next_step, next_step_date
+    // (YYYY-MM-DD), blockers[], competitors[], decision_makers[],
+    // close_date_change: { proposed_date, reason } or null }
+    const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    function extractionList(value) {
+        return Array.isArray(value)
+            ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim())
+            : [];
+    }
+
+    function extractionText(value) {
+        return typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+
+    // A stored or returned extraction in the shape above, or null
+    function normalizeExtraction(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+        const change = raw.close_date_change && typeof raw.close_date_change === 'object'
+            ? raw.close_date_change
+            : null;
+        const proposedDate = change && DATE_KEY_PATTERN.test(change.proposed_date) ? change.proposed_date : null;
+        const reason = change ? extractionText(change.reason) : null;
+        return {
+            next_step: extractionText(raw.next_step),
+            next_step_date: DATE_KEY_PATTERN.test(raw.next_step_date) ? raw.next_step_date : null,
+            blockers: extractionList(raw.blockers),
+            competitors: extractionList(raw.competitors),
+            decision_makers: extractionList(raw.decision_makers),
+            close_date_change: proposedDate || reason ? { proposed_date: proposedDate, reason } : null
+        };
+    }
+
+    // Whether the next step's date is before todayKey (YYYY-MM-DD)
+    function isNextStepOverdue(extraction, todayKey) {
+        return !!(extraction && extraction.next_step_date && extraction.next_step_date < todayKey);
+    }
+
+    // Table filters on the extraction (AI Signals)
+    const AI_SIGNALS = [
+        { key: 'blocker', label: 'Has blocker' },
+        { key: 'overdue', label: 'Next step overdue' },
+        { key: 'no-next-step', label: 'No next step' },
+        { key: 'competitor', label: 'Competitor mentioned' },
+        { key: 'close-date-change', label: 'Close date change proposed' }
+    ];
+
+    function matchesAISignal(extraction, signal, todayKey) {
+        if (!extraction) return false;
+        switch (signal) {
+            case 'blocker': return extraction.blockers.length > 0;
+            case 'overdue': return isNextStepOverdue(extraction, todayKey);
+            case 'no-next-step': return !extraction.next_step;
+            case 'competitor': return extraction.competitors.length > 0;
+            case 'close-date-change': return !!extraction.close_date_change;
+            default: return true;
+        }
+    }
+
     // ==================== ACV Parsing ====================
     // Parsing rules:
     //   Currency detection (case-insensitive, checked in order):
@@ -101,36 +229,56 @@
         return { value: amount, currency, isCAD, raw };
     }
 
+    // ==================== Currency Conversion ====================
+    // Converts an amount into REPORTING_CURRENCY using a rate table of
+    // { CODE: unitsOfReportingCurrency }. Returns null when the table has no
+    // usable rate for the currency, so callers can decide how to handle it.
+    function convertToReporting(amount, currency, fxRates) {
+        if (!currency || currency === REPORTING_CURRENCY) {
+            return { value: amount, rate: 1 };
+        }
+        const rates = fxRates || DEFAULT_FX_RATES;
+        const rate = Number(rates[currency]);
+        if (!rate || rate <= 0 || !isFinite(rate)) return null;
+        return { value: Math.round(amount * rate * 100) / 100, rate };
+    }
+
     // ==================== Date Helpers ====================
-    function parseDate(dateStr) {
+    // format: 'auto' | 'iso' | 'dmy' | 'mdy' | 'text' (see dates.js). Returns
+    // the calendar day written in the value (time stripped) as a Date at UTC
+    // midnight, never re-reading the text through `new Date(string)`
+    function parseDate(dateStr, format) {
         if (!dateStr) return null;
+        return DealDates.toCalendarDate(DealDates.parseDateValue(dateStr, format));
+    }
 
-        // Try parsing the date string
-        const date = new Date(dateStr);
-        if (isNaN(date.getTime())) return null;
-
-        // Return date only (strip time)
-        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    // Like parseDate, but keeps the time: the instant the value describes, in
+    // its own zone if it names one, else in timeZone (a bare date is the
+    // start of that day there)
+    function parseTimestamp(dateStr, format, timeZone) {
+        if (!dateStr) return null;
+        return DealDates.toInstant(DealDates.parseDateValue(dateStr, format), timeZone || DEFAULT_REPORTING_TIME_ZONE);
     }
 
-    function calculateDaysSince(date, referenceDate) {
+    // Whole days from a timestamp to the reference instant (default now),
+    // counted as calendar days in timeZone
+    function calculateDaysSince(date, referenceDate, timeZone) {
         if (!date) return 999; // High number for unknown dates
 
+        const zone = timeZone || DEFAULT_REPORTING_TIME_ZONE;
         const today = referenceDate ? new Date(referenceDate) : new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const diffTime = today - date;
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+        const diffDays = DealDates.daysBetweenKeys(DealDates.zonedDateKey(date, zone), DealDates.zonedDateKey(today, zone));
 
         return Math.max(0, diffDays);
     }
 
-    function calculateDaysUntilClosing(date, referenceDate) {
+    // Days from the reference instant's day in timeZone to a calendar date
+    // (negative once it has passed)
+    function calculateDaysUntilClosing(date, referenceDate, timeZone) {
         if (!date) return null;
         const today = referenceDate ? new Date(referenceDate) : new Date();
-        today.setHours(0, 0, 0, 0);
-        const diffTime = date - today;
-        return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        const todayKey = DealDates.zonedDateKey(today, timeZone || DEFAULT_REPORTING_TIME_ZONE);
+        return DealDates.daysBetweenKeys(todayKey, DealDates.calendarDateKey(date));
     }
 
     // ==================== Urgency / Closing Status ====================
@@ -148,26 +296,51 @@
         return 'normal';
     }
 
-    function getHealthLevel(score) {
-        if (score >= 80) return 'good';
-        if (score >= 60) return 'watch';
-        if (score >= 40) return 'risk';
+    // Returns a problem description, or null when the cutoffs { good, watch,
+    // risk } are usable: each below the one before, between 0 and 100
+    function validateHealthLevels(levels) {
+        if (!levels || !(levels.good <= 100 && levels.good > levels.watch &&
+              levels.watch > levels.risk && levels.risk >= 0)) {
+            return 'Health levels must go down from Good to Risk, between 0 and 100.';
+        }
+        return null;
+    }
+
+    function getHealthLevel(score, levels) {
+        const cutoffs = levels || DEFAULT_HEALTH_LEVELS;
+        if (score >= cutoffs.good) return 'good';
+        if (score >= cutoffs.watch) return 'watch';
+        if (score >= cutoffs.risk) return 'risk';
         return 'dead';
     }
 
     // ==================== Exports ====================
     exports.URGENCY_THRESHOLDS = URGENCY_THRESHOLDS;
     exports.CLOSING_SOON_DAYS = CLOSING_SOON_DAYS;
+    exports.DEFAULT_HEALTH_LEVELS = DEFAULT_HEALTH_LEVELS;
+    exports.REPORTING_CURRENCY = REPORTING_CURRENCY;
+    exports.DEFAULT_REPORTING_TIME_ZONE = DEFAULT_REPORTING_TIME_ZONE;
+    exports.DEFAULT_FX_RATES = DEFAULT_FX_RATES;
+    exports.DETECTED_CURRENCIES = DETECTED_CURRENCIES;
     exports.normalizeString = normalizeString;
     exports.makeDealKey = makeDealKey;
+    exports.resolveDealKey = resolveDealKey;
     exports.sha256Hex = sha256Hex;
     exports.buildNotesCanonical = buildNotesCanonical;
+    exports.buildNotesTimeline = buildNotesTimeline;
+    exports.normalizeExtraction = normalizeExtraction;
+    exports.isNextStepOverdue = isNextStepOverdue;
+    exports.AI_SIGNALS = AI_SIGNALS;
+    exports.matchesAISignal = matchesAISignal;
     exports.parseACV = parseACV;
+    exports.convertToReporting = convertToReporting;
     exports.parseDate = parseDate;
+    exports.parseTimestamp = parseTimestamp;
     exports.calculateDaysSince = calculateDaysSince;
     exports.calculateDaysUntilClosing = calculateDaysUntilClosing;
     exports.getUrgencyLevel = getUrgencyLevel;
     exports.getClosingStatus = getClosingStatus;
+    exports.validateHealthLevels = validateHealthLevels;
     exports.getHealthLevel = getHealthLevel;
 
 })(typeof module !== 'undefined' && module.exports
@@ -0,0 +1,272 @@
+// DealUpdates - Upload history analysis
+// Rebuilds per-deal timelines from the stored upload snapshots (one per import).
+// Shared by app.js (browser) and generate-golden.js (Node.js) via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Dependencies ====================
+    var DealDates = typeof require !== 'undefined'
+        ? require('./dates.js')
+        : self.DealDates;
+
+    var MS_PER_DAY = 86400000;
+
+    // ==================== Date Keys ====================
+    // Upload dates are 'YYYY-MM-DD' strings (uploads.generated_date), compared
+    // as calendar days so results don't depend on the viewer's time zone.
+
+    // Strings are taken as keys already. Dates are calendar dates (UTC
+    // midnight, see dates.js) unless timeZone is given, in which case the
+    // Date is a timestamp keyed by its day in that zone.
+    function toDateKey(value, timeZone) {
+        if (!value) return null;
+        if (typeof value === 'string') return value.slice(0, 10);
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return timeZone ? DealDates.zonedDateKey(value, timeZone) : DealDates.calendarDateKey(value);
+        }
+        return null;
+    }
+
+    function daysBetweenDateKeys(fromKey, toKey) {
+        if (!fromKey || !toKey) return null;
+        var a = fromKey.split('-');
+        var b = toKey.split('-');
+        var fromUtc = Date.UTC(+a[0], +a[1] - 1, +a[2]);
+        var toUtc = Date.UTC(+b[0], +b[1] - 1, +b[2]);
+        return Math.round((toUtc - fromUtc) / MS_PER_DAY);
+    }
+
+    function normalizeStage(stage) {
+        return (stage || '').trim().toLowerCase();
+    }
+
+    // ==================== Timelines ====================
+
+    // snapshots: [{ uploadId, generatedDate: 'YYYY-MM-DD', uploadedAt, deals: [deal] }]
+    // Returns a Map of dealKey -> entries ordered oldest first, one entry per
+    // upload the deal appeared in: { uploadId, generatedDate, deal }.
+    function buildDealTimelines(snapshots) {
+        var ordered = (snapshots || []).slice().sort(compareSnapshots);
+        var timelines = new Map();
+
+        for (var i = 0; i < ordered.length; i++) {
+            var snap = ordered[i];
+            var deals = snap.deals || [];
+            for (var j = 0; j < deals.length; j++) {
+                var key = deals[j].dealKey;
+                if (!key) continue;
+                if (!timelines.has(key)) timelines.set(key, []);
+                var entries = timelines.get(key);
+                // Several rows for one deal in the same upload: keep the last
+                if (entries.length > 0 && entries[entries.length - 1].uploadId === snap.uploadId && snap.uploadId != null) {
+                    entries[entries.length - 1].deal = deals[j];
+                    continue;
+                }
+                entries.push({
+                    uploadId: snap.uploadId,
+                    generatedDate: toDateKey(snap.generatedDate),
+                    deal: deals[j]
+                });
+            }
+        }
+
+        return timelines;
+    }
+
+    function compareSnapshots(a, b) {
+        var da = toDateKey(a.generatedDate) || '';
+        var db = toDateKey(b.generatedDate) || '';
+        if (da !== db) return da < db ? -1 : 1;
+        var ua = a.uploadedAt || '';
+        var ub = b.uploadedAt || '';
+        if (ua !== ub) return ua < ub ? -1 : 1;
+        return 0;
+    }
+
+    // Keep only snapshots at or before the given upload (by date, then upload time)
+    function snapshotsUpTo(snapshots, asOf) {
+        return (snapshots || []).filter(function(s) {
+            return compareSnapshots(s, asOf) <= 0;
+        });
+    }
+
+    // ==================== Stage History ====================
+
+    // Collapses a deal's timeline into stage runs, oldest first:
+    // [{ stage, enteredDate, lastSeenDate, uploads }]
+    function buildStageHistory(entries) {
+        var runs = [];
+        for (var i = 0; i < (entries || []).length; i++) {
+            var e = entries[i];
+            var stage = e.deal.stage || '';
+            var last = runs[runs.length - 1];
+            if (last && normalizeStage(last.stage) === normalizeStage(stage)) {
+                last.lastSeenDate = e.generatedDate;
+                last.uploads++;
+            } else {
+                runs.push({
+                    stage: stage,
+                    enteredDate: e.generatedDate,
+                    lastSeenDate: e.generatedDate,
+                    uploads: 1
+                });
+            }
+        }
+        return runs;
+    }
+
+    // Date the deal entered its current stage. When the deal has been in that
+    // stage since it was first seen, the real entry date is earlier than any
+    // upload we have, so the result is only a lower bound (exact: false).
+    function computeStageEntry(stageHistory) {
+        if (!stageHistory || stageHistory.length === 0) return null;
+        var current = stageHistory[stageHistory.length - 1];
+        return {
+            stage: current.stage,
+            enteredDate: current.enteredDate,
+            exact: stageHistory.length > 1
+        };
+    }
+
+    // Sets stageHistory, stageEnteredDate and daysInStage on each deal.
+    // asOfDate is the upload date the deals belong to ('YYYY-MM-DD').
+    // Deals with no earlier uploads are left untouched so scoring falls back
+    // to its daysSince approximation.
+    function attachStageHistory(deals, timelines, asOfDate) {
+        for (var i = 0; i < deals.length; i++) {
+            var deal = deals[i];
+            var entries = timelines.get(deal.dealKey) || [];
+            if (entries.length < 2) continue;
+
+            var history = buildStageHistory(entries);
+            var entry = computeStageEntry(history);
+            var days = Math.max(0, daysBetweenDateKeys(entry.enteredDate, asOfDate) || 0);
+
+            deal.stageHistory = history;
+            deal.stageEnteredDate = entry.enteredDate;
+            deal.stageEntryExact = entry.exact;
+            if (entry.exact) {
+                deal.daysInStage = days;
+                deal.daysInStageSource = 'history';
+            } else {
+                // In this stage for at least the observed span; the note-age
+                // approximation can only make that longer
+                var approx = (typeof deal.daysSince === 'number' && deal.daysSince < 999) ? deal.daysSince : 0;
+                deal.daysInStage = Math.max(days, approx);
+                deal.daysInStageSource = 'history-lower-bound';
+            }
+        }
+    }
+
+    // ==================== Close Date Slippage ====================
+
+    // Walks a deal's timeline and counts every upload where the closing date
+    // moved later than in the previous upload. Pulled-in dates don't offset
+    // earlier slips. Returns { slipCount, slipDays, closeDates } where
+    // closeDates lists each distinct closing date in order of appearance.
+    function computeCloseDateSlippage(entries) {
+        var slipCount = 0;
+        var slipDays = 0;
+        var closeDates = [];
+        var prev = null;
+        for (var i = 0; i < (entries || []).length; i++) {
+            var key = toDateKey(entries[i].deal.closingDate);
+            if (!key) continue;
+            if (prev && key > prev) {
+                slipCount++;
+                slipDays += daysBetweenDateKeys(prev, key);
+            }
+            if (key !== prev) {
+                closeDates.push({ closingDate: key, seenDate: entries[i].generatedDate });
+            }
+            prev = key;
+        }
+        return { slipCount: slipCount, slipDays: slipDays, closeDates: closeDates };
+    }
+
+    // Sets closeDateSlipCount, closeDateSlipDays and closeDateHistory on each
+    // deal. Deals with no earlier uploads are left untouched so scoring falls
+    // back to the notes keyword heuristic.
+    function attachCloseDateSlippage(deals, timelines) {
+        for (var i = 0; i < deals.length; i++) {
+            var deal = deals[i];
+            var entries = timelines.get(deal.dealKey) || [];
+            if (entries.length < 2) continue;
+
+            var slippage = computeCloseDateSlippage(entries);
+            deal.closeDateSlipCount = slippage.slipCount;
+            deal.closeDateSlipDays = slippage.slipDays;
+            deal.closeDateHistory = slippage.closeDates;
+        }
+    }
+
+    // ==================== Upload History ====================
+
+    // Sets stage history and close date slippage on one upload's deals from
+    // the stored snapshots of the uploads before it. asOf is the upload
+    // ({ uploadId, generatedDate, uploadedAt }); a stored copy of it, and any
+    // later upload, is left out.
+    function attachUploadHistory(deals, asOf, snapshots) {
+        var earlier = snapshotsUpTo((snapshots || []).filter(function(snap) {
+            return String(snap.uploadId) !== String(asOf.uploadId);
+        }), asOf);
+        var current = Object.assign({}, asOf, { deals: deals });
+        var timelines = buildDealTimelines(earlier.concat([current]));
+        attachStageHistory(deals, timelines, toDateKey(asOf.generatedDate));
+        attachCloseDateSlippage(deals, timelines);
+    }
+
+    // ==================== Score History ====================
+
+    // One point per upload for the health trend chart, oldest first:
+    // { uploadId, generatedDate, score, components, changes } where changes
+    // lists the stage / ACV / close date moves since the previous upload.
+    function buildScoreHistory(entries) {
+        var points = [];
+        var prev = null;
+        for (var i = 0; i < (entries || []).length; i++) {
+            var e = entries[i];
+            var deal = e.deal;
+            var changes = [];
+            if (prev) {
+                if (normalizeStage(prev.stage) !== normalizeStage(deal.stage)) {
+                    changes.push({ field: 'stage', label: 'Stage', from: prev.stage || '', to: deal.stage || '' });
+                }
+                if ((Number(prev.acv) || 0) !== (Number(deal.acv) || 0)) {
+                    changes.push({ field: 'acv', label: 'ACV', from: Number(prev.acv) || 0, to: Number(deal.acv) || 0 });
+                }
+                var prevClose = toDateKey(prev.closingDate);
+                var close = toDateKey(deal.closingDate);
+                if (prevClose !== close) {
+                    changes.push({ field: 'closingDate', label: 'Close date', from: prevClose, to: close });
+                }
+            }
+            points.push({
+                uploadId: e.uploadId,
+                generatedDate: e.generatedDate,
+                score: deal.healthScore != null ? deal.healthScore : null,
+                components: deal.healthComponents || null,
+                changes: changes
+            });
+            prev = deal;
+        }
+        return points;
+    }
+
+    // ==================== Exports ====================
+    exports.toDateKey = toDateKey;
+    exports.daysBetweenDateKeys = daysBetweenDateKeys;
+    exports.buildDealTimelines = buildDealTimelines;
+    exports.snapshotsUpTo = snapshotsUpTo;
+    exports.buildStageHistory = buildStageHistory;
+    exports.computeStageEntry = computeStageEntry;
+    exports.attachStageHistory = attachStageHistory;
+    exports.computeCloseDateSlippage = computeCloseDateSlippage;
+    exports.attachCloseDateSlippage = attachCloseDateSlippage;
+    exports.attachUploadHistory = attachUploadHistory;
+    exports.buildScoreHistory = buildScoreHistory;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealHistory = {}));
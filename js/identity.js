@@ -0,0 +1,209 @@
+// DealUpdates - Deal identity resolution
+// Suggests probable matches between deals that disappeared and deals that
+// appeared between two uploads (renames, owner reassignment), and manages the
+// confirmed alias links that dedup, diff and history resolve through.
+// Shared by app.js (browser) and Node.js via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Dependencies ====================
+    var DealDomain = typeof require !== 'undefined'
+        ? require('./domain.js')
+        : self.DealDomain;
+    var DealHistory = typeof require !== 'undefined'
+        ? require('./history.js')
+        : self.DealHistory;
+
+    var normalizeString = DealDomain.normalizeString;
+    var makeDealKey = DealDomain.makeDealKey;
+    var resolveDealKey = DealDomain.resolveDealKey;
+    var toDateKey = DealHistory.toDateKey;
+    var daysBetweenDateKeys = DealHistory.daysBetweenDateKeys;
+
+    // ==================== Configuration ====================
+
+    // Signal weights for the match score (sum to 1)
+    var MATCH_WEIGHTS = {
+        name: 0.55,
+        stage: 0.15,
+        acv: 0.15,
+        closeDate: 0.15
+    };
+    var MIN_MATCH_SCORE = 0.6;       // overall score to suggest a pair
+    var MIN_NAME_SIMILARITY = 0.5;   // a pair must look alike by name first
+    var CLOSE_DATE_WINDOW_DAYS = 60; // close dates this far apart score 0
+
+    // ==================== Name Similarity ====================
+
+    // Dice coefficient over character bigrams of the normalized names, with
+    // punctuation stripped so "Acme Corp - Renewal" ~ "ACME Corp Renewal"
+    function nameSimilarity(a, b) {
+        var x = normalizeString(a).replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+        var y = normalizeString(b).replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        var bx = bigrams(x);
+        var by = bigrams(y);
+        if (bx.length === 0 || by.length === 0) return 0;
+
+        var counts = new Map();
+        for (var i = 0; i < bx.length; i++) counts.set(bx[i], (counts.get(bx[i]) || 0) + 1);
+        var overlap = 0;
+        for (var j = 0; j < by.length; j++) {
+            var n = counts.get(by[j]);
+            if (n) {
+                overlap++;
+                counts.set(by[j], n - 1);
+            }
+        }
+        return (2 * overlap) / (bx.length + by.length);
+    }
+
+    function bigrams(s) {
+        var out = [];
+        for (var i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+        return out;
+    }
+
+    // ==================== Match Scoring ====================
+
+    // Returns { score (0-1), nameScore, reasons: [string] }
+    function scoreMatch(oldDeal, newDeal) {
+        var nameScore = nameSimilarity(oldDeal.dealName, newDeal.dealName);
+        var reasons = [];
+
+        var stageScore = normalizeString(oldDeal.stage) === normalizeString(newDeal.stage) ? 1 : 0;
+        if (stageScore) reasons.push('same stage');
+
+        var oldAcv = Number(oldDeal.acv) || 0;
+        var newAcv = Number(newDeal.acv) || 0;
+        var acvScore = 0;
+        if (oldAcv > 0 && newAcv > 0) {
+            acvScore = Math.min(oldAcv, newAcv) / Math.max(oldAcv, newAcv);
+            if (acvScore >= 0.9) reasons.push(oldAcv === newAcv ? 'same ACV' : 'similar ACV');
+        } else if (oldAcv === newAcv) {
+            acvScore = 0.5; // both unknown: no evidence either way
+        }
+
+        var oldClose = toDateKey(oldDeal.closingDate);
+        var newClose = toDateKey(newDeal.closingDate);
+        var closeScore = 0;
+        if (oldClose && newClose) {
+            var gap = Math.abs(daysBetweenDateKeys(oldClose, newClose));
+            closeScore = Math.max(0, 1 - gap / CLOSE_DATE_WINDOW_DAYS);
+            if (gap === 0) reasons.push('same close date');
+            else if (closeScore >= 0.5) reasons.push('close date within ' + gap + ' days');
+        }
+
+        if (normalizeString(oldDeal.dealOwner) !== normalizeString(newDeal.dealOwner)) {
+            reasons.unshift('owner changed');
+        }
+        if (nameScore < 1) {
+            reasons.unshift('name ' + Math.round(nameScore * 100) + '% similar');
+        } else {
+            reasons.unshift('same name');
+        }
+
+        var score = MATCH_WEIGHTS.name * nameScore +
+            MATCH_WEIGHTS.stage * stageScore +
+            MATCH_WEIGHTS.acv * acvScore +
+            MATCH_WEIGHTS.closeDate * closeScore;
+
+        return { score: Math.round(score * 100) / 100, nameScore: nameScore, reasons: reasons };
+    }
+
+    function dealKeyOf(deal) {
+        return deal.dealKey || makeDealKey(deal.dealName, deal.dealOwner);
+    }
+
+    // Candidate pairs are deals only in oldDeals x deals only in newDeals.
+    // options.rejected: Set of pairKey(aliasKey, canonicalKey) to skip.
+    // Greedy one-to-one assignment, best score first. Returns
+    // [{ aliasKey, canonicalKey, oldDeal, newDeal, score, reasons }]
+    // where aliasKey is the new deal's key and canonicalKey the old one's.
+    function suggestMatches(oldDeals, newDeals, options) {
+        options = options || {};
+        var rejected = options.rejected || new Set();
+        var oldKeys = new Set(oldDeals.map(dealKeyOf));
+        var newKeys = new Set(newDeals.map(dealKeyOf));
+        var gone = oldDeals.filter(function(d) { return !newKeys.has(dealKeyOf(d)); });
+        var added = newDeals.filter(function(d) { return !oldKeys.has(dealKeyOf(d)); });
+
+        var candidates = [];
+        for (var i = 0; i < added.length; i++) {
+            for (var j = 0; j < gone.length; j++) {
+                var aliasKey = dealKeyOf(added[i]);
+                var canonicalKey = dealKeyOf(gone[j]);
+                if (rejected.has(pairKey(aliasKey, canonicalKey))) continue;
+                var match = scoreMatch(gone[j], added[i]);
+                if (match.nameScore < MIN_NAME_SIMILARITY || match.score < MIN_MATCH_SCORE) continue;
+                candidates.push({
+                    aliasKey: aliasKey,
+                    canonicalKey: canonicalKey,
+                    oldDeal: gone[j],
+                    newDeal: added[i],
+                    score: match.score,
+                    reasons: match.reasons
+                });
+            }
+        }
+
+        candidates.sort(function(a, b) { return b.score - a.score; });
+        var usedOld = new Set();
+        var usedNew = new Set();
+        var suggestions = [];
+        for (var k = 0; k < candidates.length; k++) {
+            var c = candidates[k];
+            if (usedOld.has(c.canonicalKey) || usedNew.has(c.aliasKey)) continue;
+            usedOld.add(c.canonicalKey);
+            usedNew.add(c.aliasKey);
+            suggestions.push(c);
+        }
+        return suggestions;
+    }
+
+    // ==================== Aliases ====================
+
+    function pairKey(aliasKey, canonicalKey) {
+        return aliasKey + '=>' + canonicalKey;
+    }
+
+    // links: [{ aliasKey, canonicalKey, status: 'confirmed' | 'rejected' }]
+    // Returns { aliases: { aliasKey: canonicalKey }, rejected: Set<pairKey> }
+    function buildAliasIndex(links) {
+        var aliases = {};
+        var rejected = new Set();
+        for (var i = 0; i < (links || []).length; i++) {
+            var link = links[i];
+            if (!link.aliasKey || !link.canonicalKey) continue;
+            if (link.status === 'rejected') rejected.add(pairKey(link.aliasKey, link.canonicalKey));
+            else aliases[link.aliasKey] = link.canonicalKey;
+        }
+        return { aliases: aliases, rejected: rejected };
+    }
+
+    // Every stored key that resolves to one of the given canonical keys, for
+    // querying rows saved before the alias was confirmed
+    function expandDealKeys(keys, aliases) {
+        var wanted = new Set(keys);
+        var out = new Set(keys);
+        for (var alias in aliases) {
+            if (wanted.has(resolveDealKey(alias, aliases))) out.add(alias);
+        }
+        return Array.from(out);
+    }
+
+    // ==================== Exports ====================
+    exports.MATCH_WEIGHTS = MATCH_WEIGHTS;
+    exports.MIN_MATCH_SCORE = MIN_MATCH_SCORE;
+    exports.nameSimilarity = nameSimilarity;
+    exports.scoreMatch = scoreMatch;
+    exports.suggestMatches = suggestMatches;
+    exports.pairKey = pairKey;
+    exports.buildAliasIndex = buildAliasIndex;
+    exports.expandDealKeys = expandDealKeys;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealIdentity = {}));
@@ -1,35 +1,146 @@
 // DealUpdates - Web Worker for CSV ingest pipeline
 // Offloads parsing, processing, validation, and deduplication from the main thread.
+// Accepts delimited text (comma, tab or semicolon; UTF-8, UTF-16 or
+// Windows-1252) and .xlsx workbooks; every format feeds the same row reader.
 'use strict';
 
-importScripts('domain.js', 'ingest.js');
+importScripts('dates.js', 'domain.js', 'history.js', 'ingest.js', 'xlsx.js');
 
-const { parseCSV, processRow, validateRow, deduplicateDeals } = self.DealIngest;
+const { createCSVStreamParser, createCSVRowReader, checkRow, createIngestReport, recordRowCheck,
+    detectDelimiter, detectEncoding, resolveDateFormats, parseGeneratedDate, dateFormatNotices,
+    DATE_SAMPLE_ROWS, deduplicateDeals } = self.DealIngest;
+const { isZip, openWorkbook, defaultSheet, readSheetRows } = self.DealXlsx;
+const { toDateKey } = self.DealHistory;
+
+// Bytes sniffed for the encoding, delimiter and zip signature
+const SNIFF_BYTES = 1024 * 1024;
+
+function formatMB(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+// Reads the file with File.stream() and feeds decoded text to the parser one
+// chunk at a time, so the full export is never held as a single string.
+// Progress is reported in bytes read, at most once per percent.
+async function streamFile(file, parser, encoding) {
+    const reader = file.stream().getReader();
+    const decoder = new TextDecoder(encoding);
+    const totalBytes = file.size;
+    let bytesRead = 0;
+    let reportedPercent = -1;
 
-self.onmessage = async function(e) {
     try {
-        const { csvText, existingDeals } = e.data;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            bytesRead += value.byteLength;
+            parser.push(decoder.decode(value, { stream: true }));
 
-        // Phase 1: Parse CSV
-        postMessage({ type: 'progress', phase: 'Parsing CSV...' });
-        const { rows: rawRows, generatedDate } = parseCSV(csvText);
+            const percent = totalBytes ? Math.floor((bytesRead / totalBytes) * 100) : 100;
+            if (percent !== reportedPercent) {
+                reportedPercent = percent;
+                postMessage({
+                    type: 'progress',
+                    phase: `Reading file... ${formatMB(bytesRead)} of ${formatMB(totalBytes)} MB (${percent}%)`,
+                    bytesRead,
+                    totalBytes
+                });
+            }
+        }
+        parser.push(decoder.decode());
+    } catch (err) {
+        reader.cancel().catch(() => {});
+        throw err;
+    }
+}
 
-        // Phase 2: Process + validate rows with progress
+self.onmessage = async function(e) {
+    try {
+        const { file, sheet, existingDeals, fxRates, columnMapping, mappingProfiles, aliases, dateFormats, timeZone } = e.data;
+
+        // Phase 1: Stream-parse the file, processing + validating rows as they arrive
+        postMessage({ type: 'progress', phase: 'Reading file...' });
         const processed = [];
-        for (let i = 0; i < rawRows.length; i++) {
-            const deal = processRow(rawRows[i]);
-            if (deal !== null && validateRow(deal)) {
-                processed.push(deal);
+        const report = createIngestReport();
+
+        // The first DATE_SAMPLE_ROWS data rows are held back until the date
+        // formats are settled from them; later rows are processed on arrival
+        let sample = [];
+        let dates = null;
+        let rowMapping = null;
+
+        function processDataRow({ row, info }) {
+            const result = checkRow(row, { fxRates, columnMapping: rowMapping, aliases, dateFormats: dates.formats, timeZone }, info);
+            recordRowCheck(report, result, row, info.rowNumber);
+            if (result.deal) {
+                processed.push(result.deal);
             }
-            if ((i + 1) % 200 === 0 || i === rawRows.length - 1) {
-                postMessage({
-                    type: 'progress',
-                    phase: `Processing rows... ${i + 1}/${rawRows.length}`
+        }
+
+        function flushSample() {
+            if (dates) return;
+            dates = resolveDateFormats(sample.map(s => s.row), rowMapping, dateFormats);
+            sample.forEach(processDataRow);
+            sample = null;
+        }
+
+        const rowReader = createCSVRowReader({
+            columnMapping,
+            mappingProfiles,
+            onRow(row, mapping, info) {
+                rowMapping = mapping;
+                if (dates) {
+                    processDataRow({ row, info });
+                    return;
+                }
+                sample.push({ row, info });
+                if (sample.length >= DATE_SAMPLE_ROWS) flushSample();
+            }
+        });
+
+        let parsed;
+        let format;
+        try {
+            const head = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+            if (isZip(head)) {
+                postMessage({ type: 'progress', phase: 'Opening workbook...' });
+                const workbook = await openWorkbook(new Uint8Array(await file.arrayBuffer()));
+                const sheetName = sheet || defaultSheet(workbook);
+                if (!sheetName) {
+                    // Several sheets — let the user pick one on the main thread
+                    postMessage({ type: 'sheetRequired', sheets: workbook.sheets.map(s => s.name) });
+                    return;
+                }
+                await readSheetRows(workbook, sheetName, rowReader.addRow, fraction => {
+                    postMessage({ type: 'progress', phase: `Reading sheet "${sheetName}"... ${Math.floor(fraction * 100)}%` });
                 });
+                format = { type: 'xlsx', sheet: sheetName };
+            } else {
+                const encoding = detectEncoding(head, file.size > head.length);
+                const delimiter = detectDelimiter(new TextDecoder(encoding).decode(head));
+                const parser = createCSVStreamParser(rowReader.addRow, delimiter);
+                await streamFile(file, parser, encoding);
+                parser.end();
+                format = { type: 'delimited', delimiter, encoding };
             }
+            parsed = rowReader.finish();
+            flushSample();
+        } catch (err) {
+            if (err.code !== 'MAPPING_REQUIRED') throw err;
+            // Headers not recognised — hand back to the main thread for the mapping wizard
+            postMessage({
+                type: 'mappingRequired',
+                headers: err.headers,
+                samples: err.samples,
+                signature: err.signature
+            });
+            return;
         }
+        const generatedDate = parseGeneratedDate(parsed.generatedText, dates.formats);
+        report.dateFormats = dates.formats;
+        report.notices = dateFormatNotices(dates.detection);
 
-        // Phase 3: Deduplicate and compute hashes (no AI in worker)
+        // Phase 2: Deduplicate and compute hashes (no AI in worker)
         postMessage({ type: 'progress', phase: `Deduplicating ${processed.length} deals...` });
         const deduped = await deduplicateDeals(processed, existingDeals || [], async () => null);
 
@@ -37,7 +148,10 @@ self.onmessage = async function(e) {
         postMessage({
             type: 'complete',
             deals: deduped,
-            generatedDate: generatedDate ? generatedDate.toISOString() : null
+            generatedDate: toDateKey(generatedDate),
+            mappingProfile: parsed.mappingProfile,
+            format,
+            report
         });
     } catch (err) {
         postMessage({ type: 'error', message: err.message });
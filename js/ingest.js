@@ -8,10 +8,15 @@
     const DealDomain = typeof require !== 'undefined'
         ? require('./domain.js')
         : self.DealDomain;
+    const DealDates = typeof require !== 'undefined'
+        ? require('./dates.js')
+        : self.DealDates;
 
-    const { parseACV, parseDate, calculateDaysSince, getUrgencyLevel,
-            calculateDaysUntilClosing, getClosingStatus, makeDealKey,
-            buildNotesCanonical, sha256Hex } = DealDomain;
+    const { parseACV, parseDate, parseTimestamp, calculateDaysSince, getUrgencyLevel,
+            calculateDaysUntilClosing, getClosingStatus, makeDealKey, resolveDealKey,
+            buildNotesCanonical, buildNotesTimeline, sha256Hex, convertToReporting,
+            REPORTING_CURRENCY, DEFAULT_REPORTING_TIME_ZONE } = DealDomain;
+    const { detectDateFormat, findDateInText, toCalendarDate, formatLabel, DEFAULT_NUMERIC_ORDER } = DealDates;
 
     // ==================== Configuration ====================
     const COLUMN_MAPPINGS = {
@@ -25,6 +30,31 @@
         'Description': 'description'
     };
 
+    // Internal fields a CRM column can be assigned to in the mapping wizard
+    const INTERNAL_FIELDS = [
+        { id: 'dealOwner', label: 'Deal Owner', required: true },
+        { id: 'dealName', label: 'Deal Name', required: true },
+        { id: 'stage', label: 'Stage' },
+        { id: 'acv', label: 'Annual Contract Value' },
+        { id: 'closingDate', label: 'Closing Date' },
+        { id: 'modifiedDate', label: 'Modified Time (Notes)' },
+        { id: 'noteContent', label: 'Note Content' },
+        { id: 'description', label: 'Description' }
+    ];
+
+    // Header names other CRMs use for the same fields (lowercase), used to
+    // pre-fill the mapping wizard
+    const FIELD_ALIASES = {
+        dealOwner: ['deal owner', 'owner', 'opportunity owner', 'account owner', 'sales rep', 'assigned to'],
+        dealName: ['deal name', 'deal', 'opportunity name', 'opportunity', 'deal title', 'name'],
+        stage: ['stage', 'deal stage', 'sales stage', 'pipeline stage'],
+        acv: ['annual contract value', 'acv', 'amount', 'deal value', 'value', 'arr'],
+        closingDate: ['closing date', 'close date', 'expected close date', 'expected close'],
+        modifiedDate: ['modified time (notes)', 'last modified', 'modified date', 'last activity date', 'note date', 'updated at'],
+        noteContent: ['note content', 'notes', 'note', 'comments'],
+        description: ['description', 'details']
+    };
+
     // ==================== Helpers ====================
     function stripHTML(html) {
         if (!html) return '';
@@ -35,95 +65,235 @@
         return html.replace(/<[^>]*>/g, '');
     }
 
-    function formatCurrency(value) {
+    function formatCurrency(value, currency) {
         return new Intl.NumberFormat('en-CA', {
             style: 'currency',
-            currency: 'CAD',
+            currency: currency || REPORTING_CURRENCY,
             minimumFractionDigits: 0,
             maximumFractionDigits: 0
         }).format(value);
     }
 
+    // ==================== Column Mapping ====================
+    // Order-independent fingerprint of a header row, used to recognise exports
+    // from the same CRM and pick their saved mapping profile.
+    function headerSignature(headers) {
+        const names = headers.map(h => (h || '').trim().toLowerCase()).filter(Boolean);
+        return [...new Set(names)].sort().join('|');
+    }
+
+    function hasRequiredColumns(row, columnMapping) {
+        for (const field of INTERNAL_FIELDS) {
+            if (!field.required) continue;
+            const csvCol = Object.keys(columnMapping).find(col => columnMapping[col] === field.id);
+            if (!csvCol || !row.includes(csvCol)) return false;
+        }
+        return true;
+    }
+
+    function findMappingProfile(headers, profiles) {
+        if (!profiles || profiles.length === 0) return null;
+        const signature = headerSignature(headers);
+        return profiles.find(p => p.signature === signature) || null;
+    }
+
+    // Best-guess { header: fieldId } for headers that match a known alias
+    function suggestColumnMapping(headers) {
+        const mapping = {};
+        const assigned = new Set();
+        for (const header of headers) {
+            const name = (header || '').trim().toLowerCase();
+            if (!name) continue;
+            for (const field of INTERNAL_FIELDS) {
+                if (assigned.has(field.id)) continue;
+                if (FIELD_ALIASES[field.id].includes(name)) {
+                    mapping[header] = field.id;
+                    assigned.add(field.id);
+                    break;
+                }
+            }
+        }
+        return mapping;
+    }
+
+    function mappingRequiredError(allRows, headerSearchLimit) {
+        // The header row is most likely the first row with several non-empty cells
+        let candidateIndex = -1;
+        for (let i = 0; i < headerSearchLimit; i++) {
+            const row = allRows[i];
+            if (/generated\s+by/i.test(row.join(' '))) continue;
+            if (row.filter(v => v && v.trim()).length >= 2) {
+                candidateIndex = i;
+                break;
+            }
+        }
+
+        const err = new Error('Could not find header row. Looking for "Deal Owner" and "Deal Name" columns.');
+        err.code = 'MAPPING_REQUIRED';
+        err.headers = candidateIndex === -1 ? [] : allRows[candidateIndex];
+        err.samples = candidateIndex === -1 ? [] : allRows.slice(candidateIndex + 1, candidateIndex + 4);
+        err.signature = headerSignature(err.headers);
+        return err;
+    }
+
     // ==================== CSV Parsing ====================
-    function parseCSV(text) {
+    // options.columnMapping: { csvHeader: internalField }, defaults to COLUMN_MAPPINGS
+    // options.mappingProfiles: [{ name, signature, mapping }] tried when the
+    //   mapping's required headers are not found
+    // Throws an error with code 'MAPPING_REQUIRED' (plus headers/samples) when
+    // no header row can be matched, so the caller can ask the user.
+    // options.delimiter: ',', '\t' or ';' (detected from the text when omitted)
+    // options.dateFormats: { closingDate, modifiedDate } ('auto' or omitted:
+    //   detected from the column's values); the formats in effect are returned
+    //   as dateFormats, with the detection details as dateDetection
+    function parseCSV(text, options) {
         // Remove BOM if present
         if (text.charCodeAt(0) === 0xFEFF) {
             text = text.slice(1);
         }
 
-        // Parse all rows handling multiline quoted fields
-        const allRows = parseCSVText(text);
+        const delimiter = (options && options.delimiter) || detectDelimiter(text);
+        const reader = createCSVRowReader(options);
+        const parser = createCSVStreamParser(reader.addRow, delimiter);
+        parser.push(text);
+        parser.end();
+        const parsed = reader.finish();
+        const dates = resolveDateFormats(parsed.rows, parsed.columnMapping, options && options.dateFormats);
+        return {
+            ...parsed,
+            generatedDate: parseGeneratedDate(parsed.generatedText, dates.formats),
+            delimiter,
+            dateFormats: dates.formats,
+            dateDetection: dates.detection
+        };
+    }
 
-        console.log('Total rows parsed:', allRows.length);
-        console.log('First 3 rows:', allRows.slice(0, 3));
+    // ==================== Format Detection ====================
+    const DELIMITERS = [',', '\t', ';'];
+    const DELIMITER_SAMPLE_LENGTH = 65536;
+    const DELIMITER_SAMPLE_ROWS = 50;
+
+    // Picks the delimiter that splits the most sample rows into the same
+    // number (> 1) of fields, so preamble lines ("Generated by ...") and
+    // commas inside note text don't sway it. Ties go to the comma.
+    function detectDelimiter(text) {
+        const sample = text.slice(0, DELIMITER_SAMPLE_LENGTH);
+        let best = ',';
+        let bestScore = 0;
+        for (const delimiter of DELIMITERS) {
+            const counts = new Map();
+            let rowCount = 0;
+            const parser = createCSVStreamParser(row => {
+                if (rowCount++ >= DELIMITER_SAMPLE_ROWS || row.length < 2) return;
+                counts.set(row.length, (counts.get(row.length) || 0) + 1);
+            }, delimiter);
+            parser.push(sample);
+            parser.end();
+
+            let score = 0;
+            counts.forEach(count => { score = Math.max(score, count); });
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
 
-        if (allRows.length === 0) {
-            throw new Error('No data found in CSV file.');
+    // Text encoding of an export from its bytes (Uint8Array): a BOM wins;
+    // otherwise UTF-8 if the bytes are valid UTF-8, else Windows-1252 (what
+    // Excel and older CRMs write for "CSV" on Windows). Pass partial = true
+    // when bytes are only the start of the file.
+    function detectEncoding(bytes, partial) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        try {
+            // stream: a multi-byte character cut off at the end of a partial sample isn't an error
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: !!partial });
+            return 'utf-8';
+        } catch (e) {
+            return 'windows-1252';
         }
+    }
+
+    // Whole-file bytes -> { text, encoding }
+    function decodeBytes(bytes) {
+        const encoding = detectEncoding(bytes);
+        return { text: new TextDecoder(encoding).decode(bytes), encoding };
+    }
 
-        // Find header row and extract "Generated by" date
+    // Header detection and row-to-object conversion, fed one parsed row at a
+    // time so the worker can run it over a streamed file. Takes the same
+    // options as parseCSV, plus options.onRow(row, columnMapping, info): when
+    // given, each data row object is handed to it (with the mapping in effect)
+    // instead of being collected in `rows`. info is { rowNumber, columnCount,
+    // expectedColumns }; rowNumber is the 1-based record number in the file,
+    // counting the header and any rows above it (a multi-line cell counts once).
+    // finish() returns { rows, generatedText, headers, columnMapping, mappingProfile };
+    // generatedText is the "Generated by" line, if any, for parseGeneratedDate.
+    function createCSVRowReader(options) {
+        const requestedMapping = (options && options.columnMapping) || COLUMN_MAPPINGS;
+        const mappingProfiles = (options && options.mappingProfiles) || [];
+        const onRow = options && options.onRow;
+        const headerSearchLimit = 20;
+
+        const leadingRows = []; // rows up to the header, for mappingRequiredError
+        const rows = [];
+        let rowCount = 0;
+        let dataRowCount = 0;
         let headerRowIndex = -1;
         let headers = [];
-        let generatedDate = null;
-
-        for (let i = 0; i < Math.min(allRows.length, 20); i++) {
-            const row = allRows[i];
-
-            // Check for "Generated by" row before finding header
-            if (headerRowIndex === -1) {
-                const joinedRow = row.join(' ').trim();
-                if (/generated\s+by/i.test(joinedRow)) {
-                    // Try to extract a date from this row
-                    // Match patterns: 2/10/2026, 2026-02-10, Feb 10 2026, February 10, 2026, etc.
-                    const datePatterns = [
-                        /(\d{4}[-\/]\d{1,2}[-\/]\d{1,2})/,
-                        /(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})/,
-                        /(\w+\s+\d{1,2},?\s+\d{4})/,
-                        /(\d{1,2}\s+\w+\s+\d{4})/
-                    ];
-                    for (const pattern of datePatterns) {
-                        const match = joinedRow.match(pattern);
-                        if (match) {
-                            const parsed = new Date(match[1]);
-                            if (!isNaN(parsed.getTime())) {
-                                generatedDate = parsed;
-                                console.log('Extracted "Generated by" date:', generatedDate);
-                                break;
-                            }
-                        }
-                    }
-                    if (!generatedDate) {
-                        console.warn('Found "Generated by" row but could not parse date:', joinedRow);
-                    }
-                }
+        let generatedText = null;
+        let columnMapping = requestedMapping;
+        let mappingProfile = null;
+
+        function detectHeader(row, i) {
+            // Keep the "Generated by" row; its date is read once the data
+            // rows have shown which day/month order the export uses
+            const joinedRow = row.join(' ').trim();
+            if (!generatedText && /generated\s+by/i.test(joinedRow)) {
+                generatedText = joinedRow;
             }
 
-            if (row.includes('Deal Owner') && row.includes('Deal Name')) {
+            if (hasRequiredColumns(row, requestedMapping)) {
                 headerRowIndex = i;
                 headers = row;
                 console.log('Found header at row', i, ':', headers);
-                break;
+                return;
             }
-        }
 
-        if (headerRowIndex === -1) {
-            throw new Error('Could not find header row. Looking for "Deal Owner" and "Deal Name" columns.');
+            const profile = findMappingProfile(row, mappingProfiles);
+            if (profile) {
+                headerRowIndex = i;
+                headers = row;
+                columnMapping = profile.mapping;
+                mappingProfile = profile.name;
+                console.log('Found header at row', i, 'matching mapping profile', profile.name);
+            }
         }
 
-        const expectedColumns = headers.length;
-        console.log('Expected columns:', expectedColumns);
+        function addRow(values) {
+            const i = rowCount++;
 
-        // Convert data rows to objects
-        const rows = [];
-        for (let i = headerRowIndex + 1; i < allRows.length; i++) {
-            const values = allRows[i];
+            if (headerRowIndex === -1) {
+                leadingRows.push(values);
+                detectHeader(values, i);
+                if (headerRowIndex === -1 && leadingRows.length >= headerSearchLimit) {
+                    throw mappingRequiredError(leadingRows, headerSearchLimit);
+                }
+                if (headerRowIndex !== -1) {
+                    console.log('Expected columns:', headers.length);
+                }
+                return;
+            }
 
             // Skip completely empty rows
-            if (values.length === 0 || (values.length === 1 && !values[0])) continue;
+            if (values.length === 0 || (values.length === 1 && !values[0])) return;
 
             // Log rows with unexpected column counts
-            if (values.length !== expectedColumns) {
-                console.log('Row', i, 'has', values.length, 'columns (expected', expectedColumns, '):', values[0]);
+            if (values.length !== headers.length) {
+                console.log('Row', i, 'has', values.length, 'columns (expected', headers.length, '):', values[0]);
             }
 
             // Convert to object
@@ -131,134 +301,417 @@
             headers.forEach((header, index) => {
                 row[header] = values[index] || '';
             });
-            rows.push(row);
+            dataRowCount++;
+            if (onRow) {
+                onRow(row, columnMapping, { rowNumber: i + 1, columnCount: values.length, expectedColumns: headers.length });
+            } else {
+                rows.push(row);
+            }
+        }
+
+        function finish() {
+            console.log('Total rows parsed:', rowCount);
+
+            if (rowCount === 0) {
+                throw new Error('No data found in CSV file.');
+            }
+            if (headerRowIndex === -1) {
+                throw mappingRequiredError(leadingRows, leadingRows.length);
+            }
+
+            console.log('Total data rows:', dataRowCount);
+            return { rows, generatedText, headers, columnMapping, mappingProfile };
         }
 
-        console.log('Total data rows:', rows.length);
-        return { rows, generatedDate };
+        return { addRow, finish };
     }
 
-    // Parse entire CSV text, properly handling multiline quoted fields
-    function parseCSVText(text) {
-        const rows = [];
+    // Chunked CSV tokenizer. Quoting rules: a '"' outside quotes opens a
+    // quoted run (even mid-field), '""' inside quotes is a literal quote, and
+    // newlines inside quotes are part of the field; \r\n, \r or \n end a row
+    // outside quotes. Chunks may split anywhere, including between the two
+    // characters of '""' or '\r\n'. Plain runs are copied with slice() rather
+    // than one character at a time. onRow(values) receives each finished row;
+    // end() flushes the last one. delimiter defaults to ','.
+    function createCSVStreamParser(onRow, delimiter) {
+        const separator = delimiter || ',';
+        const delimiters = new RegExp('["\\r\\n' + separator.replace(/[\\\]^-]/g, '\\$&') + ']', 'g');
         let currentRow = [];
         let currentField = '';
         let inQuotes = false;
+        let pendingQuote = false; // previous chunk ended on a '"' inside quotes
+        let pendingCR = false;    // previous chunk ended on a row-ending '\r'
 
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            const nextChar = text[i + 1];
+        function endField() {
+            currentRow.push(currentField);
+            currentField = '';
+        }
 
-            if (inQuotes) {
-                // Inside a quoted field
-                if (char === '"') {
-                    if (nextChar === '"') {
-                        // Escaped quote ("") - add single quote and skip next
+        function endRow() {
+            endField();
+            const row = currentRow;
+            currentRow = [];
+            onRow(row);
+        }
+
+        function push(chunk) {
+            const length = chunk.length;
+            if (length === 0) return;
+            let i = 0;
+
+            if (pendingQuote) {
+                pendingQuote = false;
+                if (chunk[0] === '"') {
+                    // Escaped quote ("") split across chunks
+                    currentField += '"';
+                    i = 1;
+                } else {
+                    inQuotes = false;
+                }
+            } else if (pendingCR) {
+                pendingCR = false;
+                if (chunk[0] === '\n') i = 1;
+            }
+
+            while (i < length) {
+                if (inQuotes) {
+                    // Everything up to the next quote (including newlines) is part of the field
+                    const quote = chunk.indexOf('"', i);
+                    if (quote === -1) {
+                        currentField += chunk.slice(i);
+                        break;
+                    }
+                    currentField += chunk.slice(i, quote);
+                    if (quote + 1 === length) {
+                        pendingQuote = true;
+                        break;
+                    }
+                    if (chunk[quote + 1] === '"') {
                         currentField += '"';
-                        i++;
+                        i = quote + 2;
                     } else {
                         // End of quoted field
                         inQuotes = false;
+                        i = quote + 1;
                     }
-                } else {
-                    // Any character inside quotes (including newlines) is part of the field
-                    currentField += char;
+                    continue;
                 }
-            } else {
-                // Outside quotes
+
+                delimiters.lastIndex = i;
+                const match = delimiters.exec(chunk);
+                if (!match) {
+                    currentField += chunk.slice(i);
+                    break;
+                }
+                currentField += chunk.slice(i, match.index);
+                const char = match[0];
+                i = match.index + 1;
+
                 if (char === '"') {
                     // Start of quoted field
                     inQuotes = true;
-                } else if (char === ',') {
-                    // Field separator - end current field
-                    currentRow.push(currentField);
-                    currentField = '';
-                } else if (char === '\r') {
-                    // Carriage return - check for Windows line ending
-                    if (nextChar === '\n') {
-                        i++; // Skip the \n
-                    }
-                    // End of row
-                    currentRow.push(currentField);
-                    rows.push(currentRow);
-                    currentRow = [];
-                    currentField = '';
-                } else if (char === '\n') {
-                    // Unix line ending - end of row
-                    currentRow.push(currentField);
-                    rows.push(currentRow);
-                    currentRow = [];
-                    currentField = '';
+                } else if (char === separator) {
+                    endField();
                 } else {
-                    // Regular character
-                    currentField += char;
+                    // \r, \r\n or \n - end of row
+                    if (char === '\r') {
+                        if (i === length) pendingCR = true;
+                        else if (chunk[i] === '\n') i++;
+                    }
+                    endRow();
                 }
             }
         }
 
-        // Don't forget the last field and row
-        if (currentField || currentRow.length > 0) {
-            currentRow.push(currentField);
-            rows.push(currentRow);
+        function end() {
+            pendingQuote = false;
+            pendingCR = false;
+            inQuotes = false;
+            // Don't forget the last field and row
+            if (currentField || currentRow.length > 0) {
+                endRow();
+            }
         }
 
+        return { push, end };
+    }
+
+    // Parse entire CSV text, properly handling multiline quoted fields
+    function parseCSVText(text, delimiter) {
+        const rows = [];
+        const parser = createCSVStreamParser(row => rows.push(row), delimiter);
+        parser.push(text);
+        parser.end();
         return rows;
     }
 
+    // ==================== Date Formats ====================
+    const DATE_FIELDS = [
+        { id: 'closingDate', label: 'Closing Date' },
+        { id: 'modifiedDate', label: 'Modified Time' }
+    ];
+    const DATE_SAMPLE_ROWS = 200; // data rows sampled to detect a column's date format
+
+    // Format per date field: the configured one, or detected from the sample
+    // rows' values when configured as 'auto' (or not at all). Returns
+    // { formats: { fieldId: format }, detection: { fieldId: { format, source:
+    // 'configured' | 'detected', ambiguous, mixed, counts } } }
+    function resolveDateFormats(rows, columnMapping, configured) {
+        const formats = {};
+        const detection = {};
+        const mapping = columnMapping || COLUMN_MAPPINGS;
+        for (const field of DATE_FIELDS) {
+            const wanted = configured && configured[field.id];
+            if (wanted && wanted !== 'auto') {
+                formats[field.id] = wanted;
+                detection[field.id] = { format: wanted, source: 'configured', ambiguous: false, mixed: false, counts: null };
+                continue;
+            }
+            const values = rows.slice(0, DATE_SAMPLE_ROWS).map(row => mappedValue(row, mapping, field.id));
+            const detected = detectDateFormat(values);
+            formats[field.id] = detected.format;
+            detection[field.id] = { ...detected, source: 'detected' };
+        }
+        return { formats, detection };
+    }
+
+    // The "Generated by" line's date, read with the day/month order of the
+    // export's own date columns. Returns a calendar date (UTC midnight) or null.
+    function parseGeneratedDate(generatedText, dateFormats) {
+        if (!generatedText) return null;
+        const numeric = DATE_FIELDS.map(f => dateFormats && dateFormats[f.id])
+            .find(format => format === 'dmy' || format === 'mdy');
+        const parsed = toCalendarDate(findDateInText(generatedText, numeric));
+        if (!parsed) {
+            console.warn('Found "Generated by" row but could not parse date:', generatedText);
+        }
+        return parsed;
+    }
+
+    // Column-level findings from resolveDateFormats' detection, for the
+    // import report: [{ code: 'date-mixed' | 'date-ambiguous', field, message }]
+    function dateFormatNotices(detection) {
+        const notices = [];
+        for (const field of DATE_FIELDS) {
+            const d = detection && detection[field.id];
+            if (!d || d.source !== 'detected') continue;
+            if (d.mixed) {
+                const found = ['iso', 'text', 'dmy', 'mdy', 'numeric']
+                    .filter(family => d.counts[family] > 0)
+                    .map(family => `${d.counts[family]} ${family === 'numeric' ? 'DD/MM or MM/DD' : formatLabel(family)}`);
+                const numericOrder = d.format === 'dmy' || d.format === 'mdy' ? d.format : DEFAULT_NUMERIC_ORDER;
+                let message = `${field.label} mixes date formats (${found.join(', ')}).`;
+                if (d.counts.dmy > 0 && d.counts.mdy > 0) {
+                    message += ` Dates that don't fit ${formatLabel(numericOrder)} are listed as unparseable.`;
+                } else if (d.counts.numeric > 0) {
+                    message += ` Dates that read either way are taken as ${formatLabel(numericOrder)}.`;
+                }
+                notices.push({ code: 'date-mixed', field: field.id, message });
+            } else if (d.ambiguous) {
+                notices.push({
+                    code: 'date-ambiguous',
+                    field: field.id,
+                    message: `${field.label} values read either way (day or month first); read as ${formatLabel(d.format)}. ` +
+                        'Set the format under Import Settings if that\'s wrong.'
+                });
+            }
+        }
+        return notices;
+    }
+
     // ==================== Data Processing ====================
+    // options.dateFormats: { closingDate, modifiedDate } formats for parseDate
+    // (resolveDateFormats); missing fields are read as 'auto'
+    // options.timeZone: reporting time zone for modified times written without
+    // one and for counting days (default DEFAULT_REPORTING_TIME_ZONE)
     function processRow(row, options) {
         const deal = {};
         const referenceDate = (options && options.referenceDate) || undefined;
+        const timeZone = (options && options.timeZone) || DEFAULT_REPORTING_TIME_ZONE;
+        const columnMapping = (options && options.columnMapping) || COLUMN_MAPPINGS;
 
-        // Map columns
-        for (const [csvCol, internalField] of Object.entries(COLUMN_MAPPINGS)) {
-            deal[internalField] = row[csvCol] || '';
+        // Map columns (every internal field exists even if the export lacks it)
+        for (const field of INTERNAL_FIELDS) {
+            deal[field.id] = '';
+        }
+        for (const [csvCol, internalField] of Object.entries(columnMapping)) {
+            if (internalField) deal[internalField] = row[csvCol] || '';
         }
 
-        // Parse ACV - only keep CAD values
+        // Parse ACV and convert to the reporting currency
         const acvResult = parseACV(deal.acv);
-        if (!acvResult.isCAD) {
-            return null; // Skip non-CAD values
+        const converted = convertToReporting(acvResult.value, acvResult.currency, options && options.fxRates);
+        if (!converted) {
+            return null; // No exchange rate for this currency
         }
-        deal.acv = acvResult.value;
-        deal.acvFormatted = formatCurrency(acvResult.value);
-
-        // Parse and format dates
-        deal.closingDate = parseDate(deal.closingDate);
-        deal.modifiedDate = parseDate(deal.modifiedDate);
+        deal.currency = acvResult.currency;
+        deal.acvOriginal = acvResult.value;
+        deal.fxRate = converted.rate;
+        deal.acv = converted.value;
+        deal.acvFormatted = formatCurrency(converted.value);
+
+        // Parse dates: the closing date is a calendar day, the modified time
+        // keeps its time of day
+        const dateFormats = (options && options.dateFormats) || {};
+        deal.closingDate = parseDate(deal.closingDate, dateFormats.closingDate);
+        deal.modifiedDate = parseTimestamp(deal.modifiedDate, dateFormats.modifiedDate, timeZone);
 
         // Calculate days since
-        deal.daysSince = calculateDaysSince(deal.modifiedDate, referenceDate);
+        deal.daysSince = calculateDaysSince(deal.modifiedDate, referenceDate, timeZone);
         deal.urgency = getUrgencyLevel(deal.daysSince);
 
         // Closing date awareness
-        deal.daysUntilClosing = calculateDaysUntilClosing(deal.closingDate, referenceDate);
+        deal.daysUntilClosing = calculateDaysUntilClosing(deal.closingDate, referenceDate, timeZone);
         deal.closingStatus = getClosingStatus(deal.daysUntilClosing);
 
         // Strip HTML from notes
         deal.noteContent = stripHTML(deal.noteContent);
 
-        // Canonical identity key
-        deal.dealKey = makeDealKey(deal.dealName, deal.dealOwner);
+        // Canonical identity key, resolved through confirmed aliases
+        deal.dealKey = resolveDealKey(makeDealKey(deal.dealName, deal.dealOwner), options && options.aliases);
 
         return deal;
     }
 
     function validateRow(deal) {
         if (!deal) return false;
+        return rejectionReason(deal) === null;
+    }
 
+    // Why validateRow drops a processed deal: { code, message }, or null if valid
+    function rejectionReason(deal) {
         // Check Deal Owner format - should be a name, not a sentence
         const owner = deal.dealOwner || '';
-        if (!owner || owner.length > 100 || owner.split(' ').length > 5) {
-            return false;
+        if (!owner) {
+            return rowIssue('owner-missing', 'Deal owner is empty');
+        }
+        if (owner.length > 100 || owner.split(' ').length > 5) {
+            return rowIssue('owner-not-person', 'Deal owner "' + truncateValue(owner, 60) + '" is not a person\'s name');
         }
 
         // Check Deal Name exists
         if (!deal.dealName || deal.dealName.trim().length === 0) {
-            return false;
+            return rowIssue('name-missing', 'Deal name is empty');
         }
 
-        return true;
+        return null;
+    }
+
+    // ==================== Rejection Report ====================
+    // Every row dropped at import, and every kept row with a data problem, is
+    // listed with its row number, reasons and raw values so it can be fixed in
+    // the CRM. Codes are stable (stored with the upload); labels are for display.
+    const ROW_ISSUES = {
+        'no-fx-rate':       { label: 'No exchange rate for currency', rejects: true },
+        'owner-missing':    { label: 'Deal owner empty',              rejects: true },
+        'owner-not-person': { label: 'Deal owner not a person',       rejects: true },
+        'name-missing':     { label: 'Deal name empty',               rejects: true },
+        'unparseable-date': { label: 'Unparseable date',              rejects: false },
+        'column-count':     { label: 'Column count mismatch',         rejects: false }
+    };
+    const MAX_REPORT_ENTRIES = 2000;      // counts keep going past this
+    const MAX_REPORT_VALUE_LENGTH = 300;  // raw values are truncated in the report
+
+    function rowIssue(code, message) {
+        return { code, message };
+    }
+
+    function truncateValue(value, maxLength) {
+        const str = value == null ? '' : String(value);
+        return str.length > maxLength ? str.slice(0, maxLength - 3) + '...' : str;
+    }
+
+    // Raw CSV value for an internal field under the given mapping (the last
+    // mapped column wins, as in processRow)
+    function mappedValue(row, columnMapping, fieldId) {
+        let value = '';
+        for (const [csvCol, internalField] of Object.entries(columnMapping)) {
+            if (internalField === fieldId) value = row[csvCol] || '';
+        }
+        return value;
+    }
+
+    // processRow + validateRow for one raw row, with the reasons behind the
+    // outcome. info is the row reader's { columnCount, expectedColumns }.
+    // Returns { deal (null when rejected), rejection: issue | null, warnings: [issue] }
+    function checkRow(row, options, info) {
+        const columnMapping = (options && options.columnMapping) || COLUMN_MAPPINGS;
+        const warnings = [];
+        if (info && info.columnCount !== info.expectedColumns) {
+            warnings.push(rowIssue('column-count',
+                `Row has ${info.columnCount} columns, header has ${info.expectedColumns}`));
+        }
+
+        const deal = processRow(row, options);
+        if (deal === null) {
+            const raw = mappedValue(row, columnMapping, 'acv');
+            const { currency } = parseACV(raw);
+            return {
+                deal: null,
+                rejection: rowIssue('no-fx-rate', `No exchange rate for ${currency} (ACV "${truncateValue(raw, 60)}")`),
+                warnings
+            };
+        }
+
+        const rejection = rejectionReason(deal);
+        if (rejection) {
+            return { deal: null, rejection, warnings };
+        }
+
+        const dateFormats = (options && options.dateFormats) || {};
+        for (const field of DATE_FIELDS) {
+            const raw = mappedValue(row, columnMapping, field.id).trim();
+            if (raw && !deal[field.id]) {
+                const format = dateFormats[field.id];
+                const as = format && format !== 'auto' ? ` as ${formatLabel(format)}` : '';
+                warnings.push(rowIssue('unparseable-date', `${field.label} "${truncateValue(raw, 60)}" could not be parsed${as}`));
+            }
+        }
+
+        return { deal, rejection: null, warnings };
+    }
+
+    function createIngestReport() {
+        return {
+            totalRows: 0,
+            acceptedRows: 0,
+            rejectedRows: 0,
+            warningRows: 0,
+            issueCounts: {},   // { code: rows with that issue }
+            entries: [],       // [{ rowNumber, status: 'rejected' | 'warning', issues, values }]
+            truncated: false,  // more entries than MAX_REPORT_ENTRIES
+            dateFormats: {},   // { fieldId: format } used for the date columns
+            notices: []        // column-level findings (dateFormatNotices)
+        };
+    }
+
+    // Adds one checkRow result to the report
+    function recordRowCheck(report, result, row, rowNumber) {
+        report.totalRows++;
+        if (result.deal) report.acceptedRows++;
+
+        const issues = result.rejection ? [result.rejection, ...result.warnings] : result.warnings;
+        if (issues.length === 0) return;
+        if (result.rejection) report.rejectedRows++;
+        else report.warningRows++;
+        for (const issue of issues) {
+            report.issueCounts[issue.code] = (report.issueCounts[issue.code] || 0) + 1;
+        }
+
+        if (report.entries.length >= MAX_REPORT_ENTRIES) {
+            report.truncated = true;
+            return;
+        }
+        const values = {};
+        for (const [header, value] of Object.entries(row)) {
+            values[header] = truncateValue(value, MAX_REPORT_VALUE_LENGTH);
+        }
+        report.entries.push({
+            rowNumber,
+            status: result.rejection ? 'rejected' : 'warning',
+            issues,
+            values
+        });
     }
 
     function generateFallbackSummary(notes) {
@@ -286,17 +739,20 @@
     async function deduplicateDeals(deals, existingDeals = [], generateAISummaries = async () => null) {
         const dealMap = new Map();
         const notesMap = new Map();
+        const noteEntriesMap = new Map();
 
         for (const deal of deals) {
             const key = deal.dealKey;
             const existing = dealMap.get(key);
 
-            // Collect all notes for this deal
+            // Collect all notes for this deal, with each row's time and owner
             if (!notesMap.has(key)) {
                 notesMap.set(key, []);
+                noteEntriesMap.set(key, []);
             }
             if (deal.noteContent && deal.noteContent.trim()) {
                 notesMap.get(key).push(deal.noteContent.trim());
+                noteEntriesMap.get(key).push({ text: deal.noteContent, at: deal.modifiedDate, author: deal.dealOwner });
             }
 
             if (!existing) {
@@ -322,6 +778,7 @@
             deal.notesCanonical = canonical;
             deal.notesCount = count;
             deal.notesHash = await sha256Hex(canonical);
+            deal.notes = await buildNotesTimeline(noteEntriesMap.get(deal.dealKey) || []);
         }
 
         // Build lookup of existing deal data by key
@@ -456,17 +913,81 @@
         return deals;
     }
 
+    // Structured extraction (next step, blockers, ...) for each deal with
+    // notes, reusing an existing deal's when its notes haven't changed.
+    // generateAIExtractions(batch) resolves to { dealKey: extraction } or
+    // null; deals it returns nothing for keep aiExtraction null.
+    async function applyAIExtractions(deals, existingDeals = [], generateAIExtractions = async () => null) {
+        const oldDealMap = new Map();
+        for (const old of existingDeals) {
+            oldDealMap.set(old.dealKey || makeDealKey(old.dealName, old.dealOwner), old);
+        }
+
+        const dealsNeedingExtraction = [];
+        let reused = 0;
+        for (const deal of deals) {
+            const oldDeal = oldDealMap.get(deal.dealKey);
+            if (oldDeal?.aiExtraction && oldDeal.extractionHash && oldDeal.extractionHash === deal.notesHash) {
+                deal.aiExtraction = oldDeal.aiExtraction;
+                deal.extractionHash = oldDeal.extractionHash;
+                reused++;
+            } else {
+                deal.aiExtraction = null;
+                deal.extractionHash = null;
+                if (deal.notesCanonical) dealsNeedingExtraction.push(deal);
+            }
+        }
+
+        let returned = 0;
+        const BATCH_SIZE = 10;
+        for (let i = 0; i < dealsNeedingExtraction.length; i += BATCH_SIZE) {
+            const batch = dealsNeedingExtraction.slice(i, i + BATCH_SIZE);
+            const extractions = await generateAIExtractions(batch);
+            if (!extractions) continue;
+            for (const deal of batch) {
+                if (extractions[deal.dealKey]) {
+                    deal.aiExtraction = extractions[deal.dealKey];
+                    deal.extractionHash = deal.notesHash;
+                    returned++;
+                }
+            }
+        }
+
+        console.log(`Extraction stats — AI requested: ${dealsNeedingExtraction.length}, AI returned: ${returned}, reused: ${reused}`);
+
+        return deals;
+    }
+
     // ==================== Exports ====================
     exports.COLUMN_MAPPINGS = COLUMN_MAPPINGS;
+    exports.INTERNAL_FIELDS = INTERNAL_FIELDS;
+    exports.headerSignature = headerSignature;
+    exports.findMappingProfile = findMappingProfile;
+    exports.suggestColumnMapping = suggestColumnMapping;
     exports.parseCSVText = parseCSVText;
+    exports.detectDelimiter = detectDelimiter;
+    exports.detectEncoding = detectEncoding;
+    exports.decodeBytes = decodeBytes;
+    exports.createCSVStreamParser = createCSVStreamParser;
+    exports.createCSVRowReader = createCSVRowReader;
     exports.parseCSV = parseCSV;
     exports.stripHTML = stripHTML;
     exports.formatCurrency = formatCurrency;
+    exports.DATE_FIELDS = DATE_FIELDS;
+    exports.DATE_SAMPLE_ROWS = DATE_SAMPLE_ROWS;
+    exports.resolveDateFormats = resolveDateFormats;
+    exports.parseGeneratedDate = parseGeneratedDate;
+    exports.dateFormatNotices = dateFormatNotices;
     exports.processRow = processRow;
     exports.validateRow = validateRow;
+    exports.ROW_ISSUES = ROW_ISSUES;
+    exports.checkRow = checkRow;
+    exports.createIngestReport = createIngestReport;
+    exports.recordRowCheck = recordRowCheck;
     exports.generateFallbackSummary = generateFallbackSummary;
     exports.deduplicateDeals = deduplicateDeals;
     exports.applyAISummaries = applyAISummaries;
+    exports.applyAIExtractions = applyAIExtractions;
 
 })(typeof module !== 'undefined' && module.exports
     ? module.exports
@@ -4,3 +4,7 @@
 
 const SUPABASE_URL = 'https://YOUR_PROJECT.supabase.co';
 const SUPABASE_ANON_KEY = 'YOUR_ANON_KEY_HERE';
+
+// Optional: model for AI summaries and extraction, 'haiku' (default), 'sonnet'
+// or 'mock' (deterministic, no API key or network needed)
+// const SUMMARY_MODEL = 'mock';
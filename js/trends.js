@@ -0,0 +1,183 @@
+// DealUpdates - Pipeline trends across uploads
+// Summarizes each upload snapshot into compact per-owner / per-stage buckets
+// and turns a list of summaries into chart series.
+// Shared by app.js (browser) and Node.js via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Dependencies ====================
+    var DealDomain = typeof require !== 'undefined'
+        ? require('./domain.js')
+        : self.DealDomain;
+    var DealHistory = typeof require !== 'undefined'
+        ? require('./history.js')
+        : self.DealHistory;
+
+    var URGENCY_THRESHOLDS = DealDomain.URGENCY_THRESHOLDS;
+    var toDateKey = DealHistory.toDateKey;
+    var daysBetweenDateKeys = DealHistory.daysBetweenDateKeys;
+
+    // ==================== Configuration ====================
+
+    var TREND_METRICS = [
+        { id: 'acv',       label: 'Total ACV (CAD)' },
+        { id: 'count',     label: 'Deals' },
+        { id: 'avgHealth', label: 'Avg Health Score' },
+        { id: 'stale',     label: 'Stale Deals (30+ days)' },
+        { id: 'overdue',   label: 'Overdue Deals' }
+    ];
+
+    var UNKNOWN_OWNER = 'Unknown';
+    var NO_STAGE = '(No stage)';
+    var OTHER_GROUP = 'Other';
+
+    // ==================== Buckets ====================
+
+    function emptyBucket() {
+        return { acv: 0, count: 0, healthSum: 0, healthCount: 0, stale: 0, overdue: 0 };
+    }
+
+    function addToBucket(bucket, other) {
+        bucket.acv += other.acv;
+        bucket.count += other.count;
+        bucket.healthSum += other.healthSum;
+        bucket.healthCount += other.healthCount;
+        bucket.stale += other.stale;
+        bucket.overdue += other.overdue;
+        return bucket;
+    }
+
+    function metricValue(bucket, metricId) {
+        if (!bucket) return metricId === 'avgHealth' ? null : 0;
+        if (metricId === 'avgHealth') {
+            return bucket.healthCount > 0 ? Math.round(bucket.healthSum / bucket.healthCount) : null;
+        }
+        return bucket[metricId];
+    }
+
+    // ==================== Snapshot Summary ====================
+
+    // deals: [{ dealOwner, stage, acv, closingDate, modifiedDate, healthScore }]
+    // Dates may be Date objects or 'YYYY-MM-DD' strings. Stale and overdue are
+    // judged as of the upload's generated date, not today, so older snapshots
+    // show what the pipeline looked like then. timeZone: the reporting zone a
+    // modifiedDate timestamp's day is taken in.
+    function summarizeSnapshot(deals, asOfDate, timeZone) {
+        var asOf = toDateKey(asOfDate);
+        // Prototype-less maps so owner/stage names can't collide with Object members
+        var summary = { totals: emptyBucket(), byOwner: Object.create(null), byStage: Object.create(null) };
+
+        for (var i = 0; i < (deals || []).length; i++) {
+            var deal = deals[i];
+            var b = emptyBucket();
+            b.count = 1;
+            b.acv = Number(deal.acv) || 0;
+            if (deal.healthScore != null) {
+                b.healthSum = deal.healthScore;
+                b.healthCount = 1;
+            }
+            var modified = toDateKey(deal.modifiedDate, timeZone);
+            // Unknown modified dates count as stale, matching daysSince = 999
+            if (!modified || daysBetweenDateKeys(modified, asOf) > URGENCY_THRESHOLDS.warning) b.stale = 1;
+            var closing = toDateKey(deal.closingDate);
+            if (closing && asOf && closing < asOf) b.overdue = 1;
+
+            var owner = deal.dealOwner || UNKNOWN_OWNER;
+            var stage = (deal.stage || '').trim() || NO_STAGE;
+            addToBucket(summary.totals, b);
+            addToBucket(summary.byOwner[owner] || (summary.byOwner[owner] = emptyBucket()), b);
+            addToBucket(summary.byStage[stage] || (summary.byStage[stage] = emptyBucket()), b);
+        }
+
+        return summary;
+    }
+
+    // ==================== Series ====================
+
+    // Several uploads on one generated date: the latest upload wins
+    function latestPerDate(snapshots) {
+        var byDate = {};
+        for (var i = 0; i < (snapshots || []).length; i++) {
+            var s = snapshots[i];
+            var key = toDateKey(s.generatedDate);
+            if (!key) continue;
+            var existing = byDate[key];
+            if (!existing || (s.uploadedAt || '') > (existing.uploadedAt || '')) byDate[key] = s;
+        }
+        return Object.keys(byDate).sort().map(function(k) { return byDate[k]; });
+    }
+
+    // snapshots: [{ generatedDate, uploadedAt, summary }]
+    // breakdown: '' (totals), 'owner' or 'stage'. Groups beyond maxGroups
+    // (ranked by deal count over all snapshots) are merged into "Other".
+    // Returns { dates: ['YYYY-MM-DD'], series: [{ name, values }] }
+    function buildTrendSeries(snapshots, metricId, breakdown, maxGroups) {
+        var ordered = latestPerDate(snapshots);
+        var dates = ordered.map(function(s) { return toDateKey(s.generatedDate); });
+
+        if (!breakdown) {
+            return {
+                dates: dates,
+                series: [{
+                    name: 'Total',
+                    values: ordered.map(function(s) { return metricValue(s.summary.totals, metricId); })
+                }]
+            };
+        }
+
+        var field = breakdown === 'stage' ? 'byStage' : 'byOwner';
+        var groups = rankGroups(ordered, field);
+        var limit = maxGroups || 8;
+        var shown = groups.length > limit ? groups.slice(0, limit - 1) : groups;
+        var hasOther = groups.length > shown.length;
+
+        var series = shown.map(function(name) {
+            return {
+                name: name,
+                values: ordered.map(function(s) { return metricValue(groupBucket(s.summary[field], name), metricId); })
+            };
+        });
+        if (hasOther) {
+            series.push({
+                name: OTHER_GROUP,
+                values: ordered.map(function(s) {
+                    var merged = emptyBucket();
+                    var buckets = s.summary[field];
+                    for (var name in buckets) {
+                        if (shown.indexOf(name) === -1) addToBucket(merged, buckets[name]);
+                    }
+                    return metricValue(merged, metricId);
+                })
+            });
+        }
+        return { dates: dates, series: series };
+    }
+
+    function groupBucket(buckets, name) {
+        return buckets && Object.prototype.hasOwnProperty.call(buckets, name) ? buckets[name] : null;
+    }
+
+    function rankGroups(snapshots, field) {
+        var totals = Object.create(null);
+        for (var i = 0; i < snapshots.length; i++) {
+            var buckets = snapshots[i].summary[field] || {};
+            for (var name in buckets) {
+                totals[name] = (totals[name] || 0) + buckets[name].count;
+            }
+        }
+        return Object.keys(totals).sort(function(a, b) {
+            return totals[b] - totals[a] || (a < b ? -1 : a > b ? 1 : 0);
+        });
+    }
+
+    // ==================== Exports ====================
+    exports.TREND_METRICS = TREND_METRICS;
+    exports.summarizeSnapshot = summarizeSnapshot;
+    exports.metricValue = metricValue;
+    exports.latestPerDate = latestPerDate;
+    exports.buildTrendSeries = buildTrendSeries;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealTrends = {}));
@@ -0,0 +1,343 @@
+// DealUpdates - Minimal XLSX reader
+// Reads the first-party parts of an .xlsx workbook (zip container, shared
+// strings, sheet list, date styles) and streams a sheet's rows as arrays of
+// strings, the same shape the CSV tokenizer produces. Zip entries are
+// inflated with DecompressionStream('deflate-raw'); XML is scanned with
+// regular expressions because DOMParser isn't available in workers.
+// Shared by the ingest worker and Node.js via UMD.
+
+(function(exports) {
+    'use strict';
+
+    // ==================== Zip Container ====================
+
+    const EOCD_SIGNATURE = 0x06054b50;
+    const CENTRAL_SIGNATURE = 0x02014b50;
+    const LOCAL_SIGNATURE = 0x04034b50;
+
+    function isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    // Map of entry name -> { method, compressedSize, localOffset } from the
+    // central directory at the end of the archive
+    function readZipEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let eocd = -1;
+        // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('Not a valid .xlsx file (zip directory not found).');
+
+        const count = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const nameDecoder = new TextDecoder('utf-8');
+        const entries = new Map();
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+                throw new Error('Not a valid .xlsx file (corrupt zip directory).');
+            }
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = nameDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries.set(name, { method, compressedSize, localOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    async function readZipEntry(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint32(entry.localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error('Not a valid .xlsx file (corrupt zip entry).');
+        }
+        // The local header's name/extra lengths can differ from the central directory's
+        const start = entry.localOffset + 30 +
+            view.getUint16(entry.localOffset + 26, true) +
+            view.getUint16(entry.localOffset + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error('Unsupported .xlsx compression method ' + entry.method + '.');
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function readZipText(bytes, entries, name) {
+        const entry = entries.get(name);
+        if (!entry) return null;
+        return new TextDecoder('utf-8').decode(await readZipEntry(bytes, entry));
+    }
+
+    // ==================== XML Helpers ====================
+
+    function parseAttributes(tag) {
+        const attrs = {};
+        const re = /([\w:]+)\s*=\s*"([^"]*)"/g;
+        let m;
+        while ((m = re.exec(tag)) !== null) attrs[m[1]] = decodeXML(m[2]);
+        return attrs;
+    }
+
+    function decodeXML(text) {
+        if (text.indexOf('&') === -1 && text.indexOf('_x') === -1) return text;
+        return text
+            .replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (all, ref) => {
+                if (ref === 'lt') return '<';
+                if (ref === 'gt') return '>';
+                if (ref === 'amp') return '&';
+                if (ref === 'quot') return '"';
+                if (ref === 'apos') return "'";
+                const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                return String.fromCodePoint(code);
+            })
+            // Excel escapes control characters as _xHHHH_
+            .replace(/_x([0-9a-fA-F]{4})_/g, (all, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    // Concatenated text of the <t> runs in a string item, skipping phonetic runs
+    function richText(xml) {
+        const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+        let text = '';
+        const re = /<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g;
+        let m;
+        while ((m = re.exec(body)) !== null) text += decodeXML(m[1] || '');
+        return text;
+    }
+
+    function resolvePath(baseDir, target) {
+        if (target[0] === '/') return target.slice(1);
+        const parts = (baseDir ? baseDir + '/' + target : target).split('/');
+        const out = [];
+        for (const part of parts) {
+            if (part === '..') out.pop();
+            else if (part && part !== '.') out.push(part);
+        }
+        return out.join('/');
+    }
+
+    // { rId: target path } from a .rels part
+    function parseRelationships(xml, baseDir) {
+        const rels = {};
+        const re = /<Relationship\b([^>]*)\/?>/g;
+        let m;
+        while (xml && (m = re.exec(xml)) !== null) {
+            const attrs = parseAttributes(m[1]);
+            if (attrs.Id && attrs.Target) rels[attrs.Id] = { target: resolvePath(baseDir, attrs.Target), type: attrs.Type || '' };
+        }
+        return rels;
+    }
+
+    // ==================== Dates ====================
+
+    // Built-in number formats that display dates/times
+    const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31,
+        32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+    function isDateFormatCode(code) {
+        const bare = code
+            .replace(/"[^"]*"/g, '')        // quoted literals
+            .replace(/\\./g, '')            // escaped characters
+            .replace(/\[[^\]]*\]/g, '');    // colors, locales, conditions
+        if (/general/i.test(bare)) return false;
+        return /[dmyhs]/i.test(bare);
+    }
+
+    // Set of cellXfs indexes (the cell "s" attribute) whose format is a date
+    function parseDateStyles(xml) {
+        const dateStyles = new Set();
+        if (!xml) return dateStyles;
+
+        const customDates = new Set();
+        const fmtRe = /<numFmt\b([^>]*)\/?>/g;
+        let m;
+        while ((m = fmtRe.exec(xml)) !== null) {
+            const attrs = parseAttributes(m[1]);
+            if (attrs.formatCode && isDateFormatCode(attrs.formatCode)) customDates.add(Number(attrs.numFmtId));
+        }
+
+        const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+        if (!cellXfs) return dateStyles;
+        const xfRe = /<xf\b([^>]*?)(?:\/>|>)/g;
+        let index = 0;
+        while ((m = xfRe.exec(cellXfs[1])) !== null) {
+            const id = Number(parseAttributes(m[1]).numFmtId || 0);
+            if (BUILTIN_DATE_FORMATS.has(id) || customDates.has(id)) dateStyles.add(index);
+            index++;
+        }
+        return dateStyles;
+    }
+
+    // Excel serial day number -> 'YYYY-MM-DD' (plus ' HH:MM' when there is a
+    // time part), the same shape as the CSV exports
+    function serialToDateString(serial, date1904) {
+        const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+        const date = new Date(epoch + Math.round(serial * 86400) * 1000);
+        if (isNaN(date.getTime())) return String(serial);
+        const pad = n => String(n).padStart(2, '0');
+        let text = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+        if (date.getUTCHours() || date.getUTCMinutes()) {
+            text += ` ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+        }
+        return text;
+    }
+
+    // ==================== Workbook ====================
+
+    // Returns { sheets: [{ name, path }], ... } for readSheetRows. Hidden
+    // sheets are left out.
+    async function openWorkbook(bytes) {
+        if (!isZip(bytes)) throw new Error('Not a valid .xlsx file.');
+        const entries = readZipEntries(bytes);
+
+        const rootRels = parseRelationships(await readZipText(bytes, entries, '_rels/.rels'), '');
+        const officeDoc = Object.values(rootRels).find(rel => /\/officeDocument$/.test(rel.type));
+        const workbookPath = officeDoc ? officeDoc.target : 'xl/workbook.xml';
+        const baseDir = workbookPath.split('/').slice(0, -1).join('/');
+        const relsPath = (baseDir ? baseDir + '/' : '') + '_rels/' + workbookPath.split('/').pop() + '.rels';
+
+        const workbookXml = await readZipText(bytes, entries, workbookPath);
+        if (!workbookXml) throw new Error('Not a valid .xlsx file (workbook part missing).');
+        const rels = parseRelationships(await readZipText(bytes, entries, relsPath), baseDir);
+
+        const sheets = [];
+        const sheetRe = /<sheet\b([^>]*)\/?>/g;
+        let m;
+        while ((m = sheetRe.exec(workbookXml)) !== null) {
+            const attrs = parseAttributes(m[1]);
+            const rel = rels[attrs['r:id']];
+            if (!rel || attrs.state === 'hidden' || attrs.state === 'veryHidden') continue;
+            sheets.push({ name: attrs.name, path: rel.target });
+        }
+        if (sheets.length === 0) throw new Error('The workbook has no visible sheets.');
+
+        const typePath = type => {
+            const rel = Object.values(rels).find(r => r.type.endsWith('/' + type));
+            return rel ? rel.target : null;
+        };
+        const sharedStringsPath = typePath('sharedStrings');
+        const stylesPath = typePath('styles');
+
+        const sharedStrings = [];
+        const sharedXml = sharedStringsPath ? await readZipText(bytes, entries, sharedStringsPath) : null;
+        if (sharedXml) {
+            const siRe = /<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g;
+            while ((m = siRe.exec(sharedXml)) !== null) sharedStrings.push(richText(m[1] || ''));
+        }
+
+        const workbookPr = workbookXml.match(/<workbookPr\b([^>]*)/);
+        const date1904Attr = workbookPr ? parseAttributes(workbookPr[1]).date1904 : null;
+
+        return {
+            sheets,
+            sharedStrings,
+            dateStyles: parseDateStyles(stylesPath ? await readZipText(bytes, entries, stylesPath) : null),
+            date1904: date1904Attr === '1' || date1904Attr === 'true',
+            bytes,
+            entries
+        };
+    }
+
+    // The sheet to read when none was asked for: the only visible one, or null
+    // when there are several and the user has to pick
+    function defaultSheet(workbook) {
+        return workbook.sheets.length === 1 ? workbook.sheets[0].name : null;
+    }
+
+    // "AB12" -> 27 (0-based column)
+    function columnIndex(ref) {
+        let index = 0;
+        for (let i = 0; i < ref.length; i++) {
+            const code = ref.charCodeAt(i);
+            if (code < 65 || code > 90) break;
+            index = index * 26 + (code - 64);
+        }
+        return index - 1;
+    }
+
+    function cellValue(workbook, attrs, body) {
+        const type = attrs.t || 'n';
+        if (type === 'inlineStr') {
+            const is = body.match(/<is\b[^>]*>([\s\S]*?)<\/is>/);
+            return is ? richText(is[1]) : '';
+        }
+        const v = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+        if (!v) return '';
+        const raw = decodeXML(v[1]);
+        if (type === 's') return workbook.sharedStrings[Number(raw)] || '';
+        if (type === 'b') return raw === '1' ? 'TRUE' : 'FALSE';
+        if (type === 'n' && attrs.s && workbook.dateStyles.has(Number(attrs.s)) && raw !== '') {
+            return serialToDateString(Number(raw), workbook.date1904);
+        }
+        return raw;
+    }
+
+    // Calls onRow(values) for every row of the sheet in order, including an
+    // empty array for each skipped or blank row so row numbers match the
+    // spreadsheet's. Rows are padded to the sheet's dimension, as a CSV export
+    // keeps trailing empty fields. onProgress(fraction) is called at most once
+    // per percent.
+    async function readSheetRows(workbook, sheetName, onRow, onProgress) {
+        const sheet = workbook.sheets.find(s => s.name === sheetName);
+        if (!sheet) throw new Error(`Sheet "${sheetName}" not found in the workbook.`);
+        const xml = await readZipText(workbook.bytes, workbook.entries, sheet.path);
+        if (xml === null) throw new Error(`Sheet "${sheetName}" is missing from the workbook.`);
+
+        const dimension = xml.match(/<dimension\b[^>]*\bref="[A-Z]+\d+:([A-Z]+)\d+"/);
+        const width = dimension ? columnIndex(dimension[1]) + 1 : 0;
+
+        const rowRe = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+        const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let nextRow = 1;
+        let reported = -1;
+        let m;
+        while ((m = rowRe.exec(xml)) !== null) {
+            const rowNumber = Number(parseAttributes(m[1]).r) || nextRow;
+            for (; nextRow < rowNumber; nextRow++) onRow([]);
+            nextRow = rowNumber + 1;
+
+            const values = [];
+            const body = m[2] || '';
+            let c;
+            cellRe.lastIndex = 0;
+            while ((c = cellRe.exec(body)) !== null) {
+                const attrs = parseAttributes(c[1]);
+                const col = attrs.r ? columnIndex(attrs.r) : values.length;
+                while (values.length < col) values.push('');
+                values[col] = cellValue(workbook, attrs, c[2] || '');
+            }
+            if (values.every(value => value === '')) {
+                onRow([]);
+            } else {
+                while (values.length < width) values.push('');
+                onRow(values);
+            }
+
+            if (onProgress) {
+                const percent = Math.floor((rowRe.lastIndex / xml.length) * 100);
+                if (percent !== reported) {
+                    reported = percent;
+                    onProgress(rowRe.lastIndex / xml.length);
+                }
+            }
+        }
+    }
+
+    // ==================== Exports ====================
+    exports.isZip = isZip;
+    exports.openWorkbook = openWorkbook;
+    exports.defaultSheet = defaultSheet;
+    exports.readSheetRows = readSheetRows;
+    exports.serialToDateString = serialToDateString;
+
+})(typeof module !== 'undefined' && module.exports
+    ? module.exports
+    : (self.DealXlsx = {}));
@@ -0,0 +1,163 @@
+// Runs the summarize-notes handler end to end with the mock provider and an
+// in-memory stand-in for the Supabase cache tables; no network needed:
+//   deno test supabase/functions/summarize-notes/
+import assert from "node:assert/strict";
+import type { SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import { handleRequest } from "./handler.ts";
+import { MOCK_FAIL, MOCK_SKIP } from "./providers.ts";
+
+type Row = Record<string, unknown>;
+
+// The query builder calls the handler makes: select().eq().in().not().order()
+// resolving to { data, error }, and upsert(rows, { onConflict })
+function fakeSupabase(tables: Record<string, Row[]>): SupabaseClient {
+  let clock = 0;
+  const query = (rows: Row[]) => {
+    let result = rows.slice();
+    const builder = {
+      eq(column: string, value: unknown) {
+        result = result.filter((r) => r[column] === value);
+        return builder;
+      },
+      in(column: string, values: unknown[]) {
+        result = result.filter((r) => values.includes(r[column]));
+        return builder;
+      },
+      not(column: string, _op: "is", _value: null) {
+        result = result.filter((r) => r[column] != null);
+        return builder;
+      },
+      order(column: string, { ascending }: { ascending: boolean }) {
+        result.sort((a, b) => String(a[column]).localeCompare(String(b[column])) * (ascending ? 1 : -1));
+        return builder;
+      },
+      then<T>(resolve: (value: { data: Row[]; error: null }) => T) {
+        return Promise.resolve({ data: result, error: null }).then(resolve);
+      },
+    };
+    return builder;
+  };
+  return {
+    from(table: string) {
+      const rows = (tables[table] ??= []);
+      return {
+        select: () => query(rows),
+        upsert(newRows: Row[], { onConflict }: { onConflict: string }) {
+          const keys = onConflict.split(",");
+          for (const row of newRows) {
+            const stored = { created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, clock++)).toISOString(), ...row };
+            const at = rows.findIndex((r) => keys.every((k) => r[k] === row[k]));
+            if (at === -1) rows.push(stored);
+            else rows[at] = stored;
+          }
+          return Promise.resolve({ error: null });
+        },
+      };
+    },
+  } as unknown as SupabaseClient;
+}
+
+function deal(name: string, notes: string[]) {
+  const hashed = notes.map((text) => ({ at: null, author: null, text, hash: `h:${text}` }));
+  return {
+    deal_key: name.toLowerCase(),
+    notes_hash: `notes:${notes.join("|")}`,
+    notes_canonical: notes.join("\n---\n"),
+    notes: hashed,
+    dealName: name,
+  };
+}
+
+async function post(tables: Record<string, Row[]>, body: Record<string, unknown>) {
+  const req = new Request("http://localhost/summarize-notes", { method: "POST", body: JSON.stringify(body) });
+  const res = await handleRequest(req, () => fakeSupabase(tables));
+  return { status: res.status, body: await res.json() };
+}
+
+Deno.test("misses are summarized and cached, then served as hits", async () => {
+  const tables: Record<string, Row[]> = {};
+  const deals = [deal("Alpha", ["Intro call"]), deal("Beta", ["Demo booked", "Pricing sent"])];
+
+  const first = await post(tables, { deals, model: "mock" });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.model, "mock");
+  assert.deepEqual(first.body.summaries.map((s: Row) => [s.deal_key, s.cached, s.mode, s.failed]), [
+    ["alpha", false, "full", false],
+    ["beta", false, "full", false],
+  ]);
+  assert.equal(first.body.summaries[1].summary, 'Mock summary of "Beta": 2 notes. Latest: Pricing sent');
+  assert.equal(tables.deal_summary_cache.length, 2);
+  assert.ok(tables.deal_summary_cache.every((r) => r.model === "mock"));
+
+  const second = await post(tables, { deals, model: "mock" });
+  assert.deepEqual(second.body.summaries.map((s: Row) => [s.deal_key, s.cached, s.mode]), [
+    ["alpha", true, "cached"],
+    ["beta", true, "cached"],
+  ]);
+  assert.equal(second.body.summaries[1].summary, first.body.summaries[1].summary);
+});
+
+Deno.test("a deal with new notes is updated from its cached summary", async () => {
+  const tables: Record<string, Row[]> = {};
+  await post(tables, { deals: [deal("Alpha", ["Intro call"])], model: "mock" });
+
+  const { body } = await post(tables, { deals: [deal("Alpha", ["Intro call", "Budget confirmed"])], model: "mock" });
+  assert.equal(body.summaries[0].mode, "incremental");
+  const row = tables.deal_summary_cache.find((r) => r.notes_hash === "notes:Intro call|Budget confirmed")!;
+  assert.equal(row.summary_mode, "incremental");
+  assert.equal(row.parent_notes_hash, "notes:Intro call");
+  assert.equal(row.new_note_count, 1);
+});
+
+Deno.test("MOCK_SKIP: the skipped deal fails, the rest are cached", async () => {
+  const tables: Record<string, Row[]> = {};
+  const deals = [deal("Alpha", ["Intro call"]), deal(`Beta ${MOCK_SKIP}`, ["Demo booked"]), deal("Gamma", ["Signed"])];
+
+  const { status, body } = await post(tables, { deals, model: "mock" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.summaries.map((s: Row) => [s.deal_key, s.failed, s.summary === ""]), [
+    ["alpha", false, false],
+    [`beta ${MOCK_SKIP}`, true, true],
+    ["gamma", false, false],
+  ]);
+  assert.deepEqual(tables.deal_summary_cache.map((r) => r.deal_key).sort(), ["alpha", "gamma"]);
+});
+
+Deno.test("MOCK_FAIL: nothing new is cached, cached hits still come back", async () => {
+  const tables: Record<string, Row[]> = {};
+  await post(tables, { deals: [deal("Alpha", ["Intro call"])], model: "mock" });
+
+  const deals = [deal("Alpha", ["Intro call"]), deal(`Beta ${MOCK_FAIL}`, ["Demo booked"]), deal("Gamma", ["Signed"])];
+  const { status, body } = await post(tables, { deals, model: "mock" });
+  assert.equal(status, 200);
+  assert.deepEqual(body.summaries.map((s: Row) => [s.deal_key, s.cached, Boolean(s.failed)]), [
+    ["alpha", true, false],
+    [`beta ${MOCK_FAIL}`, false, true],
+    ["gamma", false, true],
+  ]);
+  assert.deepEqual(tables.deal_summary_cache.map((r) => r.deal_key), ["alpha"]);
+});
+
+Deno.test("extract mode reads labelled notes and caches per provider", async () => {
+  const tables: Record<string, Row[]> = {};
+  const deals = [deal("Alpha", ["Next step: send MSA by 2026-03-02. Blocker: legal review", "Competitor: Acme"])];
+
+  const { body } = await post(tables, { deals, mode: "extract", model: "mock" });
+  assert.deepEqual(body.extractions[0].extraction, {
+    next_step: "send MSA by 2026-03-02",
+    next_step_date: "2026-03-02",
+    blockers: ["legal review"],
+    competitors: ["Acme"],
+    decision_makers: [],
+    close_date_change: null,
+  });
+  assert.equal(tables.deal_extraction_cache[0].model, "mock");
+
+  const again = await post(tables, { deals, mode: "extract", model: "mock" });
+  assert.equal(again.body.extractions[0].cached, true);
+});
+
+Deno.test("an unknown model is rejected", async () => {
+  const { status } = await post({}, { deals: [deal("Alpha", ["Intro call"])], model: "claude-3-5-sonnet" });
+  assert.equal(status, 400);
+});
@@ -0,0 +1,590 @@
+// Request handling for summarize-notes (served by index.ts). The Supabase
+// client comes from the caller, so tests can pass an in-memory one.
+import type { SupabaseClient } from "jsr:@supabase/supabase-js@2";
+import {
+  createProvider,
+  defaultModel,
+  MODEL_NAMES,
+  type ProviderItem,
+  type ProviderRequest,
+  type SummaryProvider,
+} from "./providers.ts";
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+};
+
+// Input limits
+const MAX_DEALS_PER_REQUEST = 100;
+const MAX_NOTES_CANONICAL_LENGTH = 50_000;
+
+interface LegacyDeal {
+  dealName: string;
+  notes: string[];
+}
+
+interface DatedNote {
+  at: string | null;
+  author: string | null;
+  text: string;
+  // sha256 of the note text; lets a cached summary be extended with new notes
+  hash?: string;
+}
+
+interface CachedDeal {
+  deal_key: string;
+  notes_hash: string;
+  notes_canonical: string;
+  // The deal's notes timeline, oldest first (clients that send it)
+  notes?: DatedNote[];
+  dealName: string;
+}
+
+interface ParentSummary {
+  notes_hash: string;
+  summary: string;
+  note_hashes: string[];
+}
+
+// A miss that can be summarized from its latest cached summary plus the
+// notes added since
+interface IncrementalMiss {
+  deal: CachedDeal;
+  parent: ParentSummary;
+  newNotes: DatedNote[];
+}
+
+function formatDatedNotes(notes: DatedNote[]): string {
+  return notes
+    .map((n) => {
+      const meta = [n.at ? n.at.slice(0, 10) : null, n.author].filter(Boolean).join(", ");
+      return `- ${meta ? `[${meta}] ` : ""}${n.text.trim()}`;
+    })
+    .join("\n");
+}
+
+// Note hashes of the deal's timeline, or null unless every note has one
+function noteHashes(deal: CachedDeal): string[] | null {
+  if (!Array.isArray(deal.notes) || deal.notes.length === 0) return null;
+  if (deal.notes.some((n) => typeof n.hash !== "string" || n.hash === "")) return null;
+  return deal.notes.map((n) => n.hash as string);
+}
+
+// The newest cached summary whose notes are all still in the deal's notes,
+// with the notes added since it; null when there is none to build on
+function findParentSummary(deal: CachedDeal, candidates: ParentSummary[]): IncrementalMiss | null {
+  const hashes = noteHashes(deal);
+  if (!hashes) return null;
+  const current = new Set(hashes);
+  for (const parent of candidates) {
+    if (parent.note_hashes.length === 0 || !parent.note_hashes.every((h) => current.has(h))) continue;
+    const covered = new Set(parent.note_hashes);
+    const newNotes = deal.notes!.filter((n) => !covered.has(n.hash!));
+    if (newNotes.length > 0) return { deal, parent, newNotes };
+  }
+  return null;
+}
+
+// One bullet per note: dated notes as "- [2026-02-07, Alice Smith] text"
+function formatNoteLines(deal: CachedDeal): string {
+  if (Array.isArray(deal.notes) && deal.notes.length > 0) {
+    return formatDatedNotes(deal.notes);
+  }
+  // notes_canonical: notes joined with \n---\n
+  return deal.notes_canonical
+    .split("\n---\n")
+    .map((n: string) => `- ${n.trim()}`)
+    .join("\n");
+}
+
+function fullSummaryPrompt(dealsList: string, dealCount: number): string {
+  return `You are summarizing CRM deal notes for a sales dashboard. For each deal below, write a 3-5 sentence summary that covers: (1) current status and stage of the deal, (2) key activities and interactions so far, (3) blockers or risks, and (4) next steps and expected timeline. Be factual and specific—include names, dates, and action items where available.
+
+Return a JSON object where keys are the deal numbers ("1", "2", etc.) and values are the summary strings. You must include all ${dealCount} deals.
+
+${dealsList}`;
+}
+
+function incrementalSummaryPrompt(dealsList: string, dealCount: number): string {
+  return `You are updating CRM deal summaries for a sales dashboard. Each deal below has its previous summary and the notes added since it was written. Write an updated 3-5 sentence summary per deal that covers: (1) current status and stage of the deal, (2) key activities and interactions so far, (3) blockers or risks, and (4) next steps and expected timeline. Keep what still holds from the previous summary, and let the new notes take precedence where they differ. Be factual and specific—include names, dates, and action items where available.
+
+Return a JSON object where keys are the deal numbers ("1", "2", etc.) and values are the summary strings. You must include all ${dealCount} deals.
+
+${dealsList}`;
+}
+
+// Structured fields extracted from a deal's notes (mode "extract")
+interface DealExtraction {
+  next_step: string | null;
+  // YYYY-MM-DD
+  next_step_date: string | null;
+  blockers: string[];
+  competitors: string[];
+  decision_makers: string[];
+  close_date_change: { proposed_date: string | null; reason: string | null } | null;
+}
+
+const MODES = ["summary", "extract"];
+
+function extractionPrompt(dealsList: string, dealCount: number): string {
+  return `You are extracting structured fields from CRM deal notes for a sales dashboard. For each deal below, return an object with exactly these keys:
+- "next_step": the next agreed action, as a short sentence, or null
+- "next_step_date": the date that action is due as YYYY-MM-DD, or null if no date is stated (resolve relative dates like "next Tuesday" from the note's date)
+- "blockers": short phrases for anything stalling the deal (legal review, budget freeze, missing sign-off); [] if none
+- "competitors": competitor companies or products mentioned; [] if none
+- "decision_makers": people named as approving or signing off, as "Name (Title)" where a title is given; [] if none
+- "close_date_change": { "proposed_date": YYYY-MM-DD or null, "reason": short phrase or null } when the notes say the close date will move, otherwise null
+Use only what the notes state; do not guess.
+
+Return a JSON object where keys are the deal numbers ("1", "2", etc.) and values are these objects. You must include all ${dealCount} deals.
+
+${dealsList}`;
+}
+
+function isDateKey(value: unknown): value is string {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+function stringList(value: unknown): string[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((v): v is string => typeof v === "string" && v.trim() !== "")
+    .map((v) => v.trim());
+}
+
+function optionalString(value: unknown): string | null {
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+}
+
+// The model's object for one deal in the DealExtraction shape, or null when
+// it returned nothing usable
+function normalizeExtraction(raw: unknown): DealExtraction | null {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+  const r = raw as Record<string, unknown>;
+  const change = r.close_date_change && typeof r.close_date_change === "object"
+    ? r.close_date_change as Record<string, unknown>
+    : null;
+  const proposedDate = change && isDateKey(change.proposed_date) ? change.proposed_date : null;
+  const reason = change ? optionalString(change.reason) : null;
+  return {
+    next_step: optionalString(r.next_step),
+    next_step_date: isDateKey(r.next_step_date) ? r.next_step_date : null,
+    blockers: stringList(r.blockers),
+    competitors: stringList(r.competitors),
+    decision_makers: stringList(r.decision_makers),
+    close_date_change: proposedDate || reason ? { proposed_date: proposedDate, reason } : null,
+  };
+}
+
+// The deal as the provider sees it: its notes oldest first
+function providerItem(deal: CachedDeal, notes?: DatedNote[], previousSummary?: string): ProviderItem {
+  const dealNotes = notes ?? (Array.isArray(deal.notes) && deal.notes.length > 0
+    ? deal.notes
+    : deal.notes_canonical.split("\n---\n").map((text) => ({ at: null, text })));
+  return { dealName: deal.dealName, notes: dealNotes, previousSummary };
+}
+
+// The provider's results, or null when the call failed as a whole; the
+// deals in it then come back without a result and nothing is cached
+async function generateOrNull(
+  provider: SummaryProvider,
+  request: ProviderRequest
+): Promise<Record<string, unknown> | null> {
+  try {
+    return await provider.generate(request);
+  } catch (err) {
+    console.error(`${provider.tag} ${request.kind} call failed for ${request.items.length} deals:`, err);
+    return null;
+  }
+}
+
+// ==================== EXTRACT MODE ====================
+// Same cache-first flow as summaries, keyed by deal_key/notes_hash in
+// deal_extraction_cache. Deals the model returned nothing usable for come
+// back with extraction null and failed true, and are not cached.
+async function extractDeals(
+  supabase: SupabaseClient,
+  provider: SummaryProvider,
+  deals: CachedDeal[]
+): Promise<Response> {
+  const dealKeys = deals.map((d) => d.deal_key);
+  const { data: cachedRows, error: cacheError } = await supabase
+    .from("deal_extraction_cache")
+    .select("deal_key, notes_hash, extraction")
+    .eq("model", provider.tag)
+    .in("deal_key", dealKeys);
+
+  if (cacheError) {
+    console.error("Extraction cache lookup error:", cacheError);
+  }
+
+  const cacheMap = new Map<string, DealExtraction>();
+  for (const row of cachedRows || []) {
+    cacheMap.set(`${row.deal_key}||${row.notes_hash}`, row.extraction as DealExtraction);
+  }
+
+  const results: {
+    deal_key: string;
+    notes_hash: string;
+    extraction: DealExtraction | null;
+    cached: boolean;
+    failed?: boolean;
+  }[] = [];
+  const misses: CachedDeal[] = [];
+  for (const deal of deals) {
+    const cached = cacheMap.get(`${deal.deal_key}||${deal.notes_hash}`);
+    if (cached) {
+      results.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, extraction: cached, cached: true });
+    } else {
+      misses.push(deal);
+    }
+  }
+
+  console.log(`Extraction cache: ${results.length} hits, ${misses.length} misses out of ${deals.length} deals`);
+
+  if (misses.length > 0) {
+    const dealsList = misses
+      .map((d, i) => `Deal ${i + 1}: "${d.dealName}"\nNotes:\n${formatNoteLines(d)}`)
+      .join("\n\n");
+
+    const extracted = await generateOrNull(provider, {
+      kind: "extract",
+      prompt: extractionPrompt(dealsList, misses.length),
+      items: misses.map((d) => providerItem(d)),
+    }) ?? {};
+
+    const rowsToInsert: { deal_key: string; notes_hash: string; model: string; extraction: DealExtraction }[] = [];
+    for (let i = 0; i < misses.length; i++) {
+      const deal = misses[i];
+      const extraction = normalizeExtraction(extracted[String(i + 1)]);
+      results.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, extraction, cached: false, failed: !extraction });
+      if (extraction) {
+        rowsToInsert.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, model: provider.tag, extraction });
+      }
+    }
+
+    if (rowsToInsert.length > 0) {
+      const { error: insertError } = await supabase
+        .from("deal_extraction_cache")
+        .upsert(rowsToInsert, { onConflict: "deal_key,notes_hash,model" });
+
+      if (insertError) {
+        console.error("Extraction cache insert error:", insertError);
+      } else {
+        console.log(`Cached ${rowsToInsert.length} new extractions`);
+      }
+    }
+  }
+
+  return new Response(JSON.stringify({ model: provider.tag, extractions: results }), {
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  });
+}
+
+export async function handleRequest(req: Request, getSupabase: () => SupabaseClient): Promise<Response> {
+  // Handle CORS preflight
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: corsHeaders });
+  }
+
+  try {
+    const { deals, mode = "summary", model = defaultModel() } = await req.json();
+
+    if (!MODEL_NAMES.includes(model)) {
+      return new Response(
+        JSON.stringify({ error: `model must be one of: ${MODEL_NAMES.join(", ")}` }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    const provider = createProvider(model);
+    if (!provider) {
+      return new Response(
+        JSON.stringify({ error: "ANTHROPIC_API_KEY not configured" }),
+        { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    if (!MODES.includes(mode)) {
+      return new Response(
+        JSON.stringify({ error: `mode must be one of: ${MODES.join(", ")}` }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    if (!deals || !Array.isArray(deals) || deals.length === 0) {
+      return new Response(
+        JSON.stringify({ error: "No deals provided" }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    if (deals.length > MAX_DEALS_PER_REQUEST) {
+      return new Response(
+        JSON.stringify({ error: `Too many deals: ${deals.length} exceeds limit of ${MAX_DEALS_PER_REQUEST}` }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    // Validate fields on new-format deals
+    for (let i = 0; i < deals.length; i++) {
+      const d = deals[i];
+      if (d.deal_key !== undefined) {
+        if (typeof d.deal_key !== "string" || d.deal_key.trim() === "") {
+          return new Response(
+            JSON.stringify({ error: `deals[${i}].deal_key must be a non-empty string` }),
+            { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+        if (typeof d.notes_hash !== "string" || d.notes_hash.trim() === "") {
+          return new Response(
+            JSON.stringify({ error: `deals[${i}].notes_hash must be a non-empty string` }),
+            { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+        if (typeof d.notes_canonical === "string" && d.notes_canonical.length > MAX_NOTES_CANONICAL_LENGTH) {
+          return new Response(
+            JSON.stringify({ error: `deals[${i}].notes_canonical exceeds ${MAX_NOTES_CANONICAL_LENGTH} character limit` }),
+            { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+        if (d.notes !== undefined && (!Array.isArray(d.notes) || d.notes.some((n: DatedNote) => typeof n?.text !== "string" || (n.hash !== undefined && typeof n.hash !== "string")))) {
+          return new Response(
+            JSON.stringify({ error: `deals[${i}].notes must be an array of { at, author, text, hash? }` }),
+            { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+        if (Array.isArray(d.notes) && d.notes.reduce((sum: number, n: DatedNote) => sum + n.text.length, 0) > MAX_NOTES_CANONICAL_LENGTH) {
+          return new Response(
+            JSON.stringify({ error: `deals[${i}].notes exceed ${MAX_NOTES_CANONICAL_LENGTH} character limit` }),
+            { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+          );
+        }
+      }
+    }
+
+    // Detect payload format
+    const isNewFormat = deals[0]?.deal_key !== undefined;
+
+    if (!isNewFormat && mode === "extract") {
+      return new Response(
+        JSON.stringify({ error: "extract mode needs deals with deal_key and notes_hash" }),
+        { status: 400, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+      );
+    }
+
+    if (!isNewFormat) {
+      // ==================== LEGACY PATH ====================
+      const legacyDeals = deals as LegacyDeal[];
+      const dealsList = legacyDeals
+        .map(
+          (d, i) =>
+            `Deal ${i + 1}: "${d.dealName}"\nNotes:\n${d.notes.map((n: string) => `- ${n}`).join("\n")}`
+        )
+        .join("\n\n");
+
+      const indexedSummaries = await provider.generate({
+        kind: "full",
+        prompt: fullSummaryPrompt(dealsList, legacyDeals.length),
+        items: legacyDeals.map((d) => ({ dealName: d.dealName, notes: d.notes.map((text) => ({ at: null, text })) })),
+      });
+
+      // Map numeric indices back to deal names for legacy response format
+      const summaries: Record<string, string> = {};
+      for (let i = 0; i < legacyDeals.length; i++) {
+        const summary = indexedSummaries[String(i + 1)];
+        if (typeof summary === "string" && summary) {
+          summaries[legacyDeals[i].dealName] = summary;
+        }
+      }
+
+      return new Response(JSON.stringify({ summaries }), {
+        headers: { ...corsHeaders, "Content-Type": "application/json" },
+      });
+    }
+
+    // ==================== NEW CACHE-FIRST PATH ====================
+    const typedDeals = deals as CachedDeal[];
+
+    const supabase = getSupabase();
+
+    if (mode === "extract") {
+      return await extractDeals(supabase, provider, typedDeals);
+    }
+
+    // 1. Check cache for all deal_keys
+    const dealKeys = typedDeals.map((d) => d.deal_key);
+    const { data: cachedRows, error: cacheError } = await supabase
+      .from("deal_summary_cache")
+      .select("deal_key, notes_hash, summary")
+      .eq("model", provider.tag)
+      .in("deal_key", dealKeys);
+
+    if (cacheError) {
+      console.error("Cache lookup error:", cacheError);
+    }
+
+    // Build cache map keyed by "deal_key||notes_hash" for exact match
+    const cacheMap = new Map<string, string>();
+    for (const row of cachedRows || []) {
+      cacheMap.set(`${row.deal_key}||${row.notes_hash}`, row.summary);
+    }
+
+    // 2. Split hits vs misses
+    type SummaryMode = "cached" | "full" | "incremental";
+    // failed: the provider returned no summary; the client falls back to its own
+    const results: {
+      deal_key: string;
+      notes_hash: string;
+      summary: string;
+      cached: boolean;
+      mode: SummaryMode;
+      failed?: boolean;
+    }[] = [];
+    const misses: CachedDeal[] = [];
+
+    for (const deal of typedDeals) {
+      const cacheKey = `${deal.deal_key}||${deal.notes_hash}`;
+      const cached = cacheMap.get(cacheKey);
+      if (cached) {
+        results.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, summary: cached, cached: true, mode: "cached" });
+      } else {
+        misses.push(deal);
+      }
+    }
+
+    // 3. Misses whose latest cached summary covers a subset of their notes
+    //    are updated with just the new notes; the rest are summarized in full
+    const incremental: IncrementalMiss[] = [];
+    const fullMisses: CachedDeal[] = [];
+    const parentKeys = misses.filter((d) => noteHashes(d)).map((d) => d.deal_key);
+    const parentsByKey = new Map<string, ParentSummary[]>();
+    if (parentKeys.length > 0) {
+      const { data: parentRows, error: parentError } = await supabase
+        .from("deal_summary_cache")
+        .select("deal_key, notes_hash, summary, note_hashes")
+        .eq("model", provider.tag)
+        .in("deal_key", parentKeys)
+        .not("note_hashes", "is", null)
+        .order("created_at", { ascending: false });
+      if (parentError) {
+        console.error("Parent summary lookup error:", parentError);
+      }
+      for (const row of parentRows || []) {
+        if (!parentsByKey.has(row.deal_key)) parentsByKey.set(row.deal_key, []);
+        parentsByKey.get(row.deal_key)!.push(row as ParentSummary);
+      }
+    }
+    for (const deal of misses) {
+      const match = findParentSummary(deal, parentsByKey.get(deal.deal_key) || []);
+      if (match) incremental.push(match);
+      else fullMisses.push(deal);
+    }
+
+    console.log(`Cache: ${results.length} hits, ${incremental.length} incremental, ${fullMisses.length} full out of ${typedDeals.length} deals`);
+
+    // 4. Call the provider for misses only
+    const rowsToInsert: {
+      deal_key: string;
+      notes_hash: string;
+      model: string;
+      summary: string;
+      note_hashes: string[] | null;
+      parent_notes_hash: string | null;
+      summary_mode: string;
+      new_note_count: number;
+    }[] = [];
+
+    if (fullMisses.length > 0) {
+      const dealsList = fullMisses
+        .map((d, i) => `Deal ${i + 1}: "${d.dealName}"\nNotes:\n${formatNoteLines(d)}`)
+        .join("\n\n");
+
+      const newSummaries = await generateOrNull(provider, {
+        kind: "full",
+        prompt: fullSummaryPrompt(dealsList, fullMisses.length),
+        items: fullMisses.map((d) => providerItem(d)),
+      }) ?? {};
+
+      for (let i = 0; i < fullMisses.length; i++) {
+        const deal = fullMisses[i];
+        const returned = newSummaries[String(i + 1)];
+        const summary = typeof returned === "string" ? returned : "";
+        results.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, summary, cached: false, mode: "full", failed: !summary });
+
+        if (summary) {
+          rowsToInsert.push({
+            deal_key: deal.deal_key,
+            notes_hash: deal.notes_hash,
+            model: provider.tag,
+            summary,
+            note_hashes: noteHashes(deal),
+            parent_notes_hash: null,
+            summary_mode: "full",
+            new_note_count: deal.notes?.length ?? deal.notes_canonical.split("\n---\n").length,
+          });
+        }
+      }
+    }
+
+    if (incremental.length > 0) {
+      const dealsList = incremental
+        .map(
+          (m, i) =>
+            `Deal ${i + 1}: "${m.deal.dealName}"\nPrevious summary:\n${m.parent.summary}\nNew notes:\n${formatDatedNotes(m.newNotes)}`
+        )
+        .join("\n\n");
+
+      const newSummaries = await generateOrNull(provider, {
+        kind: "incremental",
+        prompt: incrementalSummaryPrompt(dealsList, incremental.length),
+        items: incremental.map((m) => providerItem(m.deal, m.newNotes, m.parent.summary)),
+      }) ?? {};
+
+      for (let i = 0; i < incremental.length; i++) {
+        const { deal, parent, newNotes } = incremental[i];
+        const returned = newSummaries[String(i + 1)];
+        const summary = typeof returned === "string" ? returned : "";
+        results.push({ deal_key: deal.deal_key, notes_hash: deal.notes_hash, summary, cached: false, mode: "incremental", failed: !summary });
+
+        if (summary) {
+          rowsToInsert.push({
+            deal_key: deal.deal_key,
+            notes_hash: deal.notes_hash,
+            model: provider.tag,
+            summary,
+            note_hashes: noteHashes(deal),
+            parent_notes_hash: parent.notes_hash,
+            summary_mode: "incremental",
+            new_note_count: newNotes.length,
+          });
+        }
+      }
+    }
+
+    // 5. Store new summaries in cache
+    if (rowsToInsert.length > 0) {
+      const { error: insertError } = await supabase
+        .from("deal_summary_cache")
+        .upsert(rowsToInsert, { onConflict: "deal_key,notes_hash,model" });
+
+      if (insertError) {
+        console.error("Cache insert error:", insertError);
+      } else {
+        console.log(`Cached ${rowsToInsert.length} new summaries`);
+      }
+    }
+
+    return new Response(JSON.stringify({ model: provider.tag, summaries: results }), {
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+  } catch (err) {
+    console.error("Edge function error:", err);
+    return new Response(
+      JSON.stringify({ error: String(err) }),
+      { status: 500, headers: { ...corsHeaders, "Content-Type": "application/json" } }
+    );
+  }
+}
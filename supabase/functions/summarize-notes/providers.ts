@@ -0,0 +1,174 @@
+// Summarization providers for summarize-notes. A request's `model` picks one;
+// its tag is what the cache tables' model column records.
+
+export type TaskKind = "full" | "incremental" | "extract";
+
+// One numbered deal of a request, for providers that don't read the prompt
+export interface ProviderItem {
+  dealName: string;
+  // Oldest first
+  notes: { at: string | null; text: string }[];
+  // Incremental summaries: the cached summary being updated
+  previousSummary?: string;
+}
+
+export interface ProviderRequest {
+  kind: TaskKind;
+  prompt: string;
+  items: ProviderItem[];
+}
+
+export interface SummaryProvider {
+  tag: string;
+  // { "1": result, "2": ... } keyed by position in items (1-based); a
+  // missing key is a deal the provider returned nothing for. Throws when the
+  // call as a whole fails.
+  generate(request: ProviderRequest): Promise<Record<string, unknown>>;
+}
+
+// Model name in a request -> Anthropic model id
+const ANTHROPIC_MODELS: Record<string, string> = {
+  haiku: "claude-3-haiku-20240307",
+  sonnet: "claude-sonnet-4-5-20250929",
+};
+
+export const MOCK_MODEL = "mock";
+export const MODEL_NAMES = [...Object.keys(ANTHROPIC_MODELS), MOCK_MODEL];
+
+// Used when a request doesn't name a model; SUMMARY_MODEL=mock runs the
+// whole function offline
+export function defaultModel(): string {
+  return Deno.env.get("SUMMARY_MODEL") || "haiku";
+}
+
+// The provider for a model in MODEL_NAMES, or null when it isn't configured
+export function createProvider(model: string): SummaryProvider | null {
+  if (model === MOCK_MODEL) return mockProvider;
+  const apiKey = Deno.env.get("ANTHROPIC_API_KEY");
+  if (!apiKey) return null;
+  return anthropicProvider(model, ANTHROPIC_MODELS[model], apiKey);
+}
+
+// ==================== ANTHROPIC ====================
+// Sends the prompt, prefilled with "{" so the reply is the JSON object
+function anthropicProvider(tag: string, modelId: string, apiKey: string): SummaryProvider {
+  return {
+    tag,
+    async generate(request) {
+      const response = await fetch("https://api.anthropic.com/v1/messages", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01",
+        },
+        body: JSON.stringify({
+          model: modelId,
+          max_tokens: 4096,
+          messages: [
+            {
+              role: "user",
+              content: request.prompt,
+            },
+            {
+              role: "assistant",
+              content: "{",
+            },
+          ],
+        }),
+      });
+
+      if (!response.ok) {
+        const errText = await response.text();
+        console.error("Claude API error:", response.status, errText);
+        throw new Error(`Claude API call failed: ${response.status}`);
+      }
+
+      const result = await response.json();
+      const rawText = result.content?.[0]?.text || "}";
+      // Prepend the "{" we used as prefill
+      const text = "{" + rawText;
+
+      try {
+        return JSON.parse(text);
+      } catch {
+        console.error("Failed to parse Claude response as JSON:", text.slice(0, 500));
+        // Try extracting JSON from the response (in case of markdown fences)
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+        if (jsonMatch) {
+          try {
+            return JSON.parse(jsonMatch[0]);
+          } catch {
+            // fall through
+          }
+        }
+        return {};
+      }
+    },
+  };
+}
+
+// ==================== MOCK ====================
+// Deterministic results built from the items alone, with no network. A deal
+// whose name contains MOCK_SKIP is left out of the result (one deal failing);
+// one containing MOCK_FAIL makes the whole call throw (the provider down).
+export const MOCK_SKIP = "[mock-skip]";
+export const MOCK_FAIL = "[mock-fail]";
+
+const MOCK_LATEST_LENGTH = 120;
+
+function latestNote(item: ProviderItem): string {
+  const text = item.notes.length > 0 ? item.notes[item.notes.length - 1].text.trim() : "";
+  return text.length > MOCK_LATEST_LENGTH ? text.slice(0, MOCK_LATEST_LENGTH - 1) + "…" : text;
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Extraction from labelled lines in the notes ("Next step: ...",
+// "Blocker: ...", "Competitor: ...", "Decision maker: ...",
+// "Close date: YYYY-MM-DD"); a later note's value wins for single fields
+function mockExtraction(item: ProviderItem): Record<string, unknown> {
+  const values = (label: string) =>
+    item.notes.flatMap((n) =>
+      [...n.text.matchAll(new RegExp(`${label}:\\s*([^\\n.;]+)`, "gi"))].map((m) => m[1].trim())
+    );
+  const last = (list: string[]) => (list.length > 0 ? list[list.length - 1] : null);
+  const dateIn = (text: string | null) => text?.match(/\d{4}-\d{2}-\d{2}/)?.[0] ?? null;
+
+  const nextStep = last(values("next step"));
+  const closeDate = last(values("close date"));
+  return {
+    next_step: nextStep,
+    next_step_date: dateIn(nextStep),
+    blockers: [...new Set(values("blocker"))],
+    competitors: [...new Set(values("competitor"))],
+    decision_makers: [...new Set(values("decision maker"))],
+    close_date_change: closeDate ? { proposed_date: dateIn(closeDate), reason: null } : null,
+  };
+}
+
+const mockProvider: SummaryProvider = {
+  tag: MOCK_MODEL,
+  generate(request) {
+    if (request.items.some((item) => item.dealName.includes(MOCK_FAIL))) {
+      return Promise.reject(new Error("Mock provider failure"));
+    }
+    const results: Record<string, unknown> = {};
+    request.items.forEach((item, i) => {
+      if (item.dealName.includes(MOCK_SKIP)) return;
+      const latest = latestNote(item);
+      if (request.kind === "extract") {
+        results[String(i + 1)] = mockExtraction(item);
+      } else if (request.kind === "incremental") {
+        results[String(i + 1)] =
+          `Mock summary of "${item.dealName}": previous summary updated with ${plural(item.notes.length, "new note")}. Latest: ${latest}`;
+      } else {
+        results[String(i + 1)] =
+          `Mock summary of "${item.dealName}": ${plural(item.notes.length, "note")}. Latest: ${latest}`;
+      }
+    });
+    return Promise.resolve(results);
+  },
+};
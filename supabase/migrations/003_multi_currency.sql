@@ -0,0 +1,31 @@
+-- Migration: Keep non-CAD deals by converting them to the reporting currency
+-- Purpose: Store each deal's original currency/amount and the FX rates used per upload
+
+-- =====================================================
+-- deals table: original currency and conversion
+-- =====================================================
+
+-- acv remains the converted (reporting currency) amount
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS currency     TEXT    DEFAULT 'CAD',
+  ADD COLUMN IF NOT EXISTS acv_original NUMERIC,
+  ADD COLUMN IF NOT EXISTS fx_rate      NUMERIC DEFAULT 1;
+
+-- =====================================================
+-- uploads table: FX rate snapshot
+-- =====================================================
+
+-- The rate table ({ "USD": 1.36, ... }) used to convert this upload
+ALTER TABLE uploads
+  ADD COLUMN IF NOT EXISTS fx_rates JSONB;
+
+-- =====================================================
+-- Shared FX rate table (edited from Import Settings)
+-- =====================================================
+
+-- rate = units of reporting currency (CAD) per 1 unit of currency
+CREATE TABLE IF NOT EXISTS fx_rates (
+  currency   TEXT        PRIMARY KEY,
+  rate       NUMERIC     NOT NULL CHECK (rate > 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
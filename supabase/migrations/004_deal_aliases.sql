@@ -0,0 +1,27 @@
+-- Migration: Deal identity aliases
+-- Purpose: Link a renamed or reassigned deal's new deal_key to the key it was
+--          first seen under, so dedup, diffs and history follow the same deal
+
+-- =====================================================
+-- deal_aliases table (edited from the Review Matches modal)
+-- =====================================================
+
+-- status = 'confirmed': alias_key resolves to canonical_key
+-- status = 'rejected':  the suggestion was dismissed; don't offer it again
+CREATE TABLE IF NOT EXISTS deal_aliases (
+  id            BIGSERIAL   PRIMARY KEY,
+  alias_key     TEXT        NOT NULL,
+  canonical_key TEXT        NOT NULL,
+  status        TEXT        NOT NULL DEFAULT 'confirmed'
+                            CHECK (status IN ('confirmed', 'rejected')),
+  match_score   REAL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (alias_key, canonical_key)
+);
+
+-- =====================================================
+-- Indexes
+-- =====================================================
+
+-- Resolve an alias to its canonical key
+CREATE INDEX IF NOT EXISTS idx_deal_aliases_alias ON deal_aliases (alias_key);
@@ -0,0 +1,13 @@
+-- Migration: Store the import rejection report with each upload
+-- Purpose: Keep the rows dropped or flagged during ingest (row number, reasons,
+--          raw values) so the team can fix them in the CRM
+
+-- =====================================================
+-- uploads table: rejection report
+-- =====================================================
+
+-- { totalRows, acceptedRows, rejectedRows, warningRows, issueCounts,
+--   entries: [{ rowNumber, status, issues: [{ code, message }], values }],
+--   truncated }
+ALTER TABLE uploads
+  ADD COLUMN IF NOT EXISTS rejection_report JSONB;
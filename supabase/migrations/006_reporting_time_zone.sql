@@ -0,0 +1,24 @@
+-- Migration: Keep modified timestamps and a team-wide reporting time zone
+-- Purpose: Store each deal's "Modified Time (Notes)" with its time instead of
+--          only a day, and share the zone day counts are made in, so dates
+--          no longer shift by a day between upload and reload
+
+-- =====================================================
+-- deals table: full modified timestamp
+-- =====================================================
+
+-- modified_date stays the day of modified_at in the reporting time zone;
+-- closing_date is the calendar day written in the export
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS modified_at TIMESTAMPTZ;
+
+-- =====================================================
+-- Team settings (edited from Import Settings)
+-- =====================================================
+
+-- key 'reporting_time_zone': IANA zone name as a JSON string, e.g. "America/Toronto"
+CREATE TABLE IF NOT EXISTS team_settings (
+  key        TEXT        PRIMARY KEY,
+  value      JSONB       NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,13 @@
+-- Migration: Store health score components as one JSONB column
+-- Purpose: Components come from the registry in js/dealHealthScore.js, so a
+--          new component doesn't need its own column
+
+-- =====================================================
+-- deals table: component scores keyed by component id
+-- =====================================================
+
+-- e.g. {"stageProbability": 75, "velocity": 100, ..., "notesSignal": 60};
+-- the hs_* columns from 002 are still written for the built-in components
+-- and read as a fallback for rows stored before this migration
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS health_components JSONB;
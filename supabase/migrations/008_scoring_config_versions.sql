@@ -0,0 +1,26 @@
+-- Migration: Named scoring config versions
+-- Purpose: Keep named copies of the scoring settings, record which version
+--          scored each upload, and mark uploads whose stored scores were
+--          re-computed with a different config
+
+-- =====================================================
+-- Scoring config versions (edited from Scoring > Versions)
+-- =====================================================
+
+-- config has the same shape as uploads.scoring_config
+CREATE TABLE IF NOT EXISTS scoring_config_versions (
+  id         BIGSERIAL   PRIMARY KEY,
+  name       TEXT        NOT NULL UNIQUE,
+  config     JSONB       NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- =====================================================
+-- uploads table: version in effect and re-score time
+-- =====================================================
+
+-- scoring_config stays the full config the stored scores came from; the
+-- version id is NULL when the settings were not a saved version
+ALTER TABLE uploads
+  ADD COLUMN IF NOT EXISTS scoring_config_version_id BIGINT REFERENCES scoring_config_versions(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS rescored_at TIMESTAMPTZ;
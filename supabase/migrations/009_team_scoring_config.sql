@@ -0,0 +1,19 @@
+-- Migration: Team scoring config
+-- Purpose: Share one scoring config across the team, so everyone looking at
+--          an upload sees the same health scores unless they keep a personal
+--          override in their browser
+
+-- =====================================================
+-- Team scoring config (Scoring > Publish to Team)
+-- =====================================================
+
+-- One row per publish; the latest published_at is the team's config.
+-- config has the same shape as scoring_config_versions.config
+CREATE TABLE IF NOT EXISTS team_scoring_config (
+  id                        BIGSERIAL   PRIMARY KEY,
+  config                    JSONB       NOT NULL,
+  scoring_config_version_id BIGINT      REFERENCES scoring_config_versions(id) ON DELETE SET NULL,
+  published_at              TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_scoring_config_published_at ON team_scoring_config (published_at DESC);
@@ -0,0 +1,13 @@
+-- Migration: Notes timeline per deal
+-- Purpose: Keep every note row of a deal with its own modified time and
+--          author instead of only the sorted, joined notes_canonical blob
+
+-- =====================================================
+-- deals table: notes timeline
+-- =====================================================
+
+-- [{ "at": ISO timestamp or null, "author": text, "text": text, "hash": sha256 hex of text }]
+-- one entry per distinct note text, oldest first. notes_canonical and
+-- notes_hash are kept for the summary cache.
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS notes JSONB;
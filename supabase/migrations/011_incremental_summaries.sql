@@ -0,0 +1,23 @@
+-- Migration: Incremental note summaries with lineage
+-- Purpose: Let the summarize-notes function update a cached summary with
+--          only the notes added since, instead of re-summarizing every note,
+--          and record which summary each one was built from
+
+-- =====================================================
+-- deal_summary_cache: notes covered and lineage
+-- =====================================================
+
+-- note_hashes:       sha256 of each note text the summary covers (NULL for
+--                    summaries made from notes_canonical alone)
+-- parent_notes_hash: notes_hash of the cached summary this one updated;
+--                    NULL for a summary made from all notes
+-- summary_mode:      'full' or 'incremental'
+-- new_note_count:    notes sent to the model for this summary
+ALTER TABLE deal_summary_cache
+  ADD COLUMN IF NOT EXISTS note_hashes       TEXT[],
+  ADD COLUMN IF NOT EXISTS parent_notes_hash TEXT,
+  ADD COLUMN IF NOT EXISTS summary_mode      TEXT NOT NULL DEFAULT 'full',
+  ADD COLUMN IF NOT EXISTS new_note_count    INTEGER;
+
+-- Latest summaries per deal, for finding the one to build on
+CREATE INDEX IF NOT EXISTS idx_summary_cache_deal_created ON deal_summary_cache (deal_key, model, created_at DESC);
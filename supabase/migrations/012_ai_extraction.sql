@@ -0,0 +1,31 @@
+-- Migration: Structured AI extraction of next steps, risks and dates
+-- Purpose: Cache the fields the summarize-notes function extracts from a
+--          deal's notes (extract mode) and store them with each deal, so the
+--          dashboard can show, filter and score on them
+
+-- =====================================================
+-- Extraction cache (summarize-notes, mode "extract")
+-- =====================================================
+
+-- extraction: { next_step, next_step_date (YYYY-MM-DD), blockers[],
+--               competitors[], decision_makers[],
+--               close_date_change: { proposed_date, reason } | null }
+CREATE TABLE IF NOT EXISTS deal_extraction_cache (
+  deal_key   TEXT        NOT NULL,
+  notes_hash TEXT        NOT NULL,
+  model      TEXT        NOT NULL DEFAULT 'haiku',
+  extraction JSONB       NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (deal_key, notes_hash, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_extraction_cache_hash ON deal_extraction_cache (notes_hash);
+
+-- =====================================================
+-- deals table: extraction per deal
+-- =====================================================
+
+-- extraction_hash: notes_hash the extraction was made from
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS ai_extraction   JSONB,
+  ADD COLUMN IF NOT EXISTS extraction_hash TEXT;